@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+
+/**
+ * Archive CLI — query the weekly job archive
+ *
+ * Reads .github/data/archive/week-YYYY-Www.jsonl (written by Step 9's
+ * appendToWeeklyArchive) as a stream, so any date range runs in constant memory.
+ *
+ * Usage:
+ *   node archive.js search [filters] [--format jsonl|csv] [--out FILE] [--limit N]
+ *   node archive.js counts [filters] [--by day|week|month] [--group company|source|domain] [--format table|csv|json]
+ *
+ * Filters:
+ *   --from YYYY-MM-DD      Inclusive start (on --date-field)
+ *   --to YYYY-MM-DD        Inclusive end (on --date-field)
+ *   --date-field FIELD     posted_at (default) or expired_at
+ *   --company TEXT         Substring of company_name or company_slug (case-insensitive)
+ *   --source NAME          Exact source (greenhouse, workday, ...)
+ *   --domain TAG           tags.domains contains TAG (software, data_science, ...)
+ *   --title TEXT           Title contains every word of TEXT (case-insensitive)
+ *   --all                  Keep repeated archive entries of the same id (default: first only)
+ *
+ * Examples:
+ *   node archive.js search --company spacex --from 2026-02-01 --to 2026-02-28 --format csv --out spacex-feb.csv
+ *   node archive.js counts --domain hardware --by week
+ *   node archive.js counts --from 2026-01-01 --group source --format csv
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { streamArchive, isoWeekLabel } = require('./lib/utils/archive-reader');
+const { csvRow } = require('./lib/utils/csv');
+
+const ARCHIVE_DIR = path.join(process.cwd(), '.github', 'data', 'archive');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stable CSV column order — append new columns at the end only
+const CSV_COLUMNS = [
+  'id', 'source', 'company_name', 'title', 'location', 'posted_at', 'expired_at',
+  'closed_reason', 'employment', 'domains', 'url',
+];
+
+// ─── Argument parsing ──────────────────────────────────────────────────────
+
+function usage(message) {
+  if (message) console.error(`[archive] ❌ ${message}`);
+  console.error('Usage: node archive.js <search|counts> [options]  (see header of archive.js)');
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const opts = { command, format: null, by: 'week', dateField: 'posted_at', all: false };
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    const next = () => {
+      const value = rest[++i];
+      if (value === undefined || value.startsWith('--')) usage(`${arg} needs a value`);
+      return value;
+    };
+    switch (arg) {
+      case '--from': opts.from = new Date(`${next()}T00:00:00Z`); break;
+      case '--to': opts.to = new Date(new Date(`${next()}T00:00:00Z`).getTime() + DAY_MS); break;
+      case '--date-field': opts.dateField = next(); break;
+      case '--company': opts.company = next().toLowerCase(); break;
+      case '--source': opts.source = next(); break;
+      case '--domain': opts.domain = next(); break;
+      case '--title': opts.title = next().toLowerCase().split(/\s+/).filter(Boolean); break;
+      case '--format': opts.format = next(); break;
+      case '--out': opts.out = next(); break;
+      case '--limit': opts.limit = parseInt(next(), 10); break;
+      case '--by': opts.by = next(); break;
+      case '--group': opts.group = next(); break;
+      case '--all': opts.all = true; break;
+      default: throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  for (const [name, date] of [['--from', opts.from], ['--to', opts.to]]) {
+    if (date && Number.isNaN(date.getTime())) throw new Error(`${name} must be YYYY-MM-DD`);
+  }
+  if (!['posted_at', 'expired_at'].includes(opts.dateField)) throw new Error('--date-field must be posted_at or expired_at');
+  return opts;
+}
+
+// ─── Filtering ─────────────────────────────────────────────────────────────
+
+function matches(job, opts) {
+  if (opts.from || opts.to) {
+    const ts = Date.parse(job[opts.dateField]);
+    if (Number.isNaN(ts)) return false;
+    if (opts.from && ts < opts.from.getTime()) return false;
+    if (opts.to && ts >= opts.to.getTime()) return false;
+  }
+  if (opts.source && job.source !== opts.source) return false;
+  if (opts.company) {
+    const name = `${job.company_name || ''} ${job.company_slug || ''}`.toLowerCase();
+    if (!name.includes(opts.company)) return false;
+  }
+  if (opts.domain && !(job.tags?.domains || []).includes(opts.domain)) return false;
+  if (opts.title) {
+    const title = (job.title || '').toLowerCase();
+    if (!opts.title.every(word => title.includes(word))) return false;
+  }
+  return true;
+}
+
+async function* matchingJobs(opts) {
+  const seen = new Set();
+  for await (const job of streamArchive(ARCHIVE_DIR, opts)) {
+    if (!matches(job, opts)) continue;
+    if (!opts.all) {
+      if (seen.has(job.id)) continue;
+      seen.add(job.id);
+    }
+    yield job;
+  }
+}
+
+// ─── Commands ──────────────────────────────────────────────────────────────
+
+function csvValues(job) {
+  return CSV_COLUMNS.map(col => {
+    if (col === 'employment') return job.tags?.employment;
+    if (col === 'domains') return job.tags?.domains;
+    return job[col];
+  });
+}
+
+async function search(opts) {
+  const format = opts.format || 'jsonl';
+  if (!['jsonl', 'csv'].includes(format)) throw new Error('search --format must be jsonl or csv');
+
+  const out = opts.out ? fs.createWriteStream(opts.out, 'utf8') : process.stdout;
+  const write = chunk => (out.write(chunk) ? null : new Promise(resolve => out.once('drain', resolve)));
+
+  if (format === 'csv') await write(csvRow(CSV_COLUMNS));
+  let count = 0;
+  for await (const job of matchingJobs(opts)) {
+    await write(format === 'csv' ? csvRow(csvValues(job)) : JSON.stringify(job) + '\n');
+    count++;
+    if (opts.limit && count >= opts.limit) break;
+  }
+
+  if (opts.out) await new Promise(resolve => out.end(resolve));
+  console.error(`[archive] ${count} jobs${opts.out ? ` → ${opts.out}` : ''}`);
+}
+
+function periodOf(date, by) {
+  const iso = new Date(date).toISOString();
+  if (by === 'day') return iso.slice(0, 10);
+  if (by === 'month') return iso.slice(0, 7);
+  return isoWeekLabel(date);
+}
+
+function groupKeys(job, group) {
+  if (group === 'company') return [job.company_name || 'unknown'];
+  if (group === 'source') return [job.source || 'unknown'];
+  if (group === 'domain') return job.tags?.domains?.length ? job.tags.domains : ['unknown'];
+  return ['all'];
+}
+
+async function counts(opts) {
+  if (!['day', 'week', 'month'].includes(opts.by)) throw new Error('--by must be day, week or month');
+  if (opts.group && !['company', 'source', 'domain'].includes(opts.group)) throw new Error('--group must be company, source or domain');
+
+  const table = new Map(); // period → Map(key → count)
+  let total = 0;
+  for await (const job of matchingJobs(opts)) {
+    const date = job[opts.dateField];
+    if (!date || Number.isNaN(Date.parse(date))) continue;
+    const period = periodOf(date, opts.by);
+    if (!table.has(period)) table.set(period, new Map());
+    const row = table.get(period);
+    for (const key of groupKeys(job, opts.group)) row.set(key, (row.get(key) || 0) + 1);
+    total++;
+  }
+
+  const rows = [];
+  for (const period of [...table.keys()].sort()) {
+    const entries = [...table.get(period)].sort((a, b) => b[1] - a[1]);
+    for (const [key, count] of entries) rows.push({ period, key, count });
+  }
+
+  const format = opts.format || 'table';
+  if (format === 'json') {
+    process.stdout.write(JSON.stringify({ by: opts.by, group: opts.group || null, total, rows }, null, 2) + '\n');
+  } else if (format === 'csv') {
+    process.stdout.write(csvRow(opts.group ? ['period', opts.group, 'count'] : ['period', 'count']));
+    for (const r of rows) process.stdout.write(csvRow(opts.group ? [r.period, r.key, r.count] : [r.period, r.count]));
+  } else {
+    for (const r of rows) {
+      console.log(`${r.period.padEnd(10)}  ${opts.group ? `${r.key.slice(0, 40).padEnd(40)}  ` : ''}${String(r.count).padStart(7)}`);
+    }
+    console.log(`${'total'.padEnd(10)}  ${opts.group ? ' '.repeat(42) : ''}${String(total).padStart(7)}`);
+  }
+}
+
+// ─── Main ──────────────────────────────────────────────────────────────────
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.command === 'search') return search(opts);
+  if (opts.command === 'counts') return counts(opts);
+  usage();
+}
+
+// `archive.js search | head`: the reader closing the pipe early is not an error
+process.stdout.on('error', err => {
+  if (err.code === 'EPIPE') process.exit(0);
+  throw err;
+});
+
+main().catch(err => {
+  console.error(`[archive] ❌ ${err.message}`);
+  process.exit(1);
+});
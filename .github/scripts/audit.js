@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * Audit CLI — "why isn't job X on the board?"
+ *
+ * Looks a job up by id, URL or fingerprint and prints its decision trail:
+ * whether it is in all_jobs.json now, its lifecycle (first/last seen), and
+ * every audit-log entry (stage + reason) for it or any id sharing its
+ * fingerprint. The audit log is written by Step 9 of index.js to
+ * .github/data/audit/audit-log*.jsonl.
+ *
+ * Usage:
+ *   node audit.js <job id | job URL | fingerprint> [--json]
+ *
+ * Examples:
+ *   node audit.js greenhouse-stripe-7212345
+ *   node audit.js https://boards.greenhouse.io/stripe/jobs/7212345
+ */
+
+const path = require('path');
+const { AuditLog } = require('./lib/stores/audit-log');
+const { normalizeUrl } = require('./lib/utils/url');
+const { readJSONL, readJSON } = require('./lib/utils/jsonl');
+
+const DATA_DIR = path.join(process.cwd(), '.github', 'data');
+const AUDIT_DIR = path.join(DATA_DIR, 'audit');
+const JOBS_FILE = path.join(DATA_DIR, 'all_jobs.json');
+const LIFECYCLE_FILE = path.join(DATA_DIR, 'lifecycle-store.json');
+
+const STAGE_LABELS = {
+  validate: 'Step 3 validate',
+  senior_filter: 'Step 4 senior filter',
+  dedupe: 'Step 6 dedupe',
+  rolling_window: 'Step 9 rolling window',
+};
+
+// ─── Lookup ────────────────────────────────────────────────────────────────
+
+function findPublished(query) {
+  const url = normalizeUrl(query);
+  return readJSONL(JOBS_FILE).filter(j =>
+    j.id === query || j.fingerprint === query || (j.url && normalizeUrl(j.url) === url));
+}
+
+function buildTrail(query) {
+  const published = findPublished(query);
+  const entries = AuditLog.open(AUDIT_DIR).lookup(query);
+
+  const fingerprints = new Set([...published, ...entries].map(x => x.fingerprint).filter(Boolean));
+  const lifecycleStore = readJSON(LIFECYCLE_FILE);
+  const lifecycle = [...fingerprints]
+    .map(fp => lifecycleStore?.fingerprints?.[fp] ? { fingerprint: fp, ...lifecycleStore.fingerprints[fp] } : null)
+    .filter(Boolean);
+
+  return { query, published, lifecycle, entries };
+}
+
+// ─── Output ────────────────────────────────────────────────────────────────
+
+function printTrail({ query, published, lifecycle, entries }) {
+  const job = published[0] || entries[entries.length - 1];
+  console.log(`[audit] ${query}`);
+  if (job) console.log(`        ${job.title || '?'} — ${job.company_name || job.company || '?'} (${job.source || '?'})`);
+  console.log('');
+
+  if (published.length > 0) {
+    for (const p of published) console.log(`✅ Published in all_jobs.json as ${p.id} (posted ${p.posted_at || 'unknown'})`);
+  } else {
+    console.log('⛔ Not in all_jobs.json');
+  }
+
+  for (const l of lifecycle) {
+    console.log(`⏱️  Lifecycle ${l.fingerprint.slice(0, 12)}…: first seen ${l.first_seen}, last seen ${l.last_seen}, ${l.times_seen} runs${l.closed_at ? `, closed ${l.closed_at}` : ''}`);
+  }
+
+  console.log('');
+  if (entries.length === 0) {
+    console.log('No audit-log entries (never dropped in the retention window, or unknown id)');
+    return;
+  }
+  console.log('Decision trail (oldest first):');
+  for (const e of entries) {
+    const when = e.first === e.last ? e.first : `${e.first} → ${e.last}`;
+    const confidence = e.confidence !== undefined ? ` confidence ${e.confidence}` : '';
+    const detail = e.detail ? ` (${e.detail})` : '';
+    console.log(`  ${when.padEnd(25)} ${(STAGE_LABELS[e.stage] || e.stage).padEnd(22)} ${e.reason}${confidence}${detail}  [${e.id}]`);
+  }
+}
+
+// ─── Main ──────────────────────────────────────────────────────────────────
+
+function main() {
+  const args = process.argv.slice(2);
+  const query = args.find(a => !a.startsWith('--'));
+  if (!query) {
+    console.error('Usage: node audit.js <job id | job URL | fingerprint> [--json]');
+    process.exit(1);
+  }
+
+  const trail = buildTrail(query);
+  if (args.includes('--json')) {
+    process.stdout.write(JSON.stringify(trail, null, 2) + '\n');
+  } else {
+    printTrail(trail);
+  }
+  if (trail.published.length === 0 && trail.entries.length === 0) process.exit(2);
+}
+
+main();
@@ -10,20 +10,129 @@
  *   node index.js                    # Normal run
  *   node index.js --dry-run          # Dry run (no git commit)
  *   node index.js --verbose          # Verbose logging
+ *   node index.js --concurrency=2    # Max sources fetched in parallel (default: FETCH_CONCURRENCY)
+ *   node index.js --record <dir>     # Store every HTTP response as cassettes in <dir>
+ *   node index.js --replay <dir>     # Serve HTTP from cassettes: no network, no git commit,
+ *                                    # output in a fresh copy of .github/data under the temp dir
+ *   node index.js --out <dir>        # Write into <dir> (new or empty, seeded from .github/data), no git commit
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
+// Command line args
+const args = process.argv.slice(2);
+const argValue = name => {
+  const i = args.indexOf(name);
+  return i === -1 ? null : args[i + 1];
+};
+
+// HTTP record/replay (lib/utils/http-fixture.js) — installed before any fetcher
+// module is loaded, so every axios instance they create records or replays.
+// A replay also runs the clock from the recorded start, so relative dates and
+// freshness come out as they did in the recorded run.
+const { execSync } = require('child_process');
+const { installCassetteRecorder, installCassetteReplay, shiftClock } = require('./lib/utils/http-fixture');
+const COMMITTED_DATA_DIR = path.join(process.cwd(), '.github', 'data');
+const replayDir = argValue('--replay');
+const recordDir = argValue('--record');
+
+/**
+ * Git tree id of .github/data at HEAD, "-dirty" when the working copy differs
+ * @returns {string|null} - null outside a git checkout
+ */
+function dataTreeId() {
+  try {
+    const git = command => execSync(command, { stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+    const tree = git('git rev-parse HEAD:.github/data');
+    return git('git status --porcelain -- .github/data') ? `${tree}-dirty` : tree;
+  } catch {
+    return null;
+  }
+}
+
+let cassette = null;
+if (replayDir) {
+  cassette = installCassetteReplay(require('axios'), path.resolve(replayDir));
+  shiftClock(cassette.manifest.started_at);
+}
+
+// Output directory — a replay never writes into the committed .github/data: it runs
+// on a copy (in --out <dir>, or a fresh temp dir) of the state the recording started
+// from (the cassette's state/), so every replay of a cassette starts from the same
+// state and the checkout is left as it was. A cassette recorded without state/ falls
+// back to .github/data, with a warning when that is not the data it was recorded on.
+// Set before lib/paths is loaded, which every module writing pipeline state takes
+// DATA_DIR from.
+const outDir = argValue('--out') ? path.resolve(argValue('--out'))
+  : replayDir ? fs.mkdtempSync(path.join(os.tmpdir(), 'replay-')) : null;
+const seedDir = cassette?.state || COMMITTED_DATA_DIR;
+if (outDir) {
+  if (outDir === COMMITTED_DATA_DIR) {
+    console.error('❌ --out must not be .github/data (run without --out to write there)');
+    process.exit(1);
+  }
+  if (fs.existsSync(outDir) && fs.readdirSync(outDir).length > 0) {
+    console.error(`❌ --out ${outDir} is not empty — it is seeded with a copy of ${seedDir}`);
+    process.exit(1);
+  }
+  if (replayDir && !cassette.state) {
+    const recorded = cassette.manifest.data_tree || 'unknown';
+    const current = dataTreeId() || 'unknown';
+    if (recorded !== current || recorded === 'unknown') {
+      console.warn(`⚠️ Cassette has no state/ snapshot and was recorded on .github/data ${recorded}; replaying on ${current} — dedupe, lifecycle, rolling window and board state may differ`);
+    }
+  }
+  if (fs.existsSync(seedDir)) fs.cpSync(seedDir, outDir, { recursive: true });
+  process.env.JOBS_DATA_DIR = outDir;
+}
+
+if (recordDir) {
+  // state/ is the data dir before this run touches it
+  cassette = installCassetteRecorder(require('axios'), path.resolve(recordDir),
+    { argv: args, data_tree: dataTreeId() }, outDir || COMMITTED_DATA_DIR);
+  process.on('exit', () => cassette.finish());
+}
+
+// Throttle every HTTP request per host (Workday clusters, Greenhouse boards, ...) —
+// also installed before the fetcher modules load, so instances they create at load
+// time are throttled too. A replay never touches the hosts, so it runs unthrottled.
+const { HostRateLimiter, installHostRateLimiter } = require('./lib/utils/host-rate-limiter');
+const rateLimiter = installHostRateLimiter(require('axios'), replayDir
+  ? new HostRateLimiter([{ match: /.*/, bucket: () => 'replay', maxConcurrent: Infinity, minIntervalMs: 0 }])
+  : undefined);
+
 // Import from shared submodule (job-board-scripts/lib/aggregator/)
 const SHARED = path.join(__dirname, 'shared', 'lib', 'aggregator');
 
-// Import fetchers
-const { fetchFromJSearch, getUsageStats } = require(`${SHARED}/fetchers/jsearch-fetcher`);
-const { fetchFromAllATS, getUsageStats: getATSUsageStats } = require(`${SHARED}/fetchers/ats-fetcher`);
-const { fetchAllAmazonJobs } = require(`${SHARED}/fetchers/amazon`);
-const { fetchAllNetflixJobs } = require(`${SHARED}/fetchers/netflix`);
-const { fetchWorkdayDescriptions, loadDescriptions } = require(`${SHARED}/fetchers/workday-descriptions`);
+// Import fetchers (job sources are registered in lib/fetchers/sources/)
+const { getUsageStats } = require(`${SHARED}/fetchers/jsearch-fetcher`);
+const { getUsageStats: getATSUsageStats } = require(`${SHARED}/fetchers/ats-fetcher`);
+const { runAllFetchers, buildFetchStatus } = require('./lib/fetchers/registry');
+const { FETCH_CONCURRENCY } = require('./lib/config');
+const { countBySource, checkSourceVolumes, getDegradedSources } = require('./lib/processors/volume-guard');
+const { readJSONL, readJSON } = require('./lib/utils/jsonl');
+const { validateOutput, printOutputValidation, loadJobSchema } = require('./lib/processors/output-validator');
+const { loadChangelog, resolveSchemaVersion, buildPublishedSchema } = require('./lib/processors/schema-versioning');
+const { computeChanges, writeChangeFeed } = require('./lib/processors/change-feed');
+const { detectRemovedJobs } = require('./lib/processors/removal-detector');
+const { loadLifecycleStore, updateLifecycle, applyLifecycleFields, summarizeLifecycle } = require('./lib/processors/lifecycle-tracker');
+const { DescriptionStore } = require('./lib/stores/description-store');
+const { AuditLog } = require('./lib/stores/audit-log');
+const { diffDescriptions, summarizeDescriptionChanges } = require('./lib/processors/description-diff');
+const { applyExtractedFields } = require('./lib/processors/description-extractor');
+const { refineSeniorFilter, decideSeniority } = require('./lib/processors/senior-refiner');
+const { clusterDuplicates } = require('./lib/processors/duplicate-clusterer');
+const { groupNearDuplicates } = require('./lib/processors/near-duplicates');
+const { expandRawLocations, normalizeLocations } = require('./lib/processors/location-normalizer');
+const { resolveCompanies, companyName } = require('./lib/processors/company-resolver');
+const { applyTagRules } = require('./lib/processors/tag-rules');
+const { loadFeedDefinitions, buildFeeds } = require('./lib/processors/feed-builder');
+const { exportJobs } = require('./lib/processors/exporter');
+const { buildSearchIndex } = require('./lib/search/index-builder');
+const { writeChunkedJSONL, removeStaleFiles } = require('./lib/utils/chunked-jsonl');
+const { fetchWorkdayDescriptions } = require(`${SHARED}/fetchers/workday-descriptions`);
 
 // Import processors
 const { validateAndNormalizeJobs, printValidationSummary } = require(`${SHARED}/processors/validator`);
@@ -36,14 +145,21 @@ const { printTagDistribution } = require(`${SHARED}/processors/tag-monitor`);
 const { writeJobsJSONL, writeMetadata } = require(`${SHARED}/utils/file-writer`);
 
 // Paths
-const DATA_DIR = path.join(process.cwd(), '.github', 'data');
+const { DATA_DIR } = require('./lib/paths');
 const JOBS_OUTPUT_FILE = path.join(DATA_DIR, 'all_jobs.json');
 const METADATA_OUTPUT_FILE = path.join(DATA_DIR, 'jobs-metadata.json');
-
-// Command line args
-const args = process.argv.slice(2);
-const isDryRun = args.includes('--dry-run');
+const SCHEMA_OUTPUT_FILE = path.join(DATA_DIR, 'schema.json');
+const SCHEMA_CHANGELOG_FILE = path.join(DATA_DIR, 'schema-changelog.json');
+const LIFECYCLE_STORE_FILE = path.join(DATA_DIR, 'lifecycle-store.json');
+const DESCRIPTION_STORE_DIR = path.join(DATA_DIR, 'description-store');
+const WORKDAY_DESCRIPTION_CACHE = path.join(DATA_DIR, 'descriptions.jsonl');
+const AUDIT_DIR = path.join(DATA_DIR, 'audit');
+const RUN_ID = process.env.GITHUB_RUN_ID || `local-${Date.now()}`;
+
+const isDryRun = args.includes('--dry-run') || Boolean(outDir);
 const isVerbose = args.includes('--verbose');
+const concurrencyArg = args.find(a => a.startsWith('--concurrency='));
+const fetchConcurrency = concurrencyArg ? parseInt(concurrencyArg.split('=')[1], 10) || FETCH_CONCURRENCY : FETCH_CONCURRENCY;
 
 /**
  * Main execution function
@@ -54,6 +170,9 @@ async function main() {
   console.log('🚀 Jobs Data Fetcher - Starting...');
   console.log('═'.repeat(60));
   console.log(`Mode: ${isDryRun ? 'DRY RUN (no commits)' : 'NORMAL'}`);
+  if (replayDir) console.log(`📼 Replaying ${cassette.interactions} recorded responses from ${cassette.dir} (recorded ${cassette.manifest.started_at})`);
+  if (recordDir) console.log(`📼 Recording HTTP responses to ${cassette.dir}`);
+  if (outDir) console.log(`📁 Writing to ${outDir} (seeded from ${path.relative(process.cwd(), seedDir) || '.'})`);
   console.log('');
 
   try {
@@ -68,34 +187,47 @@ async function main() {
 
     let allJobs = [];
 
-    // Fetch from JSearch
-    const jsearchJobs = await fetchFromJSearch();
-    allJobs.push(...jsearchJobs);
-
-    // Fetch from ATS sources (Greenhouse, Lever, Ashby, Workday)
-    const atsResult = await fetchFromAllATS();
-    allJobs.push(...atsResult.jobs);
-
-    // Fetch from Amazon Jobs
-    const amazonJobs = await fetchAllAmazonJobs();
-    allJobs.push(...amazonJobs);
-
-    // Fetch from Netflix Jobs
-    const netflixJobs = await fetchAllNetflixJobs();
-    allJobs.push(...netflixJobs);
+    // Each registered source runs in isolation — a failure is recorded, not fatal
+    const fetchStart = Date.now();
+    const fetchResults = await runAllFetchers(undefined, { concurrency: fetchConcurrency });
+    const fetchDuration = Date.now() - fetchStart;
+    for (const result of fetchResults) {
+      allJobs.push(...result.jobs);
+    }
+    const fetchStatus = buildFetchStatus(fetchResults);
 
     console.log('');
-    console.log(`📊 Step 1 complete: ${allJobs.length} jobs fetched`);
-    console.log(`   - JSearch: ${jsearchJobs.length} jobs`);
-    console.log(`   - ATS: ${atsResult.jobs.length} jobs`);
-    console.log(`   - Amazon: ${amazonJobs.length} jobs`);
-    console.log(`   - Netflix: ${netflixJobs.length} jobs`);
+    console.log(`📊 Step 1 complete: ${allJobs.length} jobs fetched in ${(fetchDuration / 1000).toFixed(1)}s (concurrency ${fetchConcurrency})`);
+    for (const result of fetchResults) {
+      const note = result.status === 'failed' ? ` (FAILED: ${result.error})` : '';
+      console.log(`   - ${result.name}: ${result.jobs.length} jobs in ${(result.duration_ms / 1000).toFixed(1)}s${note}`);
+    }
+    if (replayDir) {
+      console.log(`📼 Replay: ${cassette.served} responses served, ${cassette.missed.length} requests not in the cassettes`);
+      for (const key of cassette.missed.slice(0, 5)) console.log(`   - ${key.slice(0, 160)}`);
+    } else if (recordDir) {
+      console.log(`📼 Recorded ${cassette.recorded} responses from ${Object.keys(cassette.hosts).length} hosts`);
+    }
     console.log('');
 
     // Step 1b: Fetch Workday descriptions (incremental — only new IDs)
     console.log('📄 Step 1b: Fetching Workday descriptions...');
     console.log('━'.repeat(60));
 
+    // The description store (lib/stores/description-store.js) holds every source's
+    // descriptions. First run: seed it from the legacy sidecars + Workday cache.
+    const descriptionStore = DescriptionStore.open(DESCRIPTION_STORE_DIR);
+    if (descriptionStore.isEmpty) {
+      const imported = descriptionStore.importLegacyFiles(DATA_DIR, startTime);
+      console.log(`🗄️  Description store: seeded ${imported} entries from legacy sidecars`);
+    }
+
+    // descriptions.jsonl is the Workday fetcher's incremental cache (ids it can skip).
+    // Rebuilt from the store each run — local state only, never staged.
+    const workdayCache = descriptionStore.entriesForSource('workday');
+    fs.writeFileSync(WORKDAY_DESCRIPTION_CACHE, workdayCache.map(e => JSON.stringify(e) + '\n').join(''), 'utf8');
+    console.log(`🗄️  Workday fetch cache: ${workdayCache.length} known descriptions`);
+
     const workdayJobs = allJobs.filter(j => j.source === 'workday');
     const descriptionsMap = await fetchWorkdayDescriptions(workdayJobs, DATA_DIR);
 
@@ -114,6 +246,7 @@ async function main() {
 
     // Add missing fields (fingerprints, normalize employment_types to arrays)
     const helpers = require(`${SHARED}/utils/helpers`);
+    let rawLocationsAdded = 0;
     const enhancedJobs = allJobs.map(job => {
       // Add fingerprint if missing
       if (!job.fingerprint) {
@@ -134,10 +267,14 @@ async function main() {
         }
       }
 
+      // Multi-location postings: every location in the raw record, not just "3 Locations"
+      rawLocationsAdded += expandRawLocations(job);
+
       return job;
     });
 
     console.log('');
+    if (rawLocationsAdded > 0) console.log(`📍 Expanded ${rawLocationsAdded} extra locations from raw source records`);
     console.log(`✅ Step 2 complete: ${enhancedJobs.length} jobs enhanced`);
     console.log('');
 
@@ -147,6 +284,16 @@ async function main() {
 
     const { validJobs, invalidJobs, metrics: validationMetrics } = validateAndNormalizeJobs(enhancedJobs);
 
+    // Audit log (lib/stores/audit-log.js): every job a stage drops, with the reason.
+    // Saved in Step 9 alongside the other stores; `npm run audit -- <id|url>` reads it.
+    const auditLog = AuditLog.open(AUDIT_DIR);
+    for (const item of invalidJobs) {
+      // Entries may be bare jobs or { job, reason(s) } depending on the shared validator version
+      const job = item.job || item;
+      const reason = item.reason || item.reasons?.[0] || item.errors?.[0] || 'invalid';
+      auditLog.record(job, 'validate', reason, startTime);
+    }
+
     console.log('');
     printValidationSummary(validationMetrics);
     console.log('');
@@ -157,16 +304,48 @@ async function main() {
     console.log('🎓 Step 4: Filtering senior-level jobs...');
     console.log('━'.repeat(60));
 
-    const { entryLevelJobs, seniorJobs, metrics: seniorFilterMetrics } = filterSeniorJobs(validJobs);
+    const titleOnly = filterSeniorJobs(validJobs);
 
     console.log('');
-    printSeniorFilterSummary(seniorFilterMetrics);
+    printSeniorFilterSummary(titleOnly.metrics);
     console.log('');
-    console.log(`✅ Step 4 complete: ${entryLevelJobs.length} entry-level jobs (${seniorJobs.length} senior filtered)`);
+    console.log(`✅ Step 4 complete: ${titleOnly.entryLevelJobs.length} entry-level jobs (${titleOnly.seniorJobs.length} senior filtered)`);
+    console.log('');
+
+    // Step 4a: Refine with descriptions (lib/processors/senior-refiner.js)
+    // "5+ years" / "staff-level" pushes a job out; "0-2 years" / "new grad" confirms entry level.
+    // Each job keeps an internal _senior_decision (reason code + confidence), stripped in Step 9.
+    console.log('📖 Step 4a: Refining senior filter with descriptions...');
+    console.log('━'.repeat(60));
+
+    const { entryLevelJobs, seniorJobs, stats: seniorRefinement } = refineSeniorFilter(
+      titleOnly.entryLevelJobs,
+      titleOnly.seniorJobs,
+      job => job.description || descriptionStore.get(job.id),
+    );
+    // senior_reasons stay title-only; the totals reflect the refined split
+    const seniorFilterMetrics = {
+      ...titleOnly.metrics,
+      entry_level_jobs: entryLevelJobs.length,
+      senior_jobs: seniorJobs.length,
+      title_only: { entry_level_jobs: titleOnly.entryLevelJobs.length, senior_jobs: titleOnly.seniorJobs.length },
+      description_refinement: seniorRefinement,
+    };
+
+    for (const job of seniorJobs) {
+      const decision = job._senior_decision;
+      auditLog.record(job, 'senior_filter', decision.reason, startTime, {
+        confidence: decision.confidence,
+        detail: `title-only: ${decision.title_only}`,
+      });
+    }
+
+    console.log(`✅ Step 4a complete: ${seniorRefinement.moved_to_senior} moved to senior, ${seniorRefinement.moved_to_entry} moved to entry level (${seniorRefinement.with_description} with descriptions)`);
     console.log('');
 
     // Step 4b: Write senior-filter analytics summary (PIPELINE-1)
     // Summary counts only — full job objects are ~180 MB and exceed GitHub's 100 MB limit.
+    // Per-job reasons go to the compact audit log (audit/audit-log*.jsonl) instead.
     // Tags not yet available (Step 5), so breakdown is by source only.
     const FILTERED_OUTPUT_FILE = path.join(DATA_DIR, 'filtered_jobs.json');
     const seniorBySource = {};
@@ -187,15 +366,51 @@ async function main() {
     console.log('━'.repeat(60));
 
     const taggedJobs = tagJobs(entryLevelJobs);
+    // Domains / experience / special come from the versioned rules in tags/ (lib/processors/tag-rules.js);
+    // employment and locations stay as the shared engine set them
+    const tagRun = applyTagRules(taggedJobs, job => job.description || descriptionStore.get(job.id));
+    console.log(`📐 Tag rules v${tagRun.version}: ${tagRun.changed.domains} domain / ${tagRun.changed.experience} experience tag sets changed, ${tagRun.domain_source.fallback} jobs got the fallback domain`);
 
     console.log(`✅ Step 5 complete: ${taggedJobs.length} jobs tagged`);
     console.log('');
 
+    // Step 5a: Resolve company identities (lib/processors/company-resolver.js)
+    // company_id / parent_company_id from companies/company-registry.json, before
+    // clustering so "The Boeing Company" and "Boeing" count as one company.
+    // Registry tags replace the inferred faang / fortune500 / unicorn tags.
+    console.log('🏢 Step 5a: Resolving company identities...');
+    const companyRun = resolveCompanies(taggedJobs);
+    console.log(`✅ Step 5a complete: ${companyRun.resolved}/${companyRun.jobs} jobs matched the registry (${companyRun.unknown_companies} unknown companies, ${companyRun.special_tags_changed} special tag sets changed)`);
+    console.log('');
+
     // Step 6: Deduplicate
     console.log('🔍 Step 6: Deduplicating jobs...');
     console.log('━'.repeat(60));
 
-    const { unique: dedupedJobs, duplicates, stats: dedupeStats } = deduplicateJobs(taggedJobs);
+    // Cross-source clusters first (lib/processors/duplicate-clusterer.js): one canonical
+    // record per cluster, chosen by SOURCE_PRIORITY, with the best location / direct
+    // apply URL / description merged in and the other members listed in alternate_sources.
+    // The shared deduplicator then applies its cross-run store to the canonical records.
+    const { canonical: clusteredJobs, dropped: clusteredOut, stats: clusterStats } = clusterDuplicates(taggedJobs);
+    for (const { job, canonical_id, rule } of clusteredOut) {
+      auditLog.record(job, 'dedupe', 'clustered', startTime, { detail: `${rule} → ${canonical_id}` });
+    }
+    console.log(`🧩 Clusters: ${clusterStats.clusters} clusters, ${clusterStats.removed} copies folded into canonical records (${JSON.stringify(clusterStats.by_rule)})`);
+
+    const { unique: dedupedJobs, duplicates: sharedDuplicates, stats: dedupeStats } = deduplicateJobs(clusteredJobs);
+    const duplicates = sharedDuplicates + clusterStats.removed;
+
+    // Audit: a dropped copy either lost to a survivor with the same id / fingerprint,
+    // or was already seen by the deduplicator's store in an earlier run
+    const survivorIds = new Set(dedupedJobs.map(j => j.id));
+    const survivorByFingerprint = new Map(dedupedJobs.filter(j => j.fingerprint).map(j => [j.fingerprint, j.id]));
+    const keptIds = new Set();
+    for (const job of clusteredJobs) {
+      if (survivorIds.has(job.id) && !keptIds.has(job.id)) { keptIds.add(job.id); continue; }
+      if (survivorIds.has(job.id)) auditLog.record(job, 'dedupe', 'same_id', startTime, { detail: job.id });
+      else if (survivorByFingerprint.has(job.fingerprint)) auditLog.record(job, 'dedupe', 'same_fingerprint', startTime, { detail: survivorByFingerprint.get(job.fingerprint) });
+      else auditLog.record(job, 'dedupe', 'seen_before', startTime);
+    }
 
     console.log('');
     console.log(`✅ Step 6 complete: ${dedupedJobs.length} unique jobs (${duplicates} duplicates removed)`);
@@ -223,136 +438,59 @@ async function main() {
     console.log(`✅ Step 8 complete: Jobs sorted`);
     console.log('');
 
-    // Step 8b: Write per-source description sidecars
-    //
-    // One file per source: descriptions-{source}.jsonl
-    // Each file is rewritten atomically each run.
-    // Non-Workday sources: pruned to liveJobIds (entry-level survivors).
-    // Workday: pruned to allWorkdayIds (full pre-filter pool, all seniorities) — see PIPELINE-3-FIX.
-    //
-    // Chunking: if a source exceeds SIDECAR_CHUNK_LIMIT_BYTES, split into
-    //   descriptions-{source}-1.jsonl, descriptions-{source}-2.jsonl, etc.
-    // This keeps every file well under GitHub's 100 MB hard limit.
-    //
-    // Stale file cleanup: when chunk count changes (1→2 or 2→1), old filenames are orphaned.
-    // After writing, we scan DATA_DIR for any descriptions-{src}*.jsonl files not written
-    // this run and delete them from disk + unstage from git. This handles both directions.
-    //
-    // Workday: descriptions were fetched live in Step 1b and injected as job.description.
-    // All other sources: descriptions are inline on job objects from their respective fetchers.
-    // After this step, all descriptions are in sidecar files. Step 9 strips description from publicJobs.
-    //
-    // enrich-jobs.js reads all files matching descriptions-*.jsonl — auto-picks up new chunks.
-
-    const SIDECAR_CHUNK_LIMIT_BYTES = 40 * 1024 * 1024; // 40 MB per file
-    const { execSync } = require('child_process');
+    // Step 8a: Volume guard — compare per-source counts with the previous run.
+    // A source that collapsed (outage, broken fetcher, failed in Step 1) is marked
+    // degraded: Step 9 reuses its prior records (which keeps their descriptions live too).
+    console.log('🛡️  Step 8a: Checking per-source volumes against previous run...');
+    console.log('━'.repeat(60));
 
-    // Group jobs by source, collect id + description for each
-    const bySource = {};
-    for (const job of sortedJobs) {
-      const src = job.source;
-      if (!src) continue;
-      if (!bySource[src]) bySource[src] = [];
-      if (job.description) {
-        bySource[src].push({ id: job.id, description_text: job.description });
-      }
+    const previousMetadata = readJSON(METADATA_OUTPUT_FILE);
+    const sourceHealth = checkSourceVolumes(countBySource(sortedJobs), previousMetadata);
+    const degradedSources = getDegradedSources(sourceHealth);
+    for (const src of degradedSources) {
+      const h = sourceHealth[src];
+      console.log(`⚠️ ${src} degraded: ${h.current} jobs vs baseline ${h.baseline} (-${h.drop_pct}%) — reusing last-known-good`);
     }
 
-    // For Workday: build descriptions-workday.jsonl from ALL fetched descriptions,
-    // not just entry-level survivors. Root cause of PIPELINE-3-FIX: sortedJobs is
-    // entry-level only. 56% of fetched Workday descriptions are senior-filtered,
-    // so they never entered bySource['workday'], and the sidecar never grew past 42.
-    // The seed step read the unchanged sidecar (42 IDs) → re-fetched the same 200 senior
-    // jobs every run → infinite loop.
+    console.log(`✅ Step 8a complete: ${degradedSources.size} degraded source(s)`);
+    console.log('');
+
+    // Step 8b: Ingest descriptions into the description store
+    //
+    // Every source goes through the same path: descriptions inline on job objects
+    // (sortedJobs — Workday's were injected in Step 1b) plus every Workday
+    // description fetched this run, all seniorities. Keeping senior Workday text is
+    // what stops Step 1b re-fetching the same senior jobs every run (PIPELINE-3-FIX).
     //
-    // Fix (Option C): merge descriptions from three sources into bySource['workday']:
-    //   1. descriptionsMap — current run's fetched descriptions (all seniorities)
-    //   2. legacyWorkdayMap — prior cached descriptions not re-fetched this run
-    //   3. bySource['workday'] — entry-level jobs already collected above (subset of #1)
-    // TTL: keep only IDs present in allJobs (the full pre-filter Workday pool, 14-day window).
-    // Senior descriptions are dead weight for enrich-jobs.js (which skips non-entry-level),
-    // but harmless — and they break the loop by allowing the sidecar to grow.
-    const LEGACY_DESCRIPTIONS_FILE = path.join(DATA_DIR, 'descriptions.jsonl');
-    const legacyWorkdayMap = loadDescriptions(LEGACY_DESCRIPTIONS_FILE);
-    const allWorkdayIds = new Set(allJobs.filter(j => j.source === 'workday').map(j => j.id));
-    const workdaySidecarMap = new Map(); // id → description_text, deduplicated
-    // Priority: current run's fetched descriptions > prior cached
-    for (const [id, description_text] of legacyWorkdayMap) {
-      if (allWorkdayIds.has(id) && description_text) workdaySidecarMap.set(id, description_text);
+    // Unchanged text only refreshes its entry's `seen` date; new or changed text is
+    // appended to a segment. A changed text keeps the old one as a revision and is
+    // diffed against it (description_changes in metadata). Ids fetched this run count as seen even without a
+    // description; Step 9 also touches the public pool, then expires by one TTL
+    // (DESCRIPTION_TTL_DAYS) and regenerates the published sidecars.
+    console.log('🗄️  Step 8b: Updating description store...');
+    console.log('━'.repeat(60));
+
+    const descriptionCounts = { added: 0, changed: 0, reformatted: 0, unchanged: 0 };
+    const descriptionChanges = [];
+    const ingest = (id, source, text) => {
+      const before = descriptionStore.get(id);
+      const result = descriptionStore.put(id, source, text, startTime);
+      if (result in descriptionCounts) descriptionCounts[result]++;
+      if (result === 'changed') descriptionChanges.push({ id, source, diff: diffDescriptions(before, text) });
+    };
+    for (const job of sortedJobs) {
+      if (job.source && job.description) ingest(job.id, job.source, job.description);
     }
     for (const [id, description_text] of descriptionsMap) {
-      if (description_text) workdaySidecarMap.set(id, description_text); // current run wins
+      if (description_text) ingest(id, 'workday', description_text);
     }
-    bySource['workday'] = Array.from(workdaySidecarMap, ([id, description_text]) => ({ id, description_text }));
+    for (const job of allJobs) descriptionStore.touch(job.id, startTime);
 
-    // For JSearch: accumulate descriptions across runs.
-    // JSearch yields ~11–18 net-new jobs/run. Without accumulation, the sidecar only ever
-    // contains current-run entries — prior pool jobs lose descriptions when sidecar is rewritten.
-    // Fix: load legacy sidecar, seed ALL prior entries (no TTL prune), overlay current-run descriptions.
-    //
-    // Why no TTL prune (unlike Workday): allJobs here is the current-run fetch (~14 new JSearch jobs),
-    // not the full 601-job rolling pool. Pruning to allJSearchIds would discard all legacy entries
-    // every run, keeping only ~14 entries. JSearch pool is ~600 jobs × ~3.5KB = ~2MB total — well
-    // under the 40MB chunk limit. Size growth is bounded by the 14-day pool TTL in all_jobs.json.
-    // No extra fetch cost — JSearch descriptions are inline on job objects from jsearch-fetcher.js.
-    const JSEARCH_SIDECAR_FILE = path.join(DATA_DIR, 'descriptions-jsearch.jsonl');
-    const legacyJSearchMap = loadDescriptions(JSEARCH_SIDECAR_FILE);
-    const jsearchSidecarMap = new Map(); // id → description_text, deduplicated
-    // Seed ALL prior cached descriptions (no TTL prune — see comment above)
-    for (const [id, description_text] of legacyJSearchMap) {
-      if (description_text) jsearchSidecarMap.set(id, description_text);
-    }
-    // Current run's descriptions win (net-new jobs + any updated descriptions)
-    for (const entry of (bySource['jsearch'] || [])) {
-      if (entry.description_text) jsearchSidecarMap.set(entry.id, entry.description_text);
-    }
-    bySource['jsearch'] = Array.from(jsearchSidecarMap, ([id, description_text]) => ({ id, description_text }));
-
-    // Write per-source files (chunked if needed)
-    const writtenFiles = new Set(); // track filenames written this run for stale-file cleanup
-    for (const [src, entries] of Object.entries(bySource)) {
-      if (entries.length === 0) continue;
-
-      // Estimate total bytes for this source
-      const totalBytes = entries.reduce((sum, e) => sum + Buffer.byteLength(JSON.stringify(e), 'utf8') + 1, 0);
-      const numChunks = Math.ceil(totalBytes / SIDECAR_CHUNK_LIMIT_BYTES);
-
-      if (numChunks === 1) {
-        const fname = `descriptions-${src}.jsonl`;
-        fs.writeFileSync(path.join(DATA_DIR, fname), entries.map(e => JSON.stringify(e)).join('\n') + '\n', 'utf8');
-        writtenFiles.add(fname);
-        console.log(`📄 ${fname}: ${entries.length} entries (${(totalBytes / 1024 / 1024).toFixed(1)} MB)`);
-      } else {
-        const perChunk = Math.ceil(entries.length / numChunks);
-        for (let i = 0; i < numChunks; i++) {
-          const chunk = entries.slice(i * perChunk, (i + 1) * perChunk);
-          const fname = `descriptions-${src}-${i + 1}.jsonl`;
-          const chunkBytes = chunk.reduce((sum, e) => sum + Buffer.byteLength(JSON.stringify(e), 'utf8') + 1, 0);
-          fs.writeFileSync(path.join(DATA_DIR, fname), chunk.map(e => JSON.stringify(e)).join('\n') + '\n', 'utf8');
-          writtenFiles.add(fname);
-          console.log(`📄 ${fname}: ${chunk.length} entries (${(chunkBytes / 1024 / 1024).toFixed(1)} MB)`);
-        }
-      }
+    const descriptionChangeSummary = summarizeDescriptionChanges(descriptionChanges);
+    if (descriptionChangeSummary.significant > 0) {
+      console.log(`✏️  ${descriptionChangeSummary.significant} significant description changes (${JSON.stringify(descriptionChangeSummary.by_category)})`);
     }
-
-    // Stale file cleanup: remove any descriptions-*.jsonl files on disk (and in git) that
-    // were not written this run. Covers both chunk-count transitions (1→2 and 2→1).
-    // descriptions.jsonl (no dash-source suffix) is the Workday fetch cache — never touched here.
-    const existingSidecarFiles = fs.readdirSync(DATA_DIR)
-      .filter(f => /^descriptions-.+\.jsonl$/.test(f)); // matches descriptions-{src}*.jsonl only
-    for (const fname of existingSidecarFiles) {
-      if (!writtenFiles.has(fname)) {
-        fs.unlinkSync(path.join(DATA_DIR, fname));
-        execSync(`git rm --cached ".github/data/${fname}" 2>/dev/null || true`);
-        console.log(`🗑️  Removed stale sidecar: ${fname}`);
-      }
-    }
-
-    // NOTE: do NOT delete descriptions.jsonl — it is the Workday incremental fetch cache.
-    // Step 1b reads it to know which Workday IDs are already fetched, avoiding redundant HTTP calls.
-    // descriptions-workday.jsonl (written above) is the published sidecar for enrich-jobs.js.
-    // descriptions.jsonl remains local state only — it is NOT staged for git push.
-
+    console.log(`✅ Step 8b complete: ${descriptionCounts.added} new, ${descriptionCounts.changed} changed, ${descriptionCounts.unchanged} unchanged descriptions (${descriptionStore.size} in store)`);
     console.log('');
 
     // Step 9: Write output files
@@ -362,8 +500,8 @@ async function main() {
     // Strip pipeline internals before writing public output file
     // (source_url, source_id, _raw are internal — not needed downstream)
     // Note: 'source' is kept for downstream observability (which ATS produced each job)
-    const STRIP_FIELDS = ['source_url', 'source_id', '_raw', 'description', 'enriched', 'enriched_at', 'is_internship', 'is_new_grad', 'is_us_only', 'remote'];
-    const publicJobs = sortedJobs.map(job => {
+    const STRIP_FIELDS = ['source_url', 'source_id', '_raw', '_senior_decision', 'description', 'enriched', 'enriched_at', 'is_internship', 'is_new_grad', 'is_us_only', 'remote'];
+    let publicJobs = sortedJobs.map(job => {
       const stripped = { ...job };
       for (const field of STRIP_FIELDS) {
         delete stripped[field];
@@ -373,35 +511,61 @@ async function main() {
 
     // Merge previous all_jobs.json into current run (rolling 14-day window)
     // Jobs from prior runs that weren't re-fetched this run are preserved until their TTL expires.
+    // Degraded sources (Step 8a): prior records win over this run's copies of the same id.
+    // previousJobs is the seeded all_jobs.json — also the baseline for the change feed.
+    // priorDropReasons records why each prior job left the pool (archive closed_reason).
+    const previousJobs = readJSONL(JOBS_OUTPUT_FILE);
+    const priorDropReasons = new Map();
+    let removalStats = null;
     if (fs.existsSync(JOBS_OUTPUT_FILE)) {
       const cutoffMs = Date.now() - 14 * 24 * 60 * 60 * 1000;
+      if (degradedSources.size > 0) {
+        const priorDegradedIds = new Set(previousJobs.filter(j => degradedSources.has(j.source)).map(j => j.id));
+        const before = publicJobs.length;
+        publicJobs = publicJobs.filter(j => !(degradedSources.has(j.source) && priorDegradedIds.has(j.id)));
+        console.log(`🛡️ Last-known-good: ${before - publicJobs.length} current-run records replaced by prior versions (${[...degradedSources].join(', ')})`);
+      }
+      // Removal detection: complete-listing boards that answered but no longer list the id
+      const removal = detectRemovedJobs(previousJobs, { fetchedJobs: allJobs, degradedSources });
+      removalStats = removal.stats;
+      if (removal.stats.closed > 0) {
+        console.log(`🚪 Removed at source: ${removal.stats.closed} prior-run jobs closed early (${JSON.stringify(removal.stats.by_source)})`);
+      }
+      if (removal.stats.skipped_boards > 0) {
+        console.log(`⚠️ Removal detection: skipped ${removal.stats.skipped_boards} boards with suspiciously truncated listings`);
+      }
       const currentIds = new Set(publicJobs.map(j => j.id));
       // Fingerprint guard: prevents re-injection of jobs that changed ID (e.g. WD-ID-BUG fix)
       const currentFingerprints = new Set(publicJobs.map(j => j.fingerprint).filter(Boolean));
-      const prevLines = fs.readFileSync(JOBS_OUTPUT_FILE, 'utf8').trim().split('\n').filter(Boolean);
+      // Cluster guard: a prior record now listed as an alternate source of a current canonical record
+      const alternateIds = new Set(publicJobs.flatMap(j => (j.alternate_sources || []).map(a => a.id)));
       let mergedCount = 0;
       let nullDateCount = 0;
       let fpSkipCount = 0;
-      for (const line of prevLines) {
-        try {
-          const job = JSON.parse(line);
-          if (currentIds.has(job.id)) continue; // current run already has this job
-          if (job.fingerprint && currentFingerprints.has(job.fingerprint)) { fpSkipCount++; continue; } // same job, new ID — current version wins
-          if (!job.posted_at) { nullDateCount++; continue; } // null date — cannot verify TTL, drop
-          const postedTs = new Date(job.posted_at).getTime();
-          if (postedTs < cutoffMs) continue; // expired
-          if (isSeniorJob(job)) continue; // re-apply senior filter (WD-F5: bypass fix)
-          const strippedJob = { ...job };
-          for (const field of STRIP_FIELDS) delete strippedJob[field];
-          publicJobs.push(strippedJob);
-          mergedCount++;
-        } catch { /* skip malformed lines */ }
+      for (const job of previousJobs) {
+        if (currentIds.has(job.id)) continue; // current run already has this job
+        if (job.fingerprint && currentFingerprints.has(job.fingerprint)) { fpSkipCount++; priorDropReasons.set(job.id, 'superseded'); continue; } // same job, new ID — current (or first merged) version wins
+        if (alternateIds.has(job.id)) { priorDropReasons.set(job.id, 'clustered'); continue; } // folded into a canonical record
+        if (removal.closedIds.has(job.id)) { priorDropReasons.set(job.id, 'removed_at_source'); continue; } // employer pulled it
+        if (!job.posted_at) { nullDateCount++; priorDropReasons.set(job.id, 'null_posted_at'); continue; } // null date — cannot verify TTL, drop
+        const postedTs = new Date(job.posted_at).getTime();
+        if (postedTs < cutoffMs) { priorDropReasons.set(job.id, 'expired'); continue; } // expired
+        // re-apply senior filter (WD-F5: bypass fix), with the same description refinement as Step 4a
+        if (decideSeniority(job, isSeniorJob(job), descriptionStore.get(job.id)).senior) { priorDropReasons.set(job.id, 'senior'); continue; }
+        const strippedJob = { ...job };
+        for (const field of STRIP_FIELDS) delete strippedJob[field];
+        publicJobs.push(strippedJob);
+        mergedCount++;
+        // Prior records can share a fingerprint among themselves (two ids for one posting):
+        // the first one merged wins, so output validation's unique:fingerprint holds
+        currentIds.add(job.id);
+        if (job.fingerprint) currentFingerprints.add(job.fingerprint);
       }
       if (nullDateCount > 0) {
         console.log(`⚠️ Rolling window: dropped ${nullDateCount} prior-run jobs with null posted_at (cannot verify TTL)`);
       }
       if (fpSkipCount > 0) {
-        console.log(`🔄 Rolling window: skipped ${fpSkipCount} prior-run jobs with matching fingerprint (ID changed, current version wins)`);
+        console.log(`🔄 Rolling window: skipped ${fpSkipCount} prior-run jobs with matching fingerprint (ID changed or duplicate, one version kept)`);
       }
       if (mergedCount > 0) {
         // Re-sort after merge (newest first)
@@ -410,31 +574,222 @@ async function main() {
       } else {
         console.log('🔄 No prior-run jobs to merge');
       }
+      for (const job of previousJobs) {
+        if (priorDropReasons.has(job.id)) auditLog.record(job, 'rolling_window', priorDropReasons.get(job.id), startTime);
+      }
     }
 
-    // Archive expiring jobs BEFORE overwriting all_jobs.json
-    const { getExpiringJobs, appendToWeeklyArchive } = require(`${SHARED}/utils/archiver`);
-    const ARCHIVE_DIR = path.join(DATA_DIR, 'archive');
-    const expiringJobs = getExpiringJobs(JOBS_OUTPUT_FILE, publicJobs);
-    if (expiringJobs.length > 0) {
-      const archiveFile = appendToWeeklyArchive(expiringJobs, ARCHIVE_DIR);
-      console.log(`📦 Archived ${expiringJobs.length} expiring jobs → ${path.basename(archiveFile)}`);
-    } else {
-      console.log('📦 No expiring jobs this run');
+    // Lifecycle: first_seen / last_seen / times_seen / reposted_count per fingerprint.
+    // "Seen" = fetched this run (sortedJobs); anything no longer in publicJobs is closed.
+    const lifecycleStore = loadLifecycleStore(LIFECYCLE_STORE_FILE);
+    const lifecycleRun = updateLifecycle(lifecycleStore, {
+      seenJobs: sortedJobs,
+      poolJobs: publicJobs,
+      now: new Date(startTime).toISOString(),
+    });
+    applyLifecycleFields(publicJobs, lifecycleStore);
+
+    // Description revisions: when the text last changed (null = never) and how many earlier versions are kept
+    for (const job of publicJobs) {
+      if (!job.alternate_sources) job.alternate_sources = []; // records published before clustering
+      const entry = descriptionStore.getEntry(job.id);
+      job.description_updated_at = entry?.updated || null;
+      job.description_revisions = entry?.revisions?.length || 0;
     }
 
-    // Write jobs (JSONL format)
-    await writeJobsJSONL(publicJobs, JOBS_OUTPUT_FILE);
+    // Structured fields from description text: salary, years of experience, degree, sponsorship, clearance
+    const extractionStats = applyExtractedFields(publicJobs, id => descriptionStore.get(id));
+    // Tag rules again over the whole public pool: prior-run records pick up a new rules version
+    // (changed counts are against the tags they were published with)
+    const tagRuleStats = applyTagRules(publicJobs, job => descriptionStore.get(job.id));
+    // Companies again over the whole public pool: prior-run records pick up registry edits,
+    // and the unknown list in metadata covers everything published
+    const companyStats = resolveCompanies(publicJobs);
+    console.log(`🏢 Companies: ${companyStats.resolved}/${companyStats.jobs} records matched the registry, ${companyStats.unknown_companies} unknown companies`);
+    // Near-duplicates: one role posted per city → variant_ids / variant_of / merged locations.
+    // Variants stay published; consumers that want one card per role skip variant_of records.
+    const nearDuplicateStats = groupNearDuplicates(publicJobs, id => descriptionStore.get(id));
+    console.log(`🪞 Near-duplicates: ${nearDuplicateStats.variants} postings grouped as variants of ${nearDuplicateStats.groups} multi-location jobs`);
+    // Locations → geo [{ city, state, country, lat, lon }] + workplace from the bundled gazetteer (geo/);
+    // unresolved strings go to metadata so the alias table can grow
+    const locationStats = normalizeLocations(publicJobs);
+    console.log(`📍 Locations: ${locationStats.city_level} city-level, ${locationStats.region_or_country_level} region/country-level, ${locationStats.no_geo} none (${locationStats.unresolved_strings} unresolved strings)`);
+    console.log(`🔎 Extraction: salary ${extractionStats.coverage_pct.salary}%, experience ${extractionStats.coverage_pct.min_years_experience}%, degree ${extractionStats.coverage_pct.degree_required}% of ${extractionStats.with_description} described jobs`);
+    console.log(`⏱️  Lifecycle: ${lifecycleRun.added} new, ${lifecycleRun.reopened} reopened, ${lifecycleRun.closed} closed`);
+
+    // Validate every public record against schema/job-record.schema.json.
+    // Any violation blocks the write: the previous all_jobs.json stays in place,
+    // the per-rule report goes into metadata, and the run fails after Step 9.
+    const outputValidation = validateOutput(publicJobs);
+    printOutputValidation(outputValidation);
+    let changeSummary = null;
+    let descriptionStoreStats = null;
+    let searchIndexStats = null;
+    let auditLogStats = null;
+
+    // Per-consumer feeds (feeds/feed-definitions.json): each board's slice of the public pool
+    const feedDefinitions = loadFeedDefinitions();
+    const { feeds, stats: feedStats } = buildFeeds(publicJobs, feedDefinitions);
+    console.log(`🗂️  Feeds: ${Object.entries(feedStats).map(([name, s]) => `${name} ${s.jobs}`).join(', ')}`);
+
+    if (outputValidation.passed) {
+      // Archive expiring jobs BEFORE overwriting all_jobs.json
+      const { getExpiringJobs, appendToWeeklyArchive } = require(`${SHARED}/utils/archiver`);
+      const ARCHIVE_DIR = path.join(DATA_DIR, 'archive');
+      const expiringJobs = getExpiringJobs(JOBS_OUTPUT_FILE, publicJobs)
+        .map(job => ({ ...job, closed_reason: priorDropReasons.get(job.id) || 'expired' }));
+      if (expiringJobs.length > 0) {
+        const archiveFile = appendToWeeklyArchive(expiringJobs, ARCHIVE_DIR);
+        console.log(`📦 Archived ${expiringJobs.length} expiring jobs → ${path.basename(archiveFile)}`);
+      } else {
+        console.log('📦 No expiring jobs this run');
+      }
+
+      // Change feed: added / updated / removed vs the previous all_jobs.json
+      const changeContext = { run: RUN_ID, at: new Date().toISOString(), reasons: priorDropReasons };
+      const changeEvents = computeChanges(previousJobs, publicJobs, changeContext);
+      const changeFeed = writeChangeFeed(changeEvents, DATA_DIR, changeContext);
+      changeSummary = { run: String(RUN_ID), file: changeFeed.file, ...changeFeed.summary };
+      console.log(`🧾 Change feed → ${changeFeed.file}: +${changeFeed.summary.added} ~${changeFeed.summary.updated} -${changeFeed.summary.removed}`);
+
+      // Write jobs (JSONL format)
+      await writeJobsJSONL(publicJobs, JOBS_OUTPUT_FILE);
+      fs.writeFileSync(LIFECYCLE_STORE_FILE, JSON.stringify(lifecycleStore) + '\n', 'utf8');
+
+      // Feeds: one JSONL per board, regenerated every run; feeds no longer defined are removed
+      const FEEDS_DIR = path.join(DATA_DIR, 'feeds');
+      fs.mkdirSync(FEEDS_DIR, { recursive: true });
+      const writtenFeeds = new Set();
+      for (const [name, feedJobs] of Object.entries(feeds)) {
+        for (const file of writeChunkedJSONL(FEEDS_DIR, name, feedJobs)) writtenFeeds.add(file.fname);
+      }
+      for (const fname of removeStaleFiles(FEEDS_DIR, /\.jsonl$/, writtenFeeds)) {
+        console.log(`🗑️  Removed stale feed: ${fname}`);
+      }
+
+      // Description store: jobs still in the pool stay live, the rest age out by TTL.
+      // Sidecars are regenerated from the store, sorted by id, so only changed lines diff.
+      // enrich-jobs.js reads all files matching descriptions-*.jsonl — auto-picks up new chunks.
+      for (const job of publicJobs) descriptionStore.touch(job.id, startTime);
+      const expiredDescriptions = descriptionStore.expire(startTime);
+      const writtenSidecars = new Set();
+      for (const src of descriptionStore.sources()) {
+        for (const file of writeChunkedJSONL(DATA_DIR, `descriptions-${src}`, descriptionStore.entriesForSource(src))) {
+          writtenSidecars.add(file.fname);
+          console.log(`📄 ${file.fname}: ${file.entries} entries (${(file.bytes / 1024 / 1024).toFixed(1)} MB)`);
+        }
+      }
+      for (const fname of removeStaleFiles(DATA_DIR, /^descriptions-.+\.jsonl$/, writtenSidecars)) {
+        console.log(`🗑️  Removed stale sidecar: ${fname}`);
+      }
+
+      // Full-text search index (BM25 over title, company, location, tags, description),
+      // read by lib/search/search-index.js; only the shards a query's terms hash to are loaded
+      searchIndexStats = buildSearchIndex(path.join(DATA_DIR, 'search'), publicJobs, id => descriptionStore.get(id));
+      console.log(`🔍 Search index: ${searchIndexStats.docs} jobs, ${searchIndexStats.terms} terms, ${searchIndexStats.postings} postings (${(searchIndexStats.bytes / 1024 / 1024).toFixed(1)} MB in ${searchIndexStats.files} files)`);
+
+      const storeSave = descriptionStore.save();
+      descriptionStoreStats = {
+        entries: storeSave.entries,
+        ...descriptionCounts,
+        expired: expiredDescriptions,
+        segments: storeSave.segments,
+        compacted: storeSave.compacted,
+      };
+      console.log(`🗄️  Description store: ${storeSave.entries} entries, ${storeSave.appended} texts appended, ${expiredDescriptions} expired${storeSave.compacted ? ', compacted' : ''} (${storeSave.segments} segments)`);
+
+      const expiredAuditEntries = auditLog.expire(startTime);
+      const auditFiles = auditLog.save();
+      auditLogStats = { entries: auditLog.size, recorded_this_run: auditLog.recorded, expired: expiredAuditEntries, files: auditFiles.length };
+      console.log(`🧾 Audit log: ${auditLog.size} entries (${JSON.stringify(auditLog.recorded)} this run) → ${auditFiles.map(f => f.fname).join(', ')}`);
+    } else {
+      console.log('⛔ all_jobs.json NOT written — previous file left in place');
+    }
 
     // Write metadata
     const duration = Date.now() - startTime;
-    const metadata = generateMetadata(sortedJobs, dedupedJobs.length, duplicates, duration, tagStats, validationMetrics, seniorFilterMetrics, seniorJobs);
+    const metadata = generateMetadata(sortedJobs, dedupedJobs.length, duplicates, duration, tagStats, validationMetrics, seniorFilterMetrics, seniorJobs, {
+      fetch_status: fetchStatus,
+      fetch_duration_ms: fetchDuration,
+      rate_limit_stats: rateLimiter.getStats(),
+      source_health: sourceHealth,
+      output_validation: outputValidation,
+      changes: changeSummary,
+      lifecycle_stats: summarizeLifecycle(lifecycleStore, lifecycleRun),
+      removal_detection: removalStats,
+      description_store: descriptionStoreStats,
+      description_changes: descriptionChangeSummary,
+      extraction_stats: extractionStats,
+      duplicate_clusters: clusterStats,
+      near_duplicates: nearDuplicateStats,
+      location_normalization: locationStats,
+      tag_rules: tagRuleStats,
+      company_registry: companyStats,
+      ats_boards: fetchResults.find(r => r.name === 'ats-config')?.details || null,
+      feeds: feedStats,
+      search_index: searchIndexStats,
+      audit_log: auditLogStats,
+    });
+
+    // Schema version: bumped automatically when the public record or metadata
+    // field set changes (see lib/processors/schema-versioning.js).
+    const jobSchema = loadJobSchema();
+    const schemaVersion = resolveSchemaVersion({
+      schema: jobSchema,
+      jobs: publicJobs,
+      metadata,
+      changelog: loadChangelog(SCHEMA_CHANGELOG_FILE),
+    });
+    metadata.version = schemaVersion.version;
+    metadata.min_compatible_version = schemaVersion.min_compatible_version;
+    if (schemaVersion.bumped) {
+      const kind = schemaVersion.entry.breaking ? 'BREAKING' : 'additive';
+      console.log(`🧬 Schema version → ${schemaVersion.version} (${kind}, min compatible ${schemaVersion.min_compatible_version})`);
+    }
+    if (outputValidation.passed) {
+      fs.writeFileSync(SCHEMA_CHANGELOG_FILE, JSON.stringify(schemaVersion.changelog, null, 2) + '\n', 'utf8');
+      fs.writeFileSync(SCHEMA_OUTPUT_FILE, JSON.stringify(buildPublishedSchema(jobSchema, schemaVersion), null, 2) + '\n', 'utf8');
+    }
+
     await writeMetadata(metadata, METADATA_OUTPUT_FILE);
 
+    if (!outputValidation.passed) {
+      throw new Error(`Output validation failed: ${outputValidation.total_violations} violations (see output_validation in jobs-metadata.json)`);
+    }
+
     console.log('');
     console.log(`✅ Step 9 complete: Output files written`);
     console.log('');
 
+    // Step 9a: Exports — the published pool (and feeds marked "export") as CSV,
+    // RSS 2.0, Atom and JSON Feed for partners and the newsletter
+    console.log('📰 Step 9a: Writing exports...');
+    console.log('━'.repeat(60));
+
+    const EXPORTS_DIR = path.join(DATA_DIR, 'exports');
+    const allExport = exportJobs(EXPORTS_DIR, 'jobs', publicJobs, {
+      title: 'Zapply — new grad, entry level and internship jobs',
+      description: 'Newest entry-level, new-grad and internship postings aggregated by Zapply',
+    });
+    console.log(`📰 exports/jobs.*: ${allExport.jobs} jobs in CSV, newest ${allExport.items} in RSS / Atom / JSON Feed`);
+    const writtenExports = new Set();
+    for (const feed of feedDefinitions.filter(f => f.export)) {
+      const feedExport = exportJobs(path.join(EXPORTS_DIR, 'feeds'), feed.name, feeds[feed.name], {
+        title: `Zapply — ${feed.repo || feed.name}`,
+        description: `Jobs published on ${feed.repo || `the ${feed.name} feed`}`,
+      });
+      for (const fname of feedExport.files) writtenExports.add(fname);
+      console.log(`📰 exports/feeds/${feed.name}.*: ${feedExport.jobs} jobs, newest ${feedExport.items} in feeds`);
+    }
+    if (fs.existsSync(path.join(EXPORTS_DIR, 'feeds'))) {
+      for (const fname of removeStaleFiles(path.join(EXPORTS_DIR, 'feeds'), /\.(csv|rss\.xml|atom\.xml|feed\.json)$/, writtenExports)) {
+        console.log(`🗑️  Removed stale export: ${fname}`);
+      }
+    }
+
+    console.log(`✅ Step 9a complete: Exports written`);
+    console.log('');
+
     // Step 10: Print summary
     printSummary(sortedJobs, dedupedJobs.length, duplicates, duration);
 
@@ -481,9 +836,11 @@ async function main() {
  * @param {Object} tagStats - Tag statistics from tag engine
  * @param {Object} validationMetrics - Validation metrics
  * @param {Object} seniorFilterMetrics - Senior filter metrics
+ * @param {Array} seniorJobs - Senior-filtered jobs
+ * @param {Object} [extra] - Additional metadata sections (fetch_status, ...)
  * @returns {Object} - Metadata object
  */
-function generateMetadata(jobs, uniqueCount, duplicateCount, duration, tagStats, validationMetrics, seniorFilterMetrics, seniorJobs) {
+function generateMetadata(jobs, uniqueCount, duplicateCount, duration, tagStats, validationMetrics, seniorFilterMetrics, seniorJobs, extra = {}) {
   const bySource = {};
   const byEmploymentType = {};
   const byInternship = { internship: 0, 'new-grad': 0, mid_level: 0 };
@@ -530,16 +887,19 @@ function generateMetadata(jobs, uniqueCount, duplicateCount, duration, tagStats,
       if (ageMs <= 48 * 60 * 60 * 1000) freshness.last_48h++;
     }
 
-    // Company counts (for top-N)
-    const co = job.company_name;
-    if (co) companyCounts[co] = (companyCounts[co] || 0) + 1;
+    // Company counts (for top-N) — by canonical company (Step 5a), so legal entities roll up
+    const co = job.company_id || job.company_name;
+    if (co) {
+      if (!companyCounts[co]) companyCounts[co] = { name: companyName(job.company_id) || job.company_name, count: 0 };
+      companyCounts[co].count++;
+    }
   }
 
   // Top 15 companies by job count
   const top_companies = Object.entries(companyCounts)
-    .sort((a, b) => b[1] - a[1])
+    .sort((a, b) => b[1].count - a[1].count)
     .slice(0, 15)
-    .map(([company, count]) => ({ company, count }));
+    .map(([id, { name, count }]) => ({ company: name, company_id: id, count }));
 
   // Senior-filtered breakdown by source
   const seniorBySource = {};
@@ -551,7 +911,9 @@ function generateMetadata(jobs, uniqueCount, duplicateCount, duration, tagStats,
   }
 
   return {
-    version: '1.0',
+    // Schema version — set from schema-changelog.json after generation (Step 9)
+    version: null,
+    min_compatible_version: null,
     generated: new Date().toISOString(),
     duration_ms: duration,
 
@@ -584,6 +946,8 @@ function generateMetadata(jobs, uniqueCount, duplicateCount, duration, tagStats,
 
     // Top 15 companies by job count (entry-level pool)
     top_companies,
+
+    ...extra,
   };
 }
 
@@ -624,8 +988,6 @@ function printSummary(jobs, uniqueCount, duplicateCount, duration) {
  * @param {number} jobCount - Number of jobs for commit message
  */
 async function gitCommit(jobCount) {
-  const { execSync } = require('child_process');
-
   try {
     // Configure git
     execSync('git config user.email "bot@zapplyjobs.com"');
@@ -634,11 +996,19 @@ async function gitCommit(jobCount) {
     // Add output files
     execSync('git add .github/data/all_jobs.json');
     execSync('git add .github/data/jobs-metadata.json');
+    execSync('git add .github/data/schema.json .github/data/schema-changelog.json 2>/dev/null || true'); // published schema + version history
     execSync('git add .github/data/dedupe-store.json');
+    execSync('git add .github/data/lifecycle-store.json 2>/dev/null || true'); // per-fingerprint first/last seen
+    execSync('git add .github/data/ats-board-state.json 2>/dev/null || true'); // zero-job streaks of configured ATS boards
     execSync('git add .github/data/filtered_jobs.json 2>/dev/null || true'); // senior-filter summary for analytics (PIPELINE-1)
     execSync('git add .github/data/archive/ 2>/dev/null || true'); // archive dir may not exist yet
-    execSync('git add .github/data/descriptions-*.jsonl 2>/dev/null || true'); // per-source description sidecars (published)
-    // descriptions.jsonl is Workday fetch cache — NOT staged (local state only, managed by Step 1b)
+    execSync('git add -A .github/data/changes/ .github/data/changes-latest.jsonl 2>/dev/null || true'); // delta feed (-A stages pruned runs)
+    execSync('git add -A .github/data/description-store/ 2>/dev/null || true'); // -A stages compacted segments
+    execSync('git add -A .github/data/feeds/ 2>/dev/null || true'); // per-consumer feeds (-A stages removed feeds)
+    execSync('git add -A .github/data/exports/ 2>/dev/null || true'); // CSV / RSS / Atom / JSON Feed exports
+    execSync('git add -A .github/data/audit/ 2>/dev/null || true'); // why each job was dropped (-A stages removed chunks)
+    execSync("git add -A -- '.github/data/descriptions-*.jsonl' 2>/dev/null || true"); // published sidecars (quoted: git matches deleted chunks too)
+    // descriptions.jsonl is Workday fetch cache — NOT staged (local state only, rebuilt from the store in Step 1b)
 
     // Check if there are changes
     const status = execSync('git status --porcelain', { encoding: 'utf8' });
@@ -0,0 +1,166 @@
+/**
+ * Pipeline tunables for local modules.
+ *
+ * Values can be overridden with environment variables so a workflow
+ * dispatch (or a local run) can adjust them without a code change.
+ */
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+// ─── Step 1: fetching ──────────────────────────────────────────────────────
+
+// Number of registered sources fetched in parallel
+const FETCH_CONCURRENCY = envInt('FETCH_CONCURRENCY', 4);
+
+// Per-host request limits, applied to every axios request made during the run.
+// Rules are matched in order against the request hostname; the first match wins.
+// `bucket` groups hosts that share infrastructure (Workday tenants live on shared
+// wdN clusters), so tenants on the same cluster share one limit.
+const HOST_RATE_LIMITS = [
+  {
+    match: /\.myworkdayjobs\.com$/,
+    bucket: host => host.split('.').slice(-3).join('.'), // wd5.myworkdayjobs.com
+    maxConcurrent: envInt('WORKDAY_MAX_CONCURRENT', 3),
+    minIntervalMs: envInt('WORKDAY_MIN_INTERVAL_MS', 200),
+  },
+  {
+    match: /(^|\.)greenhouse\.io$/,
+    bucket: () => 'greenhouse.io',
+    maxConcurrent: envInt('GREENHOUSE_MAX_CONCURRENT', 4),
+    minIntervalMs: envInt('GREENHOUSE_MIN_INTERVAL_MS', 100),
+  },
+  {
+    match: /.*/,
+    bucket: host => host,
+    maxConcurrent: envInt('HOST_MAX_CONCURRENT', 4),
+    minIntervalMs: envInt('HOST_MIN_INTERVAL_MS', 50),
+  },
+];
+
+// Boards in companies/ats-boards.json fetched in parallel by the ats-config source
+// (each board's requests still go through the per-host limits above)
+const ATS_BOARD_CONCURRENCY = envInt('ATS_BOARD_CONCURRENCY', 6);
+
+// Page cap per paginated board (Workday: 20 postings/page, SmartRecruiters: 100)
+const ATS_MAX_PAGES = envInt('ATS_MAX_PAGES', 50);
+
+// A configured board that answered with zero jobs this many runs in a row is
+// flagged dead in metadata (ats_boards.dead_boards) and by validate-company
+const DEAD_BOARD_RUNS = envInt('DEAD_BOARD_RUNS', 5);
+
+// ─── Step 4a: senior filter refinement ─────────────────────────────────────
+
+// A description whose lowest stated requirement is this many years is senior
+const SENIOR_MIN_YEARS = envInt('SENIOR_MIN_YEARS', 5);
+
+// Description signals below this confidence never overturn the title-only
+// decision (SENIOR_MIN_CONFIDENCE_PCT=80 → 0.8)
+const SENIOR_MIN_CONFIDENCE = envInt('SENIOR_MIN_CONFIDENCE_PCT', 75) / 100;
+
+// ─── Step 5: tag rules ─────────────────────────────────────────────────────
+
+// tags/rules-vN.json applied after the shared tag engine; 0 = the newest file
+const TAG_RULES_VERSION = envInt('TAG_RULES_VERSION', 0);
+
+// ─── Step 6: duplicate clustering ──────────────────────────────────────────
+
+// Which copy of a duplicated job becomes the canonical record: earlier wins.
+// Direct employer ATS feeds first, aggregators last; unlisted sources go after these.
+const SOURCE_PRIORITY = [
+  'greenhouse', 'lever', 'ashby', 'workday', 'smartrecruiters', 'eightfold', 'amazon', 'netflix', 'jsearch',
+];
+
+// ─── Step 8a: volume guard ─────────────────────────────────────────────────
+
+// A source is `degraded` when its count drops by more than this fraction
+// compared with the previous run (VOLUME_DROP_PCT=60 → 0.6)
+const VOLUME_DROP_THRESHOLD = envInt('VOLUME_DROP_PCT', 50) / 100;
+
+// Sources whose baseline is below this are too small to judge (JSearch: ~15/run)
+const VOLUME_MIN_BASELINE = envInt('VOLUME_MIN_BASELINE', 50);
+
+// ─── Step 8b: description store ────────────────────────────────────────────
+
+// Descriptions whose job id hasn't been fetched or in the public pool for this
+// many days are dropped from the store (and so from the published sidecars)
+const DESCRIPTION_TTL_DAYS = envInt('DESCRIPTION_TTL_DAYS', 14);
+
+// Earlier versions kept per job id when its description changes
+const DESCRIPTION_MAX_REVISIONS = envInt('DESCRIPTION_MAX_REVISIONS', 5);
+
+// A changed description is `significant` (reported with a sample in metadata)
+// below this word-set similarity, or when pay / location / requirement lines change
+const DESCRIPTION_SIGNIFICANT_SIMILARITY = envInt('DESCRIPTION_SIGNIFICANT_SIMILARITY_PCT', 90) / 100;
+
+// Segments are compacted once unreferenced text exceeds this share of their
+// bytes (DESCRIPTION_COMPACT_DEAD_PCT=50 → 0.5)
+const DESCRIPTION_COMPACT_DEAD_RATIO = envInt('DESCRIPTION_COMPACT_DEAD_PCT', 50) / 100;
+
+// ─── Step 9: rolling window ────────────────────────────────────────────────
+
+// Sources that return a company's complete listing on every fetch — a missing
+// id on a board that answered means the employer removed the posting
+const COMPLETE_LISTING_SOURCES = ['greenhouse', 'lever', 'ashby', 'workday'];
+
+// Don't close more than this fraction of a board's prior jobs in a single run
+// (REMOVAL_MAX_BOARD_PCT=50 → 0.5); beyond it the listing is likely truncated
+const REMOVAL_MAX_BOARD_FRACTION = envInt('REMOVAL_MAX_BOARD_PCT', 50) / 100;
+
+// ─── Step 9: near-duplicate variants ───────────────────────────────────────
+
+// Same company + normalized title are variants of one role when their descriptions'
+// estimated (minhash) similarity is at least this (NEAR_DUPLICATE_SIMILARITY_PCT=90 → 0.9)
+const NEAR_DUPLICATE_SIMILARITY = envInt('NEAR_DUPLICATE_SIMILARITY_PCT', 80) / 100;
+
+// Each posting is compared with at most this many existing groups of the same
+// company + title (bounds the work for boards with hundreds of identical titles)
+const NEAR_DUPLICATE_MAX_GROUPS = envInt('NEAR_DUPLICATE_MAX_GROUPS', 50);
+
+// ─── Step 9: output ────────────────────────────────────────────────────────
+
+// Per-run change files (changes/changes-<run>.jsonl) older than this are deleted
+const CHANGES_RETENTION_DAYS = envInt('CHANGES_RETENTION_DAYS', 7);
+
+// Closed lifecycle entries are forgotten after this (reposts later than this count as new)
+const LIFECYCLE_RETENTION_DAYS = envInt('LIFECYCLE_RETENTION_DAYS', 60);
+
+// Audit log entries (why a job was dropped) not re-recorded for this long are pruned
+const AUDIT_RETENTION_DAYS = envInt('AUDIT_RETENTION_DAYS', 14);
+
+// Term files of the full-text search index (search/terms-NN.jsonl); a term is in
+// the file its hash picks, so a query reads a few files instead of the whole index
+const SEARCH_INDEX_SHARDS = envInt('SEARCH_INDEX_SHARDS', 32);
+
+// RSS / Atom / JSON Feed exports list only the newest this many jobs (CSV exports are complete)
+const EXPORT_MAX_ITEMS = envInt('EXPORT_MAX_ITEMS', 200);
+
+module.exports = {
+  envInt,
+  FETCH_CONCURRENCY,
+  HOST_RATE_LIMITS,
+  ATS_BOARD_CONCURRENCY,
+  ATS_MAX_PAGES,
+  DEAD_BOARD_RUNS,
+  SENIOR_MIN_YEARS,
+  SENIOR_MIN_CONFIDENCE,
+  TAG_RULES_VERSION,
+  SOURCE_PRIORITY,
+  VOLUME_DROP_THRESHOLD,
+  VOLUME_MIN_BASELINE,
+  DESCRIPTION_TTL_DAYS,
+  DESCRIPTION_COMPACT_DEAD_RATIO,
+  DESCRIPTION_MAX_REVISIONS,
+  DESCRIPTION_SIGNIFICANT_SIMILARITY,
+  COMPLETE_LISTING_SOURCES,
+  NEAR_DUPLICATE_SIMILARITY,
+  NEAR_DUPLICATE_MAX_GROUPS,
+  REMOVAL_MAX_BOARD_FRACTION,
+  CHANGES_RETENTION_DAYS,
+  LIFECYCLE_RETENTION_DAYS,
+  AUDIT_RETENTION_DAYS,
+  SEARCH_INDEX_SHARDS,
+  EXPORT_MAX_ITEMS,
+};
@@ -0,0 +1,245 @@
+/**
+ * ATS Adapters — one public job board → job records
+ *
+ * Used by the ats-config source (companies/ats-boards.json) and by
+ * validate-company.js. Each adapter fetches a board's complete listing from
+ * the ATS's public API and returns records in the same shape (and with the
+ * same ids) as the shared ats-fetcher, so a board can move from the shared
+ * list to the config file without its jobs changing id:
+ *
+ *   greenhouse       board = board token          boards-api.greenhouse.io
+ *   lever            board = site name            api.lever.co
+ *   ashby            board = job board name       api.ashbyhq.com
+ *   workday          board = tenant.wdN/site      <tenant>.<wdN>.myworkdayjobs.com
+ *   smartrecruiters  board = company identifier   api.smartrecruiters.com
+ *   eightfold        board = tenant, + domain     <tenant>.eightfold.ai
+ *
+ * Records keep the ATS's own posting as _raw (stripped in Step 9) so Step 2
+ * can expand multi-location postings from it.
+ *
+ * Paginated adapters (workday, smartrecruiters, eightfold) stop after
+ * ATS_MAX_PAGES pages; a board that still had pages left comes back with
+ * truncated: true, so a cut-off listing is reported rather than looking complete.
+ */
+
+const axios = require('axios');
+const { ATS_MAX_PAGES } = require('../config');
+
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+const WORKDAY_PAGE_SIZE = 20;
+const SMARTRECRUITERS_PAGE_SIZE = 100;
+const EIGHTFOLD_PAGE_SIZE = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Same slug the shared fetcher derives for Workday tenants ("Nationwide Children's" → nationwide-children's)
+const slugify = name => String(name).toLowerCase().trim().replace(/\s+/g, '-');
+
+const toIso = value => {
+  if (value === null || value === undefined || value === '') return null;
+  const date = new Date(typeof value === 'number' && value < 1e12 ? value * 1000 : value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Workday's relative "Posted 3 Days Ago" → ISO date
+ * @param {string} postedOn
+ * @param {number} now - Epoch ms
+ * @returns {string|null}
+ */
+function parseWorkdayPostedOn(postedOn, now = Date.now()) {
+  const text = String(postedOn || '').toLowerCase();
+  if (text.includes('today')) return new Date(now).toISOString();
+  if (text.includes('yesterday')) return new Date(now - DAY_MS).toISOString();
+  const days = text.match(/(\d+)\+?\s*days?/);
+  return days ? new Date(now - Number(days[1]) * DAY_MS).toISOString() : null;
+}
+
+/**
+ * Fields every adapter fills the same way
+ * @param {Object} entry - Board config entry ({ ats, board, name })
+ * @param {Object} fields - Adapter-specific fields (id, title, location, url, ...)
+ * @returns {Object} - Job record
+ */
+function buildJob(entry, { company_slug: slug = entry.board, ...fields }) {
+  const location = fields.location || '';
+  const [city = '', state = ''] = location.split(',').map(s => s.trim());
+  return {
+    source: entry.ats,
+    company_name: entry.name,
+    company_slug: slug,
+    location,
+    locations: [location],
+    job_city: city,
+    job_state: state,
+    apply_url: fields.url,
+    departments: [],
+    employment_type: null,
+    description: null,
+    ...fields,
+    id: `${entry.ats}-${slug}-${fields.id}`,
+    fetched_at: new Date().toISOString(),
+  };
+}
+
+const get = (url, params) => axios.get(url, { params, timeout: REQUEST_TIMEOUT_MS }).then(r => r.data);
+
+// ─── Adapters ──────────────────────────────────────────────────────────────
+
+async function fetchGreenhouse(entry) {
+  const data = await get(`https://boards-api.greenhouse.io/v1/boards/${entry.board}/jobs`, { content: true });
+  const jobs = (data.jobs || []).map(raw => buildJob(entry, {
+    id: String(raw.id),
+    title: raw.title,
+    location: raw.location?.name || '',
+    url: raw.absolute_url,
+    departments: (raw.departments || []).map(d => d.name).filter(Boolean),
+    posted_at: toIso(raw.first_published || raw.updated_at),
+    description: raw.content || null,
+    _raw: raw,
+  }));
+  return { jobs, truncated: false };
+}
+
+async function fetchLever(entry) {
+  const data = await get(`https://api.lever.co/v0/postings/${entry.board}`, { mode: 'json' });
+  const jobs = (Array.isArray(data) ? data : []).map(raw => buildJob(entry, {
+    id: raw.id,
+    title: raw.text,
+    location: raw.categories?.location || '',
+    url: raw.hostedUrl,
+    apply_url: raw.applyUrl || raw.hostedUrl,
+    departments: [raw.categories?.department, raw.categories?.team].filter(Boolean),
+    employment_type: raw.categories?.commitment || null,
+    posted_at: toIso(raw.createdAt),
+    description: raw.description || raw.descriptionPlain || null,
+    _raw: raw,
+  }));
+  return { jobs, truncated: false };
+}
+
+async function fetchAshby(entry) {
+  const data = await get(`https://api.ashbyhq.com/posting-api/job-board/${entry.board}`, { includeCompensation: true });
+  const jobs = (data.jobs || []).filter(raw => raw.isListed !== false).map(raw => buildJob(entry, {
+    id: raw.id,
+    title: raw.title,
+    location: raw.location || '',
+    url: raw.jobUrl,
+    apply_url: raw.applyUrl || raw.jobUrl,
+    department: raw.department || null,
+    team: raw.team || null,
+    employment_type: raw.employmentType || null,
+    is_remote: raw.isRemote === true,
+    posted_at: toIso(raw.publishedAt),
+    description: raw.descriptionHtml || raw.descriptionPlain || null,
+    _raw: raw,
+  }));
+  return { jobs, truncated: false };
+}
+
+async function fetchWorkday(entry) {
+  const [host, site] = entry.board.split('/');
+  const [tenant] = host.split('.');
+  const origin = `https://${host}.myworkdayjobs.com`;
+  const now = Date.now();
+  const jobs = [];
+  let total = 0; // only the first page carries it; later pages report total: 0
+  let truncated = true; // until a page shows the listing ended
+
+  for (let page = 0; page < ATS_MAX_PAGES; page++) {
+    const { data } = await axios.post(`${origin}/wday/cxs/${tenant}/${site}/jobs`,
+      { appliedFacets: {}, limit: WORKDAY_PAGE_SIZE, offset: page * WORKDAY_PAGE_SIZE, searchText: '' },
+      { timeout: REQUEST_TIMEOUT_MS });
+    const postings = data.jobPostings || [];
+    if (page === 0) total = data.total || 0;
+    for (const raw of postings) {
+      const requisition = raw.bulletFields?.[0] || String(raw.externalPath || '').split('_').pop();
+      jobs.push(buildJob(entry, {
+        id: requisition,
+        company_slug: slugify(entry.name),
+        title: raw.title,
+        location: raw.locationsText || '',
+        url: `${origin}/${site}${raw.externalPath}`,
+        posted_at: parseWorkdayPostedOn(raw.postedOn, now),
+        _raw: raw,
+      }));
+    }
+    if (postings.length < WORKDAY_PAGE_SIZE || jobs.length >= total) { truncated = false; break; }
+  }
+  return { jobs, truncated };
+}
+
+async function fetchSmartRecruiters(entry) {
+  const jobs = [];
+  let truncated = true;
+  for (let page = 0; page < ATS_MAX_PAGES; page++) {
+    const data = await get(`https://api.smartrecruiters.com/v1/companies/${entry.board}/postings`,
+      { limit: SMARTRECRUITERS_PAGE_SIZE, offset: page * SMARTRECRUITERS_PAGE_SIZE });
+    const postings = data.content || [];
+    for (const raw of postings) {
+      const place = raw.location || {};
+      jobs.push(buildJob(entry, {
+        id: raw.id,
+        title: raw.name,
+        location: place.fullLocation || [place.city, place.region, place.country?.toUpperCase()].filter(Boolean).join(', '),
+        url: `https://jobs.smartrecruiters.com/${entry.board}/${raw.id}`,
+        departments: [raw.department?.label].filter(Boolean),
+        employment_type: raw.typeOfEmployment?.label || null,
+        is_remote: place.remote === true,
+        posted_at: toIso(raw.releasedDate),
+        _raw: raw,
+      }));
+    }
+    if (postings.length < SMARTRECRUITERS_PAGE_SIZE || jobs.length >= (data.totalFound || 0)) { truncated = false; break; }
+  }
+  return { jobs, truncated };
+}
+
+async function fetchEightfold(entry) {
+  const jobs = [];
+  let truncated = true;
+  for (let page = 0; page < ATS_MAX_PAGES; page++) {
+    const data = await get(`https://${entry.board}.eightfold.ai/api/apply/v2/jobs`,
+      { domain: entry.domain, start: page * EIGHTFOLD_PAGE_SIZE, num: EIGHTFOLD_PAGE_SIZE });
+    const positions = data.positions || [];
+    for (const raw of positions) {
+      jobs.push(buildJob(entry, {
+        id: String(raw.id),
+        title: raw.name,
+        location: raw.location || '',
+        url: raw.canonicalPositionUrl || `https://${entry.board}.eightfold.ai/careers?pid=${raw.id}`,
+        departments: [raw.department].filter(Boolean),
+        posted_at: toIso(raw.t_create),
+        description: raw.job_description || null,
+        _raw: raw,
+      }));
+    }
+    if (positions.length < EIGHTFOLD_PAGE_SIZE || jobs.length >= (data.count || 0)) { truncated = false; break; }
+  }
+  return { jobs, truncated };
+}
+
+const ADAPTERS = {
+  greenhouse: fetchGreenhouse,
+  lever: fetchLever,
+  ashby: fetchAshby,
+  workday: fetchWorkday,
+  smartrecruiters: fetchSmartRecruiters,
+  eightfold: fetchEightfold,
+};
+
+/**
+ * Fetch one board's complete listing
+ * @param {Object} entry - Board config entry ({ ats, board, name, domain? })
+ * @returns {Promise<Object>} - { jobs, truncated (stopped at ATS_MAX_PAGES with pages left) }
+ */
+async function fetchBoard(entry) {
+  const adapter = ADAPTERS[entry.ats];
+  if (!adapter) throw new Error(`Unknown ATS "${entry.ats}" (expected one of ${Object.keys(ADAPTERS).join(', ')})`);
+  return adapter(entry);
+}
+
+module.exports = {
+  ATS_TYPES: Object.keys(ADAPTERS),
+  fetchBoard,
+  parseWorkdayPostedOn,
+};
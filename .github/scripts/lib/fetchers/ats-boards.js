@@ -0,0 +1,170 @@
+/**
+ * ATS Boards — the declarative board list (companies/ats-boards.json) and
+ * per-board run state
+ *
+ * Onboarding a company = adding { ats, board, name } to the config file and
+ * checking it with `npm run validate-company -- <ats> <board>`; no code change.
+ * The ats-config source fetches every enabled board through the adapters in
+ * ./ats-adapters.js.
+ *
+ * Board state (.github/data/ats-board-state.json) is kept per board key
+ * ("greenhouse:figma"): jobs last run, consecutive zero-job runs, consecutive
+ * failures, when it last had jobs. A board that answered with zero jobs for
+ * DEAD_BOARD_RUNS runs in a row is flagged dead — still fetched (boards do come
+ * back), but listed in metadata (ats_boards.dead_boards) for removal. Boards
+ * the adapters cut off at ATS_MAX_PAGES are listed in ats_boards.boards_truncated.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('../paths');
+const { ATS_BOARD_CONCURRENCY, ATS_MAX_PAGES, DEAD_BOARD_RUNS } = require('../config');
+const { runWithConcurrency } = require('../utils/worker-pool');
+const { readJSON } = require('../utils/jsonl');
+const { ATS_TYPES, fetchBoard } = require('./ats-adapters');
+
+const CONFIG_FILE = path.join(__dirname, '..', '..', 'companies', 'ats-boards.json');
+const STATE_FILE = path.join(DATA_DIR, 'ats-board-state.json');
+
+const BOARD_FORMAT = {
+  workday: /^[a-z0-9-]+\.wd\d+\/[A-Za-z0-9_-]+$/,
+  default: /^[A-Za-z0-9_.-]+$/,
+};
+
+const boardKey = entry => `${entry.ats}:${entry.board}`;
+
+/**
+ * Problems with one config entry
+ * @param {Object} entry
+ * @returns {Array<string>} - Empty when the entry is usable
+ */
+function checkBoardEntry(entry) {
+  const problems = [];
+  if (!ATS_TYPES.includes(entry.ats)) problems.push(`unknown ats "${entry.ats}" (expected ${ATS_TYPES.join(', ')})`);
+  if (!entry.board || !(BOARD_FORMAT[entry.ats] || BOARD_FORMAT.default).test(entry.board)) {
+    problems.push(entry.ats === 'workday'
+      ? `board "${entry.board}" must be tenant.wdN/site (e.g. nvidia.wd5/NVIDIAExternalCareerSite)`
+      : `board "${entry.board}" is not a valid ${entry.ats} board name`);
+  }
+  if (!entry.name || !String(entry.name).trim()) problems.push('name is required');
+  if (entry.ats === 'eightfold' && !entry.domain) problems.push('eightfold boards need a domain (e.g. "domain": "example.com")');
+  return problems;
+}
+
+/**
+ * Read and check the board list
+ * @param {string} [file]
+ * @returns {Object} - { boards: enabled entries, errors: ["<key>: problem"] }
+ */
+function loadBoardsConfig(file = CONFIG_FILE) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const errors = [];
+  const seen = new Set();
+  const boards = [];
+  for (const entry of config.boards || []) {
+    const key = boardKey(entry);
+    for (const problem of checkBoardEntry(entry)) errors.push(`${key}: ${problem}`);
+    if (seen.has(key)) errors.push(`${key}: listed twice`);
+    seen.add(key);
+    if (entry.enabled !== false) boards.push(entry);
+  }
+  return { boards, errors };
+}
+
+/**
+ * @param {string} [file]
+ * @returns {Object} - { updated, boards: { [key]: state } }
+ */
+function loadBoardState(file = STATE_FILE) {
+  return readJSON(file) || { updated: null, boards: {} };
+}
+
+function saveBoardState(state, file = STATE_FILE) {
+  fs.writeFileSync(file, JSON.stringify(state, null, 2) + '\n', 'utf8');
+}
+
+/**
+ * Record one run's outcome per board; boards no longer configured are forgotten
+ * @param {Object} state - From loadBoardState (mutated)
+ * @param {Array} results - [{ entry, jobs, error }]
+ * @param {string} now - ISO timestamp
+ * @returns {Object} - state
+ */
+function updateBoardState(state, results, now) {
+  const boards = {};
+  for (const { entry, jobs, error } of results) {
+    const key = boardKey(entry);
+    const prev = state.boards[key] || { zero_runs: 0, failed_runs: 0, last_nonzero_at: null };
+    const next = { ...prev, last_run: now };
+    if (error) {
+      next.failed_runs = prev.failed_runs + 1;
+      next.last_error = error;
+    } else {
+      next.failed_runs = 0;
+      delete next.last_error;
+      next.last_jobs = jobs.length;
+      next.zero_runs = jobs.length === 0 ? prev.zero_runs + 1 : 0;
+      if (jobs.length > 0) next.last_nonzero_at = now;
+    }
+    next.dead = next.zero_runs >= DEAD_BOARD_RUNS;
+    boards[key] = next;
+  }
+  state.updated = now;
+  state.boards = boards;
+  return state;
+}
+
+/**
+ * Fetch every configured board and update the board state
+ * @param {Object} [options]
+ * @param {Array} [options.boards] - Entries (defaults to the config file)
+ * @param {boolean} [options.saveState] - Write ats-board-state.json (default true)
+ * @returns {Promise<Object>} - { jobs, ...details for fetch_status / metadata }
+ */
+async function fetchConfiguredBoards({ boards, saveState = true } = {}) {
+  if (!boards) {
+    const config = loadBoardsConfig();
+    for (const error of config.errors) console.warn(`⚠️ ats-boards.json: ${error}`);
+    boards = config.boards.filter(entry => checkBoardEntry(entry).length === 0);
+  }
+
+  const results = await runWithConcurrency(boards, ATS_BOARD_CONCURRENCY, async entry => {
+    try {
+      return { entry, ...await fetchBoard(entry), error: null };
+    } catch (error) {
+      return { entry, jobs: [], truncated: false, error: error.response ? `HTTP ${error.response.status}` : error.message };
+    }
+  });
+
+  const state = updateBoardState(loadBoardState(), results, new Date().toISOString());
+  if (saveState) saveBoardState(state);
+
+  const byAts = {};
+  for (const { entry, jobs } of results) byAts[entry.ats] = (byAts[entry.ats] || 0) + jobs.length;
+  const failed = results.filter(r => r.error);
+  for (const { entry, error } of failed) console.warn(`⚠️ ${boardKey(entry)} failed: ${error}`);
+  const truncated = results.filter(r => r.truncated);
+  for (const { entry, jobs } of truncated) console.warn(`⚠️ ${boardKey(entry)} stopped at ATS_MAX_PAGES (${ATS_MAX_PAGES}) with ${jobs.length} jobs; the board lists more`);
+
+  return {
+    jobs: results.flatMap(r => r.jobs),
+    boards: boards.length,
+    boards_failed: failed.map(({ entry, error }) => ({ board: boardKey(entry), error })),
+    boards_truncated: truncated.map(({ entry, jobs }) => ({ board: boardKey(entry), jobs: jobs.length })),
+    by_ats: byAts,
+    dead_boards: Object.entries(state.boards)
+      .filter(([, s]) => s.dead)
+      .map(([board, s]) => ({ board, zero_runs: s.zero_runs, last_nonzero_at: s.last_nonzero_at })),
+  };
+}
+
+module.exports = {
+  CONFIG_FILE,
+  STATE_FILE,
+  boardKey,
+  checkBoardEntry,
+  loadBoardsConfig,
+  loadBoardState,
+  updateBoardState,
+  fetchConfiguredBoards,
+};
@@ -0,0 +1,120 @@
+/**
+ * Fetcher Registry
+ *
+ * Every job source is a module in ./sources/ exporting:
+ *   name       - source name used in logs and jobs-metadata.json fetch_status
+ *   fetch      - async () => Job[] | { jobs: Job[], ...details }
+ *   timeoutMs  - wall-clock budget for the whole fetch
+ *   order      - (optional) position of the source's jobs in the combined pool
+ *
+ * Adding a source = dropping a module into ./sources/. main() never changes.
+ *
+ * Each fetch is isolated: a throw or a timeout marks that source `failed`
+ * and the pipeline carries on with the rest. Sources run in parallel through
+ * a bounded worker pool (FETCH_CONCURRENCY); per-host HTTP limits are applied
+ * separately by lib/utils/host-rate-limiter.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { FETCH_CONCURRENCY } = require('../config');
+const { runWithConcurrency } = require('../utils/worker-pool');
+
+const SOURCES_DIR = path.join(__dirname, 'sources');
+const DEFAULT_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Load and validate all source modules from a directory
+ * @param {string} dir - Directory containing source modules
+ * @returns {Array} - Source definitions sorted by order, then name
+ */
+function loadSources(dir = SOURCES_DIR) {
+  const sources = fs.readdirSync(dir)
+    .filter(f => f.endsWith('.js'))
+    .map(f => {
+      const source = require(path.join(dir, f));
+      if (!source.name || typeof source.fetch !== 'function') {
+        throw new Error(`Fetcher module ${f} must export { name, fetch }`);
+      }
+      return source;
+    });
+
+  const names = new Set();
+  for (const source of sources) {
+    if (names.has(source.name)) throw new Error(`Duplicate fetcher name: ${source.name}`);
+    names.add(source.name);
+  }
+
+  return sources.sort((a, b) =>
+    (a.order ?? Infinity) - (b.order ?? Infinity) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Reject if a promise does not settle within ms.
+ * The underlying fetch is not cancelled — it is abandoned and its result ignored.
+ * @param {Promise} promise - Promise to race
+ * @param {number} ms - Timeout in ms
+ * @param {string} name - Source name for the error message
+ * @returns {Promise}
+ */
+function withTimeout(promise, ms, name) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} timed out after ${Math.round(ms / 1000)}s`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run a single source with timeout and error isolation
+ * @param {Object} source - Source definition
+ * @returns {Promise<Object>} - { name, status, jobs, details, error, started_at, duration_ms }
+ */
+async function runFetcher(source) {
+  const startedAt = Date.now();
+  const timing = () => ({ started_at: new Date(startedAt).toISOString(), duration_ms: Date.now() - startedAt });
+  try {
+    const result = await withTimeout(
+      Promise.resolve().then(() => source.fetch()),
+      source.timeoutMs || DEFAULT_TIMEOUT_MS,
+      source.name
+    );
+    const { jobs = [], ...details } = Array.isArray(result) ? { jobs: result } : (result || {});
+    return { name: source.name, status: 'ok', jobs, details, error: null, ...timing() };
+  } catch (error) {
+    console.error(`❌ ${source.name} fetch failed: ${error.message}`);
+    return { name: source.name, status: 'failed', jobs: [], details: {}, error: error.message, ...timing() };
+  }
+}
+
+/**
+ * Run every registered source through the worker pool
+ * @param {Array} [sources] - Source definitions (defaults to ./sources/)
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - Max sources in flight
+ * @returns {Promise<Array>} - One result per source, in registry order
+ */
+async function runAllFetchers(sources = loadSources(), { concurrency = FETCH_CONCURRENCY } = {}) {
+  return runWithConcurrency(sources, concurrency, runFetcher);
+}
+
+/**
+ * Summarize fetch results for jobs-metadata.json
+ * @param {Array} results - Results from runAllFetchers
+ * @returns {Object} - { [name]: { status, jobs, started_at, duration_ms, error? } }
+ */
+function buildFetchStatus(results) {
+  const status = {};
+  for (const r of results) {
+    status[r.name] = { status: r.status, jobs: r.jobs.length, started_at: r.started_at, duration_ms: r.duration_ms };
+    if (r.error) status[r.name].error = r.error;
+  }
+  return status;
+}
+
+module.exports = {
+  loadSources,
+  runFetcher,
+  runAllFetchers,
+  buildFetchStatus,
+};
@@ -0,0 +1,12 @@
+/**
+ * Amazon Jobs source — see shared fetchers/amazon.js
+ */
+
+const { SHARED } = require('../../paths');
+
+module.exports = {
+  name: 'amazon',
+  order: 30,
+  timeoutMs: 5 * 60 * 1000,
+  fetch: () => require(`${SHARED}/fetchers/amazon`).fetchAllAmazonJobs(),
+};
@@ -0,0 +1,13 @@
+/**
+ * Config-driven ATS source — boards listed in companies/ats-boards.json
+ * — see lib/fetchers/ats-boards.js
+ */
+
+const { fetchConfiguredBoards } = require('../ats-boards');
+
+module.exports = {
+  name: 'ats-config',
+  order: 25,
+  timeoutMs: 15 * 60 * 1000,
+  fetch: () => fetchConfiguredBoards(),
+};
@@ -0,0 +1,13 @@
+/**
+ * ATS source (Greenhouse, Lever, Ashby, Workday, SmartRecruiters, Eightfold)
+ * — see shared fetchers/ats-fetcher.js
+ */
+
+const { SHARED } = require('../../paths');
+
+module.exports = {
+  name: 'ats',
+  order: 20,
+  timeoutMs: 25 * 60 * 1000,
+  fetch: () => require(`${SHARED}/fetchers/ats-fetcher`).fetchFromAllATS(),
+};
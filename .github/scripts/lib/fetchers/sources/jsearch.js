@@ -0,0 +1,12 @@
+/**
+ * JSearch source (RapidAPI) — see shared fetchers/jsearch-fetcher.js
+ */
+
+const { SHARED } = require('../../paths');
+
+module.exports = {
+  name: 'jsearch',
+  order: 10,
+  timeoutMs: 5 * 60 * 1000,
+  fetch: () => require(`${SHARED}/fetchers/jsearch-fetcher`).fetchFromJSearch(),
+};
@@ -0,0 +1,12 @@
+/**
+ * Netflix Jobs source — see shared fetchers/netflix.js
+ */
+
+const { SHARED } = require('../../paths');
+
+module.exports = {
+  name: 'netflix',
+  order: 40,
+  timeoutMs: 3 * 60 * 1000,
+  fetch: () => require(`${SHARED}/fetchers/netflix`).fetchAllNetflixJobs(),
+};
@@ -0,0 +1,17 @@
+/**
+ * Shared path constants for local pipeline modules.
+ *
+ * SHARED points at the job-board-scripts submodule (lib/aggregator/).
+ * DATA_DIR is resolved from the working directory, or taken from
+ * JOBS_DATA_DIR (set by index.js --out / --replay, which write elsewhere).
+ */
+
+const path = require('path');
+
+const SCRIPTS_DIR = path.join(__dirname, '..');
+const SHARED = path.join(SCRIPTS_DIR, 'shared', 'lib', 'aggregator');
+const DATA_DIR = process.env.JOBS_DATA_DIR
+  ? path.resolve(process.env.JOBS_DATA_DIR)
+  : path.join(process.cwd(), '.github', 'data');
+
+module.exports = { SCRIPTS_DIR, SHARED, DATA_DIR };
@@ -0,0 +1,142 @@
+/**
+ * Change Feed — incremental deltas between runs
+ *
+ * Diffs this run's public jobs against the previous all_jobs.json and emits
+ * one event per changed job:
+ *   { type: 'added',   id, fingerprint, run, at, job }
+ *   { type: 'updated', id, fingerprint, run, at, changes: { field: { from, to } }, previous_id? }
+ *   { type: 'removed', id, fingerprint, run, at, reason }
+ *
+ * Jobs are matched by id first, then by fingerprint (a job whose id changed
+ * is an update with previous_id, not a remove + add).
+ *
+ * Output (DATA_DIR):
+ *   changes/changes-<run>.jsonl  — one file per run, pruned after CHANGES_RETENTION_DAYS
+ *   changes/index.json           — runs still on disk, oldest first, with counts
+ *   changes-latest.jsonl         — copy of this run's events
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CHANGES_RETENTION_DAYS } = require('../config');
+
+// Fields that change on every fetch without the posting changing
+const VOLATILE_FIELDS = new Set(['fetched_at', 'last_seen', 'times_seen']);
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Field-level diff between two versions of a job
+ * @param {Object} before - Previous record
+ * @param {Object} after - Current record
+ * @returns {Object} - { field: { from, to } } (empty if unchanged)
+ */
+function diffJob(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  for (const field of fields) {
+    if (VOLATILE_FIELDS.has(field) || field === 'id') continue;
+    if (!sameValue(before[field], after[field])) {
+      changes[field] = { from: before[field] ?? null, to: after[field] ?? null };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Compute change events
+ * @param {Array} previousJobs - Records from the previous all_jobs.json
+ * @param {Array} currentJobs - Records about to be written
+ * @param {Object} context - { run, at, reasons? }
+ *   reasons: Map of id → why the job left the pool (removed_at_source, expired, ...)
+ * @returns {Array} - Events (added, updated, removed — in that order)
+ */
+function computeChanges(previousJobs, currentJobs, { run, at, reasons = new Map() }) {
+  const prevById = new Map(previousJobs.map(j => [j.id, j]));
+  const prevByFingerprint = new Map(previousJobs.filter(j => j.fingerprint).map(j => [j.fingerprint, j]));
+  const matched = new Set();
+  const added = [];
+  const updated = [];
+
+  for (const job of currentJobs) {
+    let prev = prevById.get(job.id);
+    if (!prev && job.fingerprint) {
+      const candidate = prevByFingerprint.get(job.fingerprint);
+      if (candidate && !matched.has(candidate.id)) prev = candidate;
+    }
+
+    if (!prev) {
+      added.push({ type: 'added', id: job.id, fingerprint: job.fingerprint || null, run, at, job });
+      continue;
+    }
+
+    matched.add(prev.id);
+    const changes = diffJob(prev, job);
+    if (prev.id !== job.id || Object.keys(changes).length > 0) {
+      const event = { type: 'updated', id: job.id, fingerprint: job.fingerprint || null, run, at, changes };
+      if (prev.id !== job.id) event.previous_id = prev.id;
+      updated.push(event);
+    }
+  }
+
+  const removed = previousJobs
+    .filter(j => !matched.has(j.id))
+    .map(j => ({ type: 'removed', id: j.id, fingerprint: j.fingerprint || null, run, at, reason: reasons.get(j.id) || 'expired' }));
+
+  return [...added, ...updated, ...removed];
+}
+
+/**
+ * Count events by type
+ * @param {Array} events
+ * @returns {Object} - { added, updated, removed }
+ */
+function summarizeChanges(events) {
+  const summary = { added: 0, updated: 0, removed: 0 };
+  for (const e of events) summary[e.type]++;
+  return summary;
+}
+
+/**
+ * Write this run's change files and prune old runs
+ * @param {Array} events - Events from computeChanges
+ * @param {string} dataDir - Data directory
+ * @param {Object} context - { run, at }
+ * @returns {Object} - { file, summary, pruned }
+ */
+function writeChangeFeed(events, dataDir, { run, at }) {
+  const changesDir = path.join(dataDir, 'changes');
+  if (!fs.existsSync(changesDir)) fs.mkdirSync(changesDir, { recursive: true });
+
+  const body = events.map(e => JSON.stringify(e)).join('\n') + (events.length ? '\n' : '');
+  const fname = `changes-${run}.jsonl`;
+  fs.writeFileSync(path.join(changesDir, fname), body, 'utf8');
+  fs.writeFileSync(path.join(dataDir, 'changes-latest.jsonl'), body, 'utf8');
+
+  const indexFile = path.join(changesDir, 'index.json');
+  let index = [];
+  try { index = JSON.parse(fs.readFileSync(indexFile, 'utf8')); } catch { /* first run */ }
+
+  const summary = summarizeChanges(events);
+  index = index.filter(entry => entry.run !== String(run));
+  index.push({ run: String(run), file: fname, generated: at, ...summary });
+
+  const cutoff = Date.parse(at) - CHANGES_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const pruned = index.filter(entry => Date.parse(entry.generated) < cutoff);
+  for (const entry of pruned) {
+    const stale = path.join(changesDir, entry.file);
+    if (fs.existsSync(stale)) fs.unlinkSync(stale);
+  }
+  index = index.filter(entry => !pruned.includes(entry));
+  fs.writeFileSync(indexFile, JSON.stringify(index, null, 2) + '\n', 'utf8');
+
+  return { file: fname, summary, pruned: pruned.length };
+}
+
+module.exports = {
+  VOLATILE_FIELDS,
+  diffJob,
+  computeChanges,
+  summarizeChanges,
+  writeChangeFeed,
+};
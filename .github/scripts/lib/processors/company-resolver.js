@@ -0,0 +1,191 @@
+/**
+ * Company Resolver — company_name as fetched → one canonical company id
+ *
+ * Backed by the bundled registry (companies/company-registry.json): canonical
+ * id, display name, aliases, parent company, industry, HQ, size band, the ATS
+ * boards the company posts on, and its company-level special tags.
+ *
+ * A job resolves, in order, by:
+ *   name       company_name matches a registry name or alias — case, punctuation,
+ *              legal suffixes (Inc, LLC, Corp, "& Company", ...), a leading "The",
+ *              "Careers at" and trailing entity codes ("Twitch Interactive, Inc. - D48")
+ *              ignored
+ *   ats_board  the posting's own board is a registry company's (workday tenant,
+ *              greenhouse / lever / ashby token, ...) — catches new legal-entity names
+ *
+ * Fields (every job):
+ *   company_id         registry id; for an unknown company, its normalized name
+ *                      (stable, so it survives being added to the registry under
+ *                      the same id); null for placeholders ("Confidential", job boards)
+ *   parent_company_id  registry parent (Red Hat → ibm), else null
+ *
+ * For a resolved job the registry's tags replace the tag engine's company-level
+ * special tags (registry special_tags: faang, fortune500, unicorn), so every
+ * Amazon entity is tagged the same. Unknown companies keep the inferred tags and
+ * are listed in metadata (company_registry.unknown) for triage.
+ */
+
+const path = require('path');
+
+const REGISTRY_FILE = path.join(__dirname, '..', '..', 'companies', 'company-registry.json');
+const UNKNOWN_SAMPLE = 50;
+
+const LEGAL_SUFFIX = /(?:\s+and)?\s+(inc|incorporated|llc|llp|lp|ltd|limited|corp|corporation|co|company|plc|gmbh|ag|sa|nv|the)$/;
+const ENTITY_CODE = /\s+-\s+[a-z]?\d+\s*$/i;
+const CAREERS = /^careers at\s+|\s+(careers|jobs)$/g;
+
+/** Lowercase, no accents or punctuation, "&" as "and" — the key for every name lookup */
+const fold = s => String(s).normalize('NFD').replace(/[̀-ͯ]/g, '').toLowerCase()
+  .replace(/&/g, ' and ').replace(/['’.]/g, '').replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Name as compared against the registry
+ * @param {string} name - company_name or a registry name / alias
+ * @returns {string}
+ */
+function normalizeCompanyName(name) {
+  let key = fold(String(name || '').replace(ENTITY_CODE, '')).replace(/^the\s+/, '').replace(CAREERS, '');
+  let previous;
+  do {
+    previous = key;
+    key = key.replace(LEGAL_SUFFIX, '');
+  } while (key !== previous);
+  return key;
+}
+
+/**
+ * The board a posting was fetched from, as written in the registry's ats entries
+ * @param {Object} job
+ * @returns {string|null} - "workday:nvidia.wd5", "greenhouse:robinhood", ...
+ */
+function atsBoardOf(job) {
+  if (!job.source || job.source === 'jsearch') return null;
+  if (job.source === 'workday') {
+    try {
+      const [tenant, instance] = new URL(job.url).hostname.split('.');
+      return `workday:${tenant}.${instance}`.toLowerCase();
+    } catch {
+      return null;
+    }
+  }
+  return job.company_slug ? `${job.source}:${job.company_slug}`.toLowerCase() : null;
+}
+
+let index = null;
+
+/**
+ * Lookup tables built from the registry file (once per process)
+ * @returns {Object}
+ */
+function loadRegistry() {
+  if (index) return index;
+  const registry = require(REGISTRY_FILE);
+
+  const companies = new Map(Object.entries(registry.companies));
+  const byName = new Map();   // normalized name or alias → id
+  const byBoard = new Map();  // "source:board" → id
+  for (const [id, company] of companies) {
+    for (const name of [company.name, ...company.aliases]) {
+      const key = normalizeCompanyName(name);
+      if (byName.has(key) && byName.get(key) !== id) {
+        throw new Error(`Company registry: "${name}" is listed under both ${byName.get(key)} and ${id}`);
+      }
+      byName.set(key, id);
+    }
+    for (const { source, board } of company.ats) {
+      // Workday boards are written tenant.instance/site; postings are matched on tenant.instance
+      byBoard.set(`${source}:${board.split('/')[0]}`.toLowerCase(), id);
+    }
+    if (company.parent && !registry.companies[company.parent]) {
+      throw new Error(`Company registry: ${id} has unknown parent ${company.parent}`);
+    }
+  }
+
+  index = {
+    companies,
+    byName,
+    byBoard,
+    placeholders: new Set(registry.placeholders.map(normalizeCompanyName)),
+    specialTags: new Set(registry.special_tags),
+  };
+  return index;
+}
+
+/**
+ * Resolve one job's company
+ * @param {Object} job
+ * @returns {Object} - { company_id, company (registry entry or null), method: name|ats_board|placeholder|unknown }
+ */
+function resolveCompany(job) {
+  const { companies, byName, byBoard, placeholders } = loadRegistry();
+  const key = normalizeCompanyName(job.company_name || job.company_slug);
+
+  if (!key || placeholders.has(key)) return { company_id: null, company: null, method: 'placeholder' };
+  if (byName.has(key)) return { company_id: byName.get(key), company: companies.get(byName.get(key)), method: 'name' };
+  const board = atsBoardOf(job);
+  if (board && byBoard.has(board)) return { company_id: byBoard.get(board), company: companies.get(byBoard.get(board)), method: 'ats_board' };
+  return { company_id: key.replace(/ /g, '-'), company: null, method: 'unknown' };
+}
+
+/**
+ * Display name for a company id (registry name, else null)
+ * @param {string} id
+ * @returns {string|null}
+ */
+function companyName(id) {
+  return loadRegistry().companies.get(id)?.name ?? null;
+}
+
+/**
+ * Set company_id / parent_company_id on every job and apply registry special tags
+ * @param {Array} jobs - Jobs (mutated)
+ * @returns {Object} - Stats for metadata
+ */
+function resolveCompanies(jobs) {
+  const { companies, specialTags } = loadRegistry();
+  const stats = {
+    registry_companies: companies.size,
+    jobs: jobs.length,
+    resolved: 0,
+    by_method: { name: 0, ats_board: 0, placeholder: 0, unknown: 0 },
+    special_tags_changed: 0,
+    unknown_companies: 0,
+    unknown: [],
+  };
+  const unknown = new Map();
+
+  for (const job of jobs) {
+    const { company_id, company, method } = resolveCompany(job);
+    job.company_id = company_id;
+    job.parent_company_id = company?.parent ?? null;
+    stats.by_method[method]++;
+
+    if (company) {
+      stats.resolved++;
+      if (job.tags) {
+        const before = job.tags.special || [];
+        const special = [...before.filter(t => !specialTags.has(t)), ...company.tags];
+        if (special.length !== before.length || special.some(t => !before.includes(t))) stats.special_tags_changed++;
+        job.tags.special = special;
+      }
+    } else if (method === 'unknown') {
+      const entry = unknown.get(company_id) || { company_id, company_name: job.company_name, source: job.source, count: 0 };
+      entry.count++;
+      unknown.set(company_id, entry);
+    }
+  }
+
+  stats.unknown_companies = unknown.size;
+  stats.unknown = [...unknown.values()]
+    .sort((a, b) => b.count - a.count || a.company_id.localeCompare(b.company_id))
+    .slice(0, UNKNOWN_SAMPLE);
+  return stats;
+}
+
+module.exports = {
+  normalizeCompanyName,
+  atsBoardOf,
+  resolveCompany,
+  companyName,
+  resolveCompanies,
+};
@@ -0,0 +1,121 @@
+/**
+ * Description Diff — what changed when a posting's description was re-fetched
+ *
+ * Step 8b diffs the stored text against the new text for every description the
+ * store reports as `changed`. A change is significant when pay figures differ,
+ * when added/removed lines mention location or requirements, or when word-set
+ * similarity drops below DESCRIPTION_SIGNIFICANT_SIMILARITY. The summary goes
+ * into jobs-metadata.json as `description_changes`.
+ */
+
+const { DESCRIPTION_SIGNIFICANT_SIMILARITY } = require('../config');
+
+const MAX_SAMPLES = 25;
+const MAX_SAMPLE_LINES = 3;
+const MAX_LINE_LENGTH = 200;
+
+// $120,000 · $45.50 · £60k · 120000 USD
+const MONEY_PATTERN = /(?:[$€£]\s?\d[\d,]*(?:\.\d+)?\s?[kK]?\b|\b\d[\d,]*(?:\.\d+)?\s?[kK]?\s?(?:USD|EUR|GBP|CAD)\b)/g;
+
+// Categories checked against added/removed lines (salary also via MONEY_PATTERN)
+const CATEGORY_PATTERNS = {
+  salary: /\b(salary|compensation|pay range|base pay|hourly rate|per hour|annually|bonus|equity)\b/i,
+  location: /\b(remote|hybrid|on-?site|in-?office|relocat\w*|located in|location)\b/i,
+  requirements: /\b(\d+\+?\s*(?:years?|yrs?)|degree|bachelor'?s?|master'?s?|ph\.?d|required|requirements?|qualifications?|clearance|certification)\b/i,
+};
+
+const lineSet = text => new Set(text.split(/\r?\n/).map(l => l.replace(/\s+/g, ' ').trim()).filter(Boolean));
+const wordSet = text => new Set(text.toLowerCase().match(/[a-z0-9$€£][a-z0-9$€£.,+-]*/g) || []);
+const moneyFigures = text => [...new Set((text.match(MONEY_PATTERN) || []).map(m => m.replace(/\s+/g, '').toLowerCase()))].sort();
+const truncate = line => (line.length > MAX_LINE_LENGTH ? `${line.slice(0, MAX_LINE_LENGTH - 1)}…` : line);
+
+/**
+ * Jaccard similarity of the two texts' word sets
+ * @param {string} before
+ * @param {string} after
+ * @returns {number} - 0..1
+ */
+function similarity(before, after) {
+  const a = wordSet(before);
+  const b = wordSet(after);
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  for (const word of a) if (b.has(word)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Diff two versions of a description
+ * @param {string} before - Stored text
+ * @param {string} after - Re-fetched text
+ * @returns {Object} - { similarity, added_lines, removed_lines, money_before, money_after, categories, significant }
+ */
+function diffDescriptions(before, after) {
+  const beforeLines = lineSet(before);
+  const afterLines = lineSet(after);
+  const added = [...afterLines].filter(l => !beforeLines.has(l));
+  const removed = [...beforeLines].filter(l => !afterLines.has(l));
+
+  const moneyBefore = moneyFigures(before);
+  const moneyAfter = moneyFigures(after);
+  const categories = Object.keys(CATEGORY_PATTERNS)
+    .filter(cat => [...added, ...removed].some(line => CATEGORY_PATTERNS[cat].test(line)));
+  if (moneyBefore.join('|') !== moneyAfter.join('|') && !categories.includes('salary')) {
+    categories.unshift('salary');
+  }
+
+  const score = Math.round(similarity(before, after) * 1000) / 1000;
+  return {
+    similarity: score,
+    added_lines: added,
+    removed_lines: removed,
+    money_before: moneyBefore,
+    money_after: moneyAfter,
+    categories,
+    significant: categories.length > 0 || score < DESCRIPTION_SIGNIFICANT_SIMILARITY,
+  };
+}
+
+/**
+ * Summarize this run's description changes for metadata
+ * @param {Array<Object>} changes - { id, source, diff } per changed description
+ * @returns {Object} - { changed, significant, by_category, by_source, samples }
+ */
+function summarizeDescriptionChanges(changes) {
+  const byCategory = {};
+  const bySource = {};
+  const significant = changes.filter(c => c.diff.significant);
+  for (const { source, diff } of changes) {
+    bySource[source] = (bySource[source] || 0) + 1;
+    for (const cat of diff.categories) byCategory[cat] = (byCategory[cat] || 0) + 1;
+  }
+
+  // Most-changed first: categories flagged, then lowest similarity
+  const samples = [...significant]
+    .sort((a, b) => b.diff.categories.length - a.diff.categories.length || a.diff.similarity - b.diff.similarity)
+    .slice(0, MAX_SAMPLES)
+    .map(({ id, source, diff }) => ({
+      id,
+      source,
+      similarity: diff.similarity,
+      categories: diff.categories,
+      money_before: diff.money_before,
+      money_after: diff.money_after,
+      added: diff.added_lines.slice(0, MAX_SAMPLE_LINES).map(truncate),
+      removed: diff.removed_lines.slice(0, MAX_SAMPLE_LINES).map(truncate),
+    }));
+
+  return {
+    changed: changes.length,
+    significant: significant.length,
+    by_category: byCategory,
+    by_source: bySource,
+    samples,
+  };
+}
+
+module.exports = {
+  similarity,
+  diffDescriptions,
+  summarizeDescriptionChanges,
+};
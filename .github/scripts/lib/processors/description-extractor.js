@@ -0,0 +1,328 @@
+/**
+ * Description Extractor — structured fields derived from description text
+ *
+ * Runs in Step 9 on every public record, reading the text from the description
+ * store (so jobs merged from prior runs are covered too). Fields:
+ *   salary_min, salary_max  number|null — first plausible pay range (or single figure)
+ *   currency                ISO code|null — USD, EUR, GBP, CAD, ...
+ *   period                  hour|day|week|month|year|null
+ *   min_years_experience    integer|null — lowest "N+ years ... experience" mentioned
+ *   degree_required         high_school|associate|bachelors|masters|phd|null — lowest level mentioned
+ *   sponsorship             yes|no|unknown — visa sponsorship offered
+ *   clearance_required      boolean|null — security clearance / public trust
+ *
+ * Jobs without a description get null / 'unknown' for every field.
+ * The patterns are deliberately conservative: a wrong value is worse than null.
+ */
+
+const { toPlainText } = require('../utils/text');
+
+const EXTRACTED_FIELDS = [
+  'salary_min', 'salary_max', 'currency', 'period',
+  'min_years_experience', 'degree_required', 'sponsorship', 'clearance_required',
+];
+
+// ─── Salary ────────────────────────────────────────────────────────────────
+
+const AMOUNT = String.raw`(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d{1,2}))?\s?([kK])?`;
+const CURRENCY_PREFIX = String.raw`(CA\$|C\$|A\$|US\$|[$€£]|USD|CAD|EUR|GBP|AUD)\s?`;
+const RANGE_SEPARATOR = String.raw`\s*(?:-|–|—|to)\s*`;
+const SALARY_RANGE = new RegExp(
+  `${CURRENCY_PREFIX}${AMOUNT}${RANGE_SEPARATOR}(?:${CURRENCY_PREFIX})?${AMOUNT}` +
+  `(?:${RANGE_SEPARATOR}(?:${CURRENCY_PREFIX})?${AMOUNT})?`, 'g');
+const SALARY_SINGLE = new RegExp(
+  String.raw`\b(?:salary|pay|compensation|wage|rate)\b[^\n.$€£]{0,60}?${CURRENCY_PREFIX}${AMOUNT}`, 'gi');
+
+const CURRENCY_CODES = { '$': 'USD', 'US$': 'USD', 'CA$': 'CAD', 'C$': 'CAD', 'A$': 'AUD', '€': 'EUR', '£': 'GBP' };
+const PERIOD_PATTERNS = [
+  ['hour', /(\bper hour|\ban hour|\bhourly|\/\s?hr\b|\/\s?hour\b)/i],
+  ['day', /(\bper day|\bdaily rate|\/\s?day)\b/i],
+  ['week', /(\bper week|\bweekly|\/\s?week|\/\s?wk)\b/i],
+  ['month', /(\bper month|\bmonthly|\/\s?month|\/\s?mo)\b/i],
+  ['year', /(\bper year|\bannual|\bannually|\bper annum|\byearly|\/\s?year|\/\s?yr|\ba year|\bbase salary|\bsalary)\b/i],
+];
+// Figures that are not pay: "$20-$50 million" raised, a "$401k" plan
+const MAGNITUDE_AFTER = /^\s?(?:million|billion|mn|bn|[mb](?![-/\w]))/i;
+const RETIREMENT_PLAN = /\b40[13]\s?\(?[kb]\)?/i;
+
+// Plausible pay per period (in the posting's currency) — outside this, the figure is something else
+const PERIOD_BOUNDS = { hour: [7, 1000], day: [50, 5000], week: [200, 20000], month: [800, 80000], year: [10000, 2000000] };
+
+function parseAmount(whole, cents, k) {
+  const value = Number(whole.replace(/,/g, '')) + (cents ? Number(`0.${cents}`) : 0);
+  return k ? value * 1000 : value;
+}
+
+function currencyOf(prefix, context) {
+  const code = /\b(USD|CAD|EUR|GBP|AUD)\b/.exec(context);
+  if (code) return code[1];
+  return CURRENCY_CODES[prefix] || prefix || null;
+}
+
+function statedPeriod(context) {
+  const found = PERIOD_PATTERNS.find(([, pattern]) => pattern.test(context));
+  return found ? found[0] : null;
+}
+
+// No period stated: small figures are hourly, large ones annual
+function inferredPeriod(max) {
+  if (max < PERIOD_BOUNDS.hour[1]) return 'hour';
+  if (max >= PERIOD_BOUNDS.year[0]) return 'year';
+  return null;
+}
+
+/**
+ * Whether a matched figure is something other than pay
+ * @param {string} text
+ * @param {Object} m - Regex match
+ * @returns {boolean}
+ */
+function notPay(text, m) {
+  const end = m.index + m[0].length;
+  return MAGNITUDE_AFTER.test(text.slice(end, end + 10)) || RETIREMENT_PLAN.test(text.slice(m.index, end + 4));
+}
+
+function plausible(min, max, period) {
+  const bounds = PERIOD_BOUNDS[period];
+  return Boolean(bounds) && min <= max && min >= bounds[0] && max <= bounds[1];
+}
+
+/**
+ * First plausible pay range in the text
+ * @param {string} text - Plain text
+ * @returns {Object|null} - { salary_min, salary_max, currency, period }
+ */
+function extractSalary(text) {
+  const contextAround = (index, length) => text.slice(Math.max(0, index - 80), index + length + 60);
+
+  for (const m of text.matchAll(SALARY_RANGE)) {
+    if (notPay(text, m)) continue;
+    const min = parseAmount(m[2], m[3], m[4]);
+    // "$86,000 - $107,500 - $129,000" is min - midpoint - max
+    let max = m[10] ? parseAmount(m[10], m[11], m[12]) : parseAmount(m[6], m[7], m[8]);
+    // "$80 - 120k": the k applies to both ends
+    const minK = !m[4] && (m[8] || m[12]) && min < 1000 ? min * 1000 : min;
+    if (max < minK) max = minK;
+    const context = contextAround(m.index, m[0].length);
+    const period = statedPeriod(text.slice(m.index, m.index + m[0].length + 40)) || statedPeriod(context) || inferredPeriod(max);
+    if (plausible(minK, max, period)) {
+      return { salary_min: minK, salary_max: max, currency: currencyOf(m[1], context), period };
+    }
+  }
+
+  for (const m of text.matchAll(SALARY_SINGLE)) {
+    if (notPay(text, m)) continue;
+    const value = parseAmount(m[2], m[3], m[4]);
+    const context = contextAround(m.index, m[0].length);
+    const period = statedPeriod(text.slice(m.index, m.index + m[0].length + 40)) || statedPeriod(context) || inferredPeriod(value);
+    if (plausible(value, value, period)) {
+      return { salary_min: value, salary_max: value, currency: currencyOf(m[1], context), period };
+    }
+  }
+  return null;
+}
+
+// ─── Experience ────────────────────────────────────────────────────────────
+
+const NUMBER_WORDS = { zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, twelve: 12, fifteen: 15 };
+const YEARS = new RegExp(
+  String.raw`\b(\d{1,2}|${Object.keys(NUMBER_WORDS).join('|')})(?:\s*\(\d{1,2}\))?\s*\+?\s*(?:(?:-|–|to|or more)\s*(?:\d{1,2})?\s*\+?\s*)?(?:years?|yrs?)\b(?:'|’)?([^\n.;]{0,60})`,
+  'gi');
+const EXPERIENCE_CONTEXT = /\bexperience\b|\bexp\b|\bworking\b|\bin (?:industry|software|engineering|a professional)/i;
+const REQUIRED_CONTEXT = /\b(?:requires?|required|requirements?|minimum|at least|must)\b/i;
+const PREFERRED_CONTEXT = /\b(?:prefer(?:red|ably)?|nice to have|bonus|a plus|ideally)\b/i;
+const LEAD_IN_CHARS = 60;
+const MAX_YEARS = 20;
+
+/**
+ * Every years-of-experience figure in the text, with the words around it
+ * (from the start of its sentence, at most LEAD_IN_CHARS back, to the end of the match)
+ * @param {string} text - Plain text
+ * @returns {Array<Object>} - [{ years, context }]
+ */
+function yearFigures(text) {
+  const figures = [];
+  for (const m of text.matchAll(YEARS)) {
+    if (!EXPERIENCE_CONTEXT.test(m[2])) continue;
+    const raw = m[1].toLowerCase();
+    const years = raw in NUMBER_WORDS ? NUMBER_WORDS[raw] : Number(raw);
+    if (years > MAX_YEARS) continue;
+    const leadIn = text.slice(Math.max(0, m.index - LEAD_IN_CHARS), m.index).split(/[\n.;]/).pop();
+    figures.push({ years, context: `${leadIn}${m[0]}` });
+  }
+  return figures;
+}
+
+/**
+ * Lowest years-of-experience figure the posting mentions (min_years_experience)
+ * @param {string} text - Plain text
+ * @returns {number|null}
+ */
+function extractMinYears(text) {
+  const figures = yearFigures(text);
+  return figures.length > 0 ? Math.min(...figures.map(f => f.years)) : null;
+}
+
+/**
+ * The posting's primary experience requirement — what seniority decisions use.
+ * "Requires 5+ years of experience ... 2 years of experience with Python" is 5:
+ * the highest figure stated as required / minimum, else the highest figure not
+ * stated as preferred, else the highest figure.
+ * @param {string} text - Plain text
+ * @returns {number|null}
+ */
+function extractRequiredYears(text) {
+  const figures = yearFigures(text);
+  if (figures.length === 0) return null;
+  const required = figures.filter(f => REQUIRED_CONTEXT.test(f.context));
+  const notPreferred = figures.filter(f => !PREFERRED_CONTEXT.test(f.context));
+  const primary = required.length > 0 ? required : notPreferred.length > 0 ? notPreferred : figures;
+  return Math.max(...primary.map(f => f.years));
+}
+
+// ─── Degree ────────────────────────────────────────────────────────────────
+
+// Lowest level first — a posting that asks for a BS and prefers an MS requires a BS
+const DEGREE_PATTERNS = [
+  ['high_school', /\b(high school (?:diploma|degree|education)|GED)\b/],
+  ['associate', /\bassociate'?s? degree\b|\bassociate of (?:applied )?(?:science|arts)\b/i],
+  ['bachelors', /\b(bachelor'?s?|baccalaureate|undergraduate degree|B\.?S\.?c?(?= |\b)(?: degree| in |\/)|B\.S\.|B\.A\.|BA\/BS|BS\/BA|BS\/MS|4-year degree|four-year degree)/i],
+  ['masters', /\b(master'?s(?: degree)?|masters degree|master of|M\.S\.|M\.Sc\.?|MS in|MS degree|MBA)\b/],
+  ['phd', /\b(?:(?:Ph\.?\s?D\.?|doctorate)(?= degree| in | or |,| required| preferred)|doctoral degree)/i],
+];
+
+/**
+ * Lowest degree level the posting mentions
+ * @param {string} text - Plain text
+ * @returns {string|null}
+ */
+function extractDegree(text) {
+  for (const [level, pattern] of DEGREE_PATTERNS) {
+    if (pattern.test(text)) return level;
+  }
+  return null;
+}
+
+// ─── Sponsorship / clearance ───────────────────────────────────────────────
+
+const NO_SPONSORSHIP = [
+  /\b(?:not|unable to|cannot|can't|won't|will not|does not|do not|is not able to)\s+(?:\w+\s+){0,3}(?:sponsor|provide (?:visa |immigration )?sponsorship|offer (?:visa |immigration )?sponsorship)/i,
+  /\b(?:visa |immigration |employment )?sponsorship (?:is |will )?(?:not|un)(?:\s*be)?\s*(?:available|provided|offered|considered)/i,
+  /\bno (?:visa |immigration )?sponsorship\b/i,
+  /\bwithout (?:the )?(?:need|requirement) (?:for|of) (?:current or future )?(?:visa |employment |immigration )?sponsorship/i,
+  /\bmust be (?:a )?(?:US|U\.S\.|United States) citizen/i,
+];
+const YES_SPONSORSHIP = [
+  /\b(?:visa|H-?1B|immigration|work permit) sponsorship (?:is |may be )?(?:available|provided|offered)/i,
+  /\b(?:will|can|able to|willing to|we) sponsor (?:\w+ ){0,2}(?:visa|H-?1B|work authorization|candidates)/i,
+  /\b(?:offers?|provides?) (?:visa|H-?1B|immigration) sponsorship/i,
+];
+
+/**
+ * Whether the posting offers visa sponsorship
+ * @param {string} text - Plain text
+ * @returns {'yes'|'no'|'unknown'}
+ */
+function extractSponsorship(text) {
+  if (NO_SPONSORSHIP.some(p => p.test(text))) return 'no';
+  if (YES_SPONSORSHIP.some(p => p.test(text))) return 'yes';
+  return 'unknown';
+}
+
+const CLEARANCE = /\b(security clearance|TS\/SCI|top secret|secret clearance|public trust|active clearance|DoD clearance|clearance (?:is )?required|(?:obtain|maintain|hold) (?:an? )?(?:active )?(?:\w+ )?clearance)\b/i;
+const NO_CLEARANCE = /\b(?:no|not require (?:an? )?|does not require (?:an? )?)(?:security )?clearance\b|\bclearance (?:is )?not required\b/i;
+
+/**
+ * Whether the posting requires a security clearance
+ * @param {string} text - Plain text
+ * @returns {boolean}
+ */
+function extractClearance(text) {
+  return CLEARANCE.test(text) && !NO_CLEARANCE.test(text);
+}
+
+// ─── Public API ────────────────────────────────────────────────────────────
+
+/**
+ * Derive structured fields from a description
+ * @param {string|null} description - Description text (plain or HTML)
+ * @returns {Object} - One value per EXTRACTED_FIELDS entry
+ */
+function extractFields(description) {
+  if (!description) {
+    return {
+      salary_min: null, salary_max: null, currency: null, period: null,
+      min_years_experience: null, degree_required: null, sponsorship: 'unknown', clearance_required: null,
+    };
+  }
+  const text = toPlainText(description);
+  const salary = extractSalary(text) || { salary_min: null, salary_max: null, currency: null, period: null };
+  return {
+    ...salary,
+    min_years_experience: extractMinYears(text),
+    degree_required: extractDegree(text),
+    sponsorship: extractSponsorship(text),
+    clearance_required: extractClearance(text),
+  };
+}
+
+/**
+ * Attach extracted fields to jobs in place
+ * @param {Array} jobs - Public records
+ * @param {Function} getDescription - id → description text or null
+ * @returns {Object} - Coverage stats for metadata (extraction_stats)
+ */
+function applyExtractedFields(jobs, getDescription) {
+  const stats = {
+    jobs: jobs.length,
+    with_description: 0,
+    salary: 0,
+    min_years_experience: 0,
+    degree_required: 0,
+    sponsorship_known: 0,
+    clearance_required: 0,
+    by_source: {},
+  };
+
+  for (const job of jobs) {
+    const description = getDescription(job.id);
+    Object.assign(job, extractFields(description));
+
+    const src = job.source || 'unknown';
+    if (!stats.by_source[src]) stats.by_source[src] = { jobs: 0, with_description: 0, salary: 0 };
+    const bucket = stats.by_source[src];
+    bucket.jobs++;
+    if (!description) continue;
+
+    stats.with_description++;
+    bucket.with_description++;
+    if (job.salary_min !== null) { stats.salary++; bucket.salary++; }
+    if (job.min_years_experience !== null) stats.min_years_experience++;
+    if (job.degree_required !== null) stats.degree_required++;
+    if (job.sponsorship !== 'unknown') stats.sponsorship_known++;
+    if (job.clearance_required) stats.clearance_required++;
+  }
+
+  // Coverage = share of jobs WITH a description where the field was found
+  const pct = n => (stats.with_description ? Math.round((n / stats.with_description) * 1000) / 10 : 0);
+  stats.coverage_pct = {
+    description: stats.jobs ? Math.round((stats.with_description / stats.jobs) * 1000) / 10 : 0,
+    salary: pct(stats.salary),
+    min_years_experience: pct(stats.min_years_experience),
+    degree_required: pct(stats.degree_required),
+    sponsorship: pct(stats.sponsorship_known),
+  };
+  return stats;
+}
+
+module.exports = {
+  EXTRACTED_FIELDS,
+  extractSalary,
+  extractMinYears,
+  extractRequiredYears,
+  extractDegree,
+  extractSponsorship,
+  extractClearance,
+  extractFields,
+  applyExtractedFields,
+};
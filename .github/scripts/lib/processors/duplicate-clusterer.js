@@ -0,0 +1,249 @@
+/**
+ * Duplicate Clusterer — group copies of the same job, keep one canonical record
+ *
+ * Runs in Step 6 before the shared deduplicateJobs (which still applies its
+ * cross-run dedupe store to the canonical records). Jobs are joined into a
+ * cluster when they share:
+ *   id           same id (a source listed the job twice)
+ *   fingerprint  same fingerprint
+ *   url          same canonical url / apply_url (tracking parameters ignored)
+ *   listing      same company (company_id) + title + city, from DIFFERENT sources — the same
+ *                role seen through JSearch and the employer's own ATS. Within
+ *                one source this key is ignored: a hospital posting the same
+ *                title twice in one city has two openings.
+ *
+ * Canonical record: first by SOURCE_PRIORITY, then has a description, then
+ * newest posted_at, then smallest id — deterministic for the same input.
+ *
+ * Merged onto the canonical record from the other members:
+ *   location       most specific one (city + region beats a bare country / "Multiple Locations")
+ *   apply_url      a direct employer ATS link beats an aggregator link
+ *   description    longest text (ingested into the description store in Step 8b)
+ *   alternate_sources  [{ source, id, url }] of every other member, priority order
+ */
+
+const { SOURCE_PRIORITY } = require('../config');
+const { canonicalUrl } = require('../utils/url');
+
+const ATS_HOSTS = /(^|\.)(greenhouse\.io|lever\.co|ashbyhq\.com|myworkdayjobs\.com|smartrecruiters\.com|eightfold\.ai|amazon\.jobs|netflix\.net)$/i;
+const GENERIC_LOCATION = /^(multiple locations?|various|see (job )?description|united states( of america)?|usa?|remote|anywhere|)$/i;
+const COMPANY_SUFFIX = /\b(inc|llc|ltd|corp|corporation|company|co|plc|gmbh|holdings|group)\b\.?/g;
+
+const sourceRank = source => {
+  const rank = SOURCE_PRIORITY.indexOf(source);
+  return rank === -1 ? SOURCE_PRIORITY.length : rank;
+};
+
+// company_id (Step 5a) when resolved: "The Boeing Company" and "Boeing" are one company
+const normalizeCompany = job => job.company_id || (job.company_name || job.company_slug || '')
+  .toLowerCase().replace(COMPANY_SUFFIX, '').replace(/[^a-z0-9]/g, '');
+const normalizeTitle = title => (title || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+const cityOf = job => (job.job_city || String(job.location || '').split(',')[0] || '').toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * How specific a job's location is: 2 = city + region, 1 = something concrete, 0 = generic/missing
+ * @param {Object} job
+ * @returns {number}
+ */
+function locationScore(job) {
+  const location = String(job.location || '').trim();
+  if (GENERIC_LOCATION.test(location)) return 0;
+  return location.includes(',') || (job.job_city && job.job_state) ? 2 : 1;
+}
+
+/**
+ * Whether a URL points at the employer's own application system
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isDirectApplyUrl(url) {
+  try {
+    return ATS_HOSTS.test(new URL(url).hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Canonical-record order: source priority, has a description, newest posted_at, id
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+function compareCanonical(a, b) {
+  return sourceRank(a.source) - sourceRank(b.source)
+    || (b.description ? 1 : 0) - (a.description ? 1 : 0)
+    || (Date.parse(b.posted_at) || 0) - (Date.parse(a.posted_at) || 0)
+    || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+}
+
+/**
+ * Union-find over job indices
+ */
+class DisjointSet {
+  constructor(size) {
+    this.parent = Array.from({ length: size }, (_, i) => i);
+  }
+
+  find(i) {
+    while (this.parent[i] !== i) {
+      this.parent[i] = this.parent[this.parent[i]];
+      i = this.parent[i];
+    }
+    return i;
+  }
+
+  /** @returns {boolean} - true if two separate sets were joined */
+  union(a, b) {
+    const ra = this.find(a);
+    const rb = this.find(b);
+    if (ra === rb) return false;
+    this.parent[Math.max(ra, rb)] = Math.min(ra, rb);
+    return true;
+  }
+}
+
+/**
+ * Merge the best attributes of a cluster onto its canonical record
+ * @param {Object} canonical - Canonical job (mutated)
+ * @param {Array} others - Other members, priority order
+ * @returns {Array<string>} - Fields taken from another member
+ */
+function mergeCluster(canonical, others) {
+  const merged = [];
+
+  const bestLocation = [canonical, ...others].reduce((best, job) => (locationScore(job) > locationScore(best) ? job : best));
+  if (bestLocation !== canonical) {
+    canonical.location = bestLocation.location;
+    if (bestLocation.job_city) canonical.job_city = bestLocation.job_city;
+    if (bestLocation.job_state) canonical.job_state = bestLocation.job_state;
+    merged.push('location');
+  }
+
+  const applyOf = job => job.apply_url || job.url;
+  if (!isDirectApplyUrl(applyOf(canonical))) {
+    const direct = others.find(job => isDirectApplyUrl(applyOf(job)));
+    if (direct) {
+      canonical.apply_url = applyOf(direct);
+      canonical.is_direct_apply = true;
+      merged.push('apply_url');
+    }
+  }
+
+  const longest = others.reduce((best, job) =>
+    ((job.description || '').length > (best.description || '').length ? job : best), canonical);
+  if (longest !== canonical) {
+    canonical.description = longest.description;
+    merged.push('description');
+  }
+
+  canonical.alternate_sources = others.map(job => ({ source: job.source, id: job.id, url: job.url || null }));
+  return merged;
+}
+
+/**
+ * Cluster duplicates and keep one canonical record per cluster
+ * @param {Array} jobs - Tagged entry-level jobs (Step 5 output)
+ * @returns {Object} - { canonical, dropped: [{ job, canonical_id, rule }], stats }
+ */
+function clusterDuplicates(jobs) {
+  const set = new DisjointSet(jobs.length);
+  const joinedBy = new Map(); // member index → rule that first joined it to another set
+  const byRule = { id: 0, fingerprint: 0, url: 0, listing: 0 };
+
+  const joinOn = (rule, keyOf) => {
+    const firstByKey = new Map();
+    jobs.forEach((job, i) => {
+      for (const key of [].concat(keyOf(job) || [])) {
+        if (!firstByKey.has(key)) { firstByKey.set(key, i); continue; }
+        if (set.union(firstByKey.get(key), i)) {
+          byRule[rule]++;
+          joinedBy.set(i, rule);
+        }
+      }
+    });
+  };
+
+  joinOn('id', job => job.id);
+  joinOn('fingerprint', job => job.fingerprint);
+  joinOn('url', job => [...new Set([canonicalUrl(job.url), canonicalUrl(job.apply_url)].filter(Boolean))]);
+
+  // Cross-source listing key: join each other-source job to the top-priority member
+  const listings = new Map();
+  jobs.forEach((job, i) => {
+    const company = normalizeCompany(job);
+    const title = normalizeTitle(job.title);
+    const city = cityOf(job);
+    if (!company || !title || !city) return;
+    const key = `${company}|${title}|${city}`;
+    if (!listings.has(key)) listings.set(key, []);
+    listings.get(key).push(i);
+  });
+  for (const members of listings.values()) {
+    if (new Set(members.map(i => jobs[i].source)).size < 2) continue;
+    const ordered = [...members].sort((a, b) => compareCanonical(jobs[a], jobs[b]));
+    const anchor = ordered[0];
+    for (const i of ordered.slice(1)) {
+      if (jobs[i].source === jobs[anchor].source) continue;
+      if (set.union(anchor, i)) {
+        byRule.listing++;
+        joinedBy.set(i, 'listing');
+      }
+    }
+  }
+
+  const clusters = new Map(); // root → member indices
+  jobs.forEach((_, i) => {
+    const root = set.find(i);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(i);
+  });
+
+  const order = new Map(jobs.map((job, i) => [job, i])); // job → input index
+  const canonical = [];
+  const dropped = [];
+  const stats = {
+    clusters: 0,
+    jobs_clustered: 0,
+    removed: 0,
+    by_rule: byRule,
+    canonical_by_source: {},
+    merged_fields: { location: 0, apply_url: 0, description: 0 },
+    largest_cluster: 0,
+  };
+
+  for (const members of clusters.values()) {
+    const ordered = members.map(i => jobs[i]).sort(compareCanonical);
+    const [head, ...others] = ordered;
+    if (others.length === 0) {
+      if (!head.alternate_sources) head.alternate_sources = [];
+      canonical.push(head);
+      continue;
+    }
+
+    // Same record twice under one id: not an alternate source, just a repeat
+    const alternates = others.filter(job => job.id !== head.id);
+    for (const field of mergeCluster(head, alternates)) stats.merged_fields[field]++;
+    canonical.push(head);
+
+    stats.clusters++;
+    stats.jobs_clustered += ordered.length;
+    stats.removed += others.length;
+    stats.largest_cluster = Math.max(stats.largest_cluster, ordered.length);
+    stats.canonical_by_source[head.source] = (stats.canonical_by_source[head.source] || 0) + 1;
+    for (const job of others) {
+      dropped.push({ job, canonical_id: head.id, rule: joinedBy.get(order.get(job)) || 'id' });
+    }
+  }
+
+  // Keep input order (Step 8 sorts by date anyway)
+  canonical.sort((a, b) => order.get(a) - order.get(b));
+  return { canonical, dropped, stats };
+}
+
+module.exports = {
+  compareCanonical,
+  locationScore,
+  isDirectApplyUrl,
+  clusterDuplicates,
+};
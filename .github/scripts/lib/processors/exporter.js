@@ -0,0 +1,260 @@
+/**
+ * Exporter — the published jobs in formats other than JSONL
+ *
+ * For partners and the newsletter, who can't use all_jobs.json directly:
+ *   <name>.csv          every job, fixed column order (CSV_COLUMNS — append only)
+ *   <name>.rss.xml      RSS 2.0, newest EXPORT_MAX_ITEMS jobs
+ *   <name>.atom.xml     Atom 1.0, same items
+ *   <name>.feed.json    JSON Feed 1.1, same items
+ *
+ * Written for the whole pool (exports/jobs.*) and for every feed with
+ * "export": true in feeds/feed-definitions.json (exports/feeds/<feed>.*).
+ * Items are ordered newest posted_at first, then by id, so reruns on the same
+ * data produce identical files. An item's GUID / id is urn:zapply:job:<fingerprint>:
+ * the same role keeps its GUID when a source re-ids it, so readers don't show it twice.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('../paths');
+const { EXPORT_MAX_ITEMS } = require('../config');
+const { csvRow } = require('../utils/csv');
+
+const SITE_URL = 'https://zapply.jobs';
+const PUBLISHED_DATA_URL = 'https://raw.githubusercontent.com/zapplyjobs/jobs-data-2026/main/.github/data';
+const FEED_AUTHOR = 'Zapply';
+
+// Stable CSV column order — append new columns at the end only
+const CSV_COLUMNS = [
+  'id', 'fingerprint', 'source', 'company_id', 'company_name', 'title', 'location',
+  'job_city', 'job_state', 'workplace', 'employment', 'experience', 'domains', 'special',
+  'salary_min', 'salary_max', 'currency', 'period', 'min_years_experience',
+  'degree_required', 'sponsorship', 'posted_at', 'first_seen', 'url', 'apply_url',
+];
+
+const FORMATS = {
+  csv: { ext: 'csv', render: renderCSV },
+  rss: { ext: 'rss.xml', render: renderRSS },
+  atom: { ext: 'atom.xml', render: renderAtom },
+  json_feed: { ext: 'feed.json', render: renderJSONFeed },
+};
+
+// XML 1.0 forbids most C0 control characters even when escaped
+const XML_INVALID = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+/**
+ * Escape text for XML element content and attribute values
+ * @param {*} value
+ * @returns {string}
+ */
+function xmlEscape(value) {
+  return String(value ?? '').replace(XML_INVALID, '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+const guidOf = job => `urn:zapply:job:${job.fingerprint || job.id}`;
+const linkOf = job => job.url || job.apply_url || SITE_URL;
+const dateOf = job => job.posted_at || job.first_seen || job.fetched_at || null;
+const isoOf = job => {
+  const ts = Date.parse(dateOf(job));
+  return Number.isNaN(ts) ? null : new Date(ts).toISOString();
+};
+
+/**
+ * Newest first, ties by id
+ * @param {Array} jobs
+ * @returns {Array} - New array
+ */
+function sortForExport(jobs) {
+  const time = job => Date.parse(dateOf(job)) || 0;
+  return [...jobs].sort((a, b) => time(b) - time(a) || String(a.id).localeCompare(String(b.id)));
+}
+
+/**
+ * One-line plain-text summary: "Company — Location · Entry level · 80,000–95,000 USD/year"
+ * @param {Object} job
+ * @returns {string}
+ */
+function summaryOf(job) {
+  const parts = [];
+  if (job.location) parts.push(job.location);
+  if (job.workplace && job.workplace !== 'unknown') parts.push(job.workplace);
+  if (job.tags?.employment) parts.push(job.tags.employment.replace(/_/g, ' '));
+  if (job.salary_min || job.salary_max) {
+    const range = [job.salary_min, job.salary_max].filter(v => v !== null && v !== undefined)
+      .map(v => v.toLocaleString('en-US')).join('–');
+    parts.push(`${range}${job.currency ? ` ${job.currency}` : ''}${job.period ? `/${job.period}` : ''}`);
+  }
+  return parts.length > 0 ? `${job.company_name} — ${parts.join(' · ')}` : job.company_name;
+}
+
+const categoriesOf = job => [...new Set([job.tags?.employment, ...(job.tags?.domains || []), ...(job.tags?.special || [])].filter(Boolean))];
+
+// ─── Renderers ─────────────────────────────────────────────────────────────
+
+function csvValues(job) {
+  return CSV_COLUMNS.map(col => {
+    if (col === 'employment' || col === 'experience' || col === 'domains' || col === 'special') return job.tags?.[col];
+    return job[col];
+  });
+}
+
+/**
+ * @param {Array} jobs - Sorted
+ * @returns {string}
+ */
+function renderCSV(jobs) {
+  return csvRow(CSV_COLUMNS) + jobs.map(job => csvRow(csvValues(job))).join('');
+}
+
+/**
+ * @param {Array} jobs - Sorted, capped
+ * @param {Object} channel - { title, description, selfUrl, updated (ISO) }
+ * @returns {string}
+ */
+function renderRSS(jobs, channel) {
+  const items = jobs.map(job => {
+    const published = isoOf(job);
+    return [
+      '    <item>',
+      `      <title>${xmlEscape(`${job.title} at ${job.company_name}`)}</title>`,
+      `      <link>${xmlEscape(linkOf(job))}</link>`,
+      `      <guid isPermaLink="false">${xmlEscape(guidOf(job))}</guid>`,
+      published ? `      <pubDate>${new Date(published).toUTCString()}</pubDate>` : null,
+      `      <description>${xmlEscape(summaryOf(job))}</description>`,
+      ...categoriesOf(job).map(c => `      <category>${xmlEscape(c)}</category>`),
+      '    </item>',
+    ].filter(Boolean).join('\n');
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${xmlEscape(channel.title)}</title>`,
+    `    <link>${SITE_URL}</link>`,
+    `    <description>${xmlEscape(channel.description)}</description>`,
+    `    <atom:link href="${xmlEscape(channel.selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    `    <lastBuildDate>${new Date(channel.updated).toUTCString()}</lastBuildDate>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * @param {Array} jobs - Sorted, capped
+ * @param {Object} channel
+ * @returns {string}
+ */
+function renderAtom(jobs, channel) {
+  const entries = jobs.map(job => {
+    const updated = isoOf(job) || channel.updated;
+    return [
+      '  <entry>',
+      `    <id>${xmlEscape(guidOf(job))}</id>`,
+      `    <title>${xmlEscape(`${job.title} at ${job.company_name}`)}</title>`,
+      `    <link rel="alternate" href="${xmlEscape(linkOf(job))}"/>`,
+      `    <updated>${updated}</updated>`,
+      `    <published>${updated}</published>`,
+      `    <author><name>${xmlEscape(job.company_name)}</name></author>`,
+      `    <summary>${xmlEscape(summaryOf(job))}</summary>`,
+      ...categoriesOf(job).map(c => `    <category term="${xmlEscape(c)}"/>`),
+      '  </entry>',
+    ].join('\n');
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${xmlEscape(channel.selfUrl)}</id>`,
+    `  <title>${xmlEscape(channel.title)}</title>`,
+    `  <subtitle>${xmlEscape(channel.description)}</subtitle>`,
+    `  <link rel="self" href="${xmlEscape(channel.selfUrl)}"/>`,
+    `  <link rel="alternate" href="${SITE_URL}"/>`,
+    `  <updated>${channel.updated}</updated>`,
+    `  <author><name>${FEED_AUTHOR}</name></author>`,
+    ...entries,
+    '</feed>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * @param {Array} jobs - Sorted, capped
+ * @param {Object} channel
+ * @returns {string}
+ */
+function renderJSONFeed(jobs, channel) {
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: channel.title,
+    home_page_url: SITE_URL,
+    feed_url: channel.selfUrl,
+    description: channel.description,
+    authors: [{ name: FEED_AUTHOR }],
+    items: jobs.map(job => ({
+      id: guidOf(job),
+      url: linkOf(job),
+      title: `${job.title} at ${job.company_name}`,
+      content_text: summaryOf(job),
+      date_published: isoOf(job),
+      authors: [{ name: job.company_name }],
+      tags: categoriesOf(job),
+      _zapply: {
+        job_id: job.id,
+        company_id: job.company_id ?? null,
+        location: job.location || null,
+        workplace: job.workplace || null,
+        salary_min: job.salary_min ?? null,
+        salary_max: job.salary_max ?? null,
+        currency: job.currency ?? null,
+        period: job.period ?? null,
+        apply_url: job.apply_url || null,
+      },
+    })),
+  };
+  return JSON.stringify(feed, null, 2) + '\n';
+}
+
+// ─── Writing ───────────────────────────────────────────────────────────────
+
+/**
+ * Write one job set in every format
+ * @param {string} dir - Output directory (created if missing)
+ * @param {string} name - File base name
+ * @param {Array} jobs
+ * @param {Object} channel - { title, description }
+ * @param {Object} [options]
+ * @param {number} [options.maxItems] - Item cap for RSS / Atom / JSON Feed
+ * @returns {Object} - { name, jobs, items, files: [fname] }
+ */
+function exportJobs(dir, name, jobs, channel, { maxItems = EXPORT_MAX_ITEMS } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const sorted = sortForExport(jobs);
+  const capped = sorted.slice(0, maxItems);
+  // Newest item's date rather than the run time: an unchanged job set leaves the files unchanged
+  const updated = (sorted.length > 0 && isoOf(sorted[0])) || new Date().toISOString();
+  const relDir = path.relative(DATA_DIR, dir).split(path.sep).join('/');
+
+  const files = [];
+  for (const { ext, render } of Object.values(FORMATS)) {
+    const fname = `${name}.${ext}`;
+    const selfUrl = `${PUBLISHED_DATA_URL}/${relDir}/${fname}`;
+    const body = ext === 'csv' ? render(sorted) : render(capped, { ...channel, selfUrl, updated });
+    fs.writeFileSync(path.join(dir, fname), body, 'utf8');
+    files.push(fname);
+  }
+  return { name, jobs: sorted.length, items: capped.length, files };
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  xmlEscape,
+  sortForExport,
+  renderCSV,
+  renderRSS,
+  renderAtom,
+  renderJSONFeed,
+  exportJobs,
+};
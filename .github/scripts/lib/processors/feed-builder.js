@@ -0,0 +1,152 @@
+/**
+ * Feed Builder — one slice of the public pool per consumer board
+ *
+ * Feeds are declared in feeds/feed-definitions.json, so what each board shows
+ * is decided here instead of in six copies of a tag filter:
+ *
+ *   "software": {
+ *     "repo": "New-Grad-Software-Engineering-Jobs-2026",
+ *     "export": true,
+ *     "include": { "employment": ["entry_level", "internship"], "domains": ["software", "ai"] },
+ *     "exclude": { "experience": ["senior_level"] },
+ *     "group_variants": false
+ *   }
+ *
+ * Facets:
+ *   employment, experience, domains, locations, special   tags.* values
+ *   workplace   remote | hybrid | onsite | unknown
+ *   countries   geo country codes (US, CA, ...)
+ *   sources     fetcher source
+ *   companies   company_id
+ *   title       case-insensitive regular expressions
+ *
+ * include: every listed facet must match; a facet matches when the job has any
+ * of its values. exclude: the job is dropped when any value of any listed facet
+ * matches. group_variants keeps one record per multi-location role (a variant
+ * is left out when its primary is in the feed, and stands in for it when the
+ * primary was filtered out — see near-duplicates.js). export also renders
+ * the feed as CSV / RSS / Atom / JSON Feed (exporter.js).
+ */
+
+const path = require('path');
+const { collapseVariants } = require('./near-duplicates');
+
+const DEFINITIONS_FILE = path.join(__dirname, '..', '..', 'feeds', 'feed-definitions.json');
+const FEED_NAME = /^[a-z0-9][a-z0-9-]*$/;
+
+const asList = value => (Array.isArray(value) ? value : value === undefined || value === null ? [] : [value]);
+
+/** Values a job has for each facet */
+const FACETS = {
+  employment: job => asList(job.tags?.employment),
+  experience: job => asList(job.tags?.experience),
+  domains: job => asList(job.tags?.domains),
+  locations: job => asList(job.tags?.locations),
+  special: job => asList(job.tags?.special),
+  workplace: job => asList(job.workplace),
+  countries: job => asList(job.geo).map(g => g.country).filter(Boolean),
+  sources: job => asList(job.source),
+  companies: job => asList(job.company_id),
+};
+
+/**
+ * Does one facet of a rule match the job?
+ * @param {Object} job
+ * @param {string} facet
+ * @param {Array} values - Rule values (RegExps for title)
+ * @returns {boolean}
+ */
+function facetMatches(job, facet, values) {
+  if (facet === 'title') return values.some(re => re.test(job.title || ''));
+  const have = FACETS[facet](job);
+  return values.some(value => have.includes(value));
+}
+
+/**
+ * Check a rule block and compile its title patterns
+ * @param {string} where - "<feed>.include" for error messages
+ * @param {Object} rule
+ * @returns {Object} - { facet: values }
+ */
+function compileRule(where, rule = {}) {
+  const compiled = {};
+  for (const [facet, values] of Object.entries(rule)) {
+    if (facet !== 'title' && !FACETS[facet]) {
+      throw new Error(`Feed definitions: ${where} has unknown facet "${facet}" (expected ${[...Object.keys(FACETS), 'title'].join(', ')})`);
+    }
+    if (!Array.isArray(values) || values.length === 0) {
+      throw new Error(`Feed definitions: ${where}.${facet} must be a non-empty array`);
+    }
+    compiled[facet] = facet === 'title' ? values.map(v => new RegExp(v, 'i')) : values;
+  }
+  return compiled;
+}
+
+/**
+ * Read and check the feed definitions
+ * @param {string} [file]
+ * @returns {Array<Object>} - [{ name, repo, include, exclude, group_variants, export }]
+ */
+function loadFeedDefinitions(file = DEFINITIONS_FILE) {
+  const { feeds } = require(file);
+  return Object.entries(feeds).map(([name, def]) => {
+    if (!FEED_NAME.test(name)) throw new Error(`Feed definitions: "${name}" is not a valid feed name (lowercase, digits, dashes)`);
+    return {
+      name,
+      repo: def.repo || null,
+      include: compileRule(`${name}.include`, def.include),
+      exclude: compileRule(`${name}.exclude`, def.exclude),
+      group_variants: def.group_variants === true,
+      export: def.export === true,
+    };
+  });
+}
+
+/**
+ * @param {Object} job
+ * @param {Object} feed - From loadFeedDefinitions
+ * @returns {boolean}
+ */
+function matchesFeed(job, feed) {
+  for (const [facet, values] of Object.entries(feed.include)) {
+    if (!facetMatches(job, facet, values)) return false;
+  }
+  for (const [facet, values] of Object.entries(feed.exclude)) {
+    if (facetMatches(job, facet, values)) return false;
+  }
+  return true;
+}
+
+/**
+ * Partition the public pool into feeds (a job can be in several)
+ * @param {Array} jobs - Public records
+ * @param {Array} [feeds] - Definitions (defaults to the bundled file)
+ * @returns {Object} - { feeds: { name: jobs }, stats: { name: { repo, jobs, variants_skipped, by_employment } } }
+ */
+function buildFeeds(jobs, feeds = loadFeedDefinitions()) {
+  const result = {};
+  const stats = {};
+  for (const feed of feeds) {
+    const matched = jobs.filter(job => matchesFeed(job, feed));
+    const published = feed.group_variants ? collapseVariants(matched) : matched;
+    const byEmployment = {};
+    for (const job of published) {
+      for (const value of asList(job.tags?.employment)) byEmployment[value] = (byEmployment[value] || 0) + 1;
+    }
+    result[feed.name] = published;
+    stats[feed.name] = {
+      repo: feed.repo,
+      jobs: published.length,
+      variants_skipped: matched.length - published.length,
+      by_employment: byEmployment,
+    };
+  }
+  return { feeds: result, stats };
+}
+
+module.exports = {
+  DEFINITIONS_FILE,
+  loadFeedDefinitions,
+  matchesFeed,
+  buildFeeds,
+};
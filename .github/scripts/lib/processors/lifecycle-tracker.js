@@ -0,0 +1,182 @@
+/**
+ * Job Lifecycle Tracker
+ *
+ * Keeps per-fingerprint state across runs in .github/data/lifecycle-store.json:
+ *   first_seen      - first run that fetched the posting
+ *   last_seen       - latest run that fetched it (not merely carried it over)
+ *   times_seen      - number of runs that fetched it
+ *   reposted_count  - times it left the pool and came back
+ *   closed_at       - when it left the public pool (null while live)
+ *   source, company - for the summary breakdowns
+ *
+ * A fingerprint is "seen" when this run's fetch produced it; it is "closed"
+ * when it is no longer in the published pool (expired, removed at source, ...).
+ * Closed entries are kept for LIFECYCLE_RETENTION_DAYS so reposts are detected.
+ */
+
+const fs = require('fs');
+const { LIFECYCLE_RETENTION_DAYS } = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STORE_VERSION = 1;
+
+// Lifecycle fields copied onto every public record
+const LIFECYCLE_FIELDS = ['first_seen', 'last_seen', 'times_seen', 'reposted_count'];
+
+/**
+ * Load the lifecycle store
+ * @param {string} filePath - Path to lifecycle-store.json
+ * @returns {Object} - { version, updated, fingerprints: { [fp]: entry } }
+ */
+function loadLifecycleStore(filePath) {
+  const empty = { version: STORE_VERSION, updated: null, fingerprints: {} };
+  if (!fs.existsSync(filePath)) return empty;
+  try {
+    const store = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return store?.fingerprints ? store : empty;
+  } catch {
+    return empty;
+  }
+}
+
+/**
+ * Advance the store by one run
+ * @param {Object} store - Lifecycle store (mutated)
+ * @param {Object} params
+ * @param {Array} params.seenJobs - Jobs fetched this run
+ * @param {Array} params.poolJobs - Jobs in the published pool after merge
+ * @param {string} params.now - ISO timestamp of this run
+ * @returns {Object} - { added, reopened, closed, pruned }
+ */
+function updateLifecycle(store, { seenJobs, poolJobs, now }) {
+  const entries = store.fingerprints;
+  const stats = { added: 0, reopened: 0, closed: 0, pruned: 0 };
+  const seen = new Set();
+
+  for (const job of seenJobs) {
+    const fp = job.fingerprint;
+    if (!fp || seen.has(fp)) continue;
+    seen.add(fp);
+
+    const entry = entries[fp];
+    if (!entry) {
+      entries[fp] = {
+        first_seen: now, last_seen: now, times_seen: 1, reposted_count: 0, closed_at: null,
+        source: job.source || null, company: job.company_name || null,
+      };
+      stats.added++;
+      continue;
+    }
+    if (entry.closed_at) {
+      entry.reposted_count++;
+      entry.closed_at = null;
+      stats.reopened++;
+    }
+    entry.last_seen = now;
+    entry.times_seen++;
+  }
+
+  // Pool jobs not fetched this run (carried over by the rolling window)
+  // still need an entry — e.g. the first run after this tracker shipped.
+  const inPool = new Set();
+  for (const job of poolJobs) {
+    const fp = job.fingerprint;
+    if (!fp) continue;
+    inPool.add(fp);
+    if (!entries[fp]) {
+      const firstSeen = job.fetched_at || job.posted_at || now;
+      entries[fp] = {
+        first_seen: firstSeen, last_seen: firstSeen, times_seen: 1, reposted_count: 0, closed_at: null,
+        source: job.source || null, company: job.company_name || null,
+      };
+      stats.added++;
+    }
+  }
+
+  const cutoff = Date.parse(now) - LIFECYCLE_RETENTION_DAYS * DAY_MS;
+  for (const [fp, entry] of Object.entries(entries)) {
+    if (!entry.closed_at && !inPool.has(fp)) {
+      entry.closed_at = now;
+      stats.closed++;
+    } else if (entry.closed_at && Date.parse(entry.closed_at) < cutoff) {
+      delete entries[fp];
+      stats.pruned++;
+    }
+  }
+
+  store.version = STORE_VERSION;
+  store.updated = now;
+  return stats;
+}
+
+/**
+ * Copy lifecycle fields onto public records
+ * @param {Array} jobs - Public jobs (mutated)
+ * @param {Object} store - Lifecycle store
+ */
+function applyLifecycleFields(jobs, store) {
+  for (const job of jobs) {
+    const entry = store.fingerprints[job.fingerprint];
+    if (!entry) continue;
+    for (const field of LIFECYCLE_FIELDS) job[field] = entry[field];
+  }
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  const m = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  return Math.round(m * 10) / 10;
+}
+
+/**
+ * Summarize the store for jobs-metadata.json
+ * Time-to-close = last_seen − first_seen, in days, over closed entries.
+ * @param {Object} store - Lifecycle store
+ * @param {Object} runStats - Result of updateLifecycle
+ * @returns {Object}
+ */
+function summarizeLifecycle(store, runStats) {
+  const entries = Object.values(store.fingerprints);
+  const closed = entries.filter(e => e.closed_at);
+  const daysLive = e => (Date.parse(e.last_seen) - Date.parse(e.first_seen)) / DAY_MS;
+
+  const group = key => {
+    const groups = {};
+    for (const e of closed) {
+      const k = e[key] || 'unknown';
+      (groups[k] = groups[k] || []).push(daysLive(e));
+    }
+    return groups;
+  };
+
+  const bySource = Object.fromEntries(
+    Object.entries(group('source'))
+      .sort((a, b) => b[1].length - a[1].length)
+      .map(([src, days]) => [src, { closed: days.length, median_days_to_close: median(days) }])
+  );
+  const byCompany = Object.entries(group('company'))
+    .sort((a, b) => b[1].length - a[1].length)
+    .slice(0, 15)
+    .map(([company, days]) => ({ company, closed: days.length, median_days_to_close: median(days) }));
+
+  return {
+    tracked: entries.length,
+    open: entries.length - closed.length,
+    closed: closed.length,
+    this_run: runStats,
+    reposted: entries.filter(e => e.reposted_count > 0).length,
+    median_days_to_close: median(closed.map(daysLive)),
+    by_source: bySource,
+    top_companies_by_closed: byCompany,
+  };
+}
+
+module.exports = {
+  LIFECYCLE_FIELDS,
+  loadLifecycleStore,
+  updateLifecycle,
+  applyLifecycleFields,
+  summarizeLifecycle,
+};
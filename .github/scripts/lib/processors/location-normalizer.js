@@ -0,0 +1,420 @@
+/**
+ * Location Normalizer — free-text locations → { city, state, country, lat, lon }
+ *
+ * Backed by the bundled offline gazetteer (geo/gazetteer.json) and alias table
+ * (geo/location-aliases.json); nothing is looked up over the network.
+ *
+ * Step 2 (expandRawLocations): multi-location postings are expanded from the
+ * source's raw record — Workday additionalLocations, Greenhouse offices, Lever
+ * allLocations, Ashby secondaryLocations, JSearch city/state/country — into
+ * `locations`, and a stated workplace type (Ashby / Lever workplaceType,
+ * remote flags) is kept as `workplace`.
+ *
+ * Step 9 (normalizeLocations): every string in location / locations is parsed:
+ *   "Nashville, TN", "Boston-MA", "US - WI - Madison", "India - Pune",
+ *   "USA:KY:Louisville:6661 Dixie Hwy:RET/RET", "US-CT-WINDSOR LOCKS-B1 ~ ...",
+ *   "Chicago, IL; Denver, CO" (several), "Remote - US", "Wheeling Hospital" (alias)
+ * and each public record gets:
+ *   geo        [{ city, state, country, lat, lon }] — city level when the
+ *              gazetteer knows the city, else region / country level (lat/lon null)
+ *   workplace  remote | hybrid | onsite | unknown
+ *   job_city / job_state  from the first city-level geo entry ("2 Locations" → null)
+ *
+ * Strings with a part the gazetteer can't place are counted in metadata
+ * (location_normalization.unresolved) — add them to the alias table.
+ */
+
+const path = require('path');
+
+const GEO_DIR = path.join(__dirname, '..', '..', 'geo');
+const GAZETTEER_FILE = path.join(GEO_DIR, 'gazetteer.json');
+const ALIASES_FILE = path.join(GEO_DIR, 'location-aliases.json');
+const UNRESOLVED_SAMPLE = 50;
+
+const PLACEHOLDER = /^(\d+ locations?|multiple locations?|various( locations)?|unknown|tbd|n\/a|)$/i;
+const REMOTE = /\b(remote(?:[ -]work)?|work from home|wfh|telecommut\w*|teleworker|virtual|offsite|homebase|anywhere)\b/i;
+const HYBRID = /\bhybrid\b/i;
+const FACILITY = /\b(hospital|medical|clinic|health|hospice|center|centre|campus|office|building|bldg|suite|street|st|road|rd|avenue|ave|blvd|drive|dr)\b|\d/i;
+const MAX_WINDOW_WORDS = 4;
+
+/** Lowercase, no accents or periods, dashes as spaces — the key for every lookup */
+const fold = s => String(s).normalize('NFD').replace(/[̀-ͯ]/g, '').toLowerCase()
+  .replace(/\./g, '').replace(/[-_']/g, ' ').replace(/\s+/g, ' ').trim();
+
+const push = (map, key, value) => {
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(value);
+};
+
+let index = null;
+
+/**
+ * Lookup tables built from the gazetteer and alias files (once per process)
+ * @returns {Object}
+ */
+function loadIndex() {
+  if (index) return index;
+  const gazetteer = require(GAZETTEER_FILE);
+  const { aliases } = require(ALIASES_FILE);
+
+  const countries = new Map();    // folded name → ISO code
+  for (const [code, names] of Object.entries(gazetteer.countries)) {
+    for (const name of names) countries.set(fold(name), code);
+  }
+  const regionNames = new Map();  // folded name → [{ country, code }]
+  const regionCodes = new Map();  // code as written ("TN", "NSW") → [{ country, code }]
+  for (const [country, regions] of Object.entries(gazetteer.regions)) {
+    for (const [code, name] of Object.entries(regions)) {
+      push(regionNames, fold(name), { country, code });
+      push(regionCodes, code, { country, code });
+    }
+  }
+  const cities = new Map();       // folded name or alias → entries, file order
+  for (const [city, state, country, lat, lon, alternates = []] of gazetteer.cities) {
+    const entry = { city, state, country, lat, lon };
+    for (const name of [city, ...alternates]) push(cities, fold(name), entry);
+  }
+
+  index = {
+    countries,
+    countryCodes: new Set(Object.keys(gazetteer.countries)),
+    regionNames,
+    regionCodes,
+    cities,
+    aliases: new Map(Object.entries(aliases).map(([key, value]) => [fold(key), value])),
+  };
+  return index;
+}
+
+// ─── Parsing ───────────────────────────────────────────────────────────────
+
+/**
+ * Split one location string into its parts, most specific formats first
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  const idx = loadIndex();
+  const colon = text.split(':');
+  if (colon.length >= 3) {
+    // Workday: "USA:KY:Louisville:6661 Dixie Hwy:RET/RET", "USA:CA:Modesto / Granite Ln - Mod:..."
+    return [colon[0], colon[1], colon[2].split(/\s+\/\s+|\s+-\s+/)[0]];
+  }
+  const coded = text.match(/^([A-Z]{2})[- ]([A-Z]{2})[- ](.+)$/);
+  if (coded && idx.countryCodes.has(coded[1]) && (idx.regionCodes.get(coded[2]) || []).some(r => r.country === coded[1])) {
+    // "US-CT-WINDSOR LOCKS-B1 ~ 1 Hamilton Rd", "IN-KA-BENGALURU-NORTHGATE", "US MD Aberdeen Proving Ground"
+    return [coded[1], coded[2], coded[3].split(/\s*~\s*/)[0].split('-')[0]];
+  }
+  return text
+    .replace(/\([^)]*\)/g, ' ')            // site codes: "(ZFR99)", "(TX143)"
+    .replace(/,?\s*more\.{3}\s*$/i, '')   // "Chicago, IL, More..."
+    .split(/\s*[,|~]\s*|\s+-\s+|\s+\/\s+/)
+    .flatMap(part => {
+      const dashed = part.match(/^(.+?)-([A-Z]{2})$/); // "Boston-MA"
+      return dashed ? [dashed[1], dashed[2]] : [part];
+    });
+}
+
+/**
+ * Parts after removing remote / hybrid words, office numbers and aliases
+ * @param {string} text
+ * @param {boolean} useAliases
+ * @returns {Array<string>}
+ */
+function cleanParts(text, useAliases) {
+  const idx = loadIndex();
+  const parts = [];
+  const pieces = tokenize(text).flatMap(part => part
+    .replace(new RegExp(REMOTE.source, 'gi'), ' ')
+    .replace(new RegExp(HYBRID.source, 'gi'), ' ')
+    .split(/\s*\/\s*/));                    // "6314 Remote/Teleworker US", "Houma/Raceland"
+  for (let part of pieces) {
+    part = part
+      .replace(/\bregion\b/gi, ' ')
+      .replace(/\s+\d{1,3}$/, '')           // "CORK 01", "PUNE 04"
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (!part || /^\d+$/.test(part)) continue;
+    const key = fold(part);
+    if (useAliases && idx.aliases.has(key)) {
+      const target = idx.aliases.get(key);
+      if (target !== null) parts.push(...cleanParts(target, false));
+      continue;
+    }
+    parts.push(part);
+  }
+  return parts;
+}
+
+/**
+ * What a part could be: country, region options, city entries
+ * @param {string} part
+ * @param {number} position
+ * @param {number} count
+ * @returns {Object}
+ */
+function classify(part, position, count) {
+  const idx = loadIndex();
+  const key = fold(part);
+  let country = idx.countries.get(key) || null;
+  // Leading ISO code: "PL - Warsaw", "ZA - Johannesburg" (elsewhere "IN" / "CA" are states)
+  if (!country && position === 0 && count > 1 && /^[A-Z]{2}$/.test(part) && idx.countryCodes.has(part)) country = part;
+  const regions = [
+    ...(/^[A-Z0-9]{1,3}$/.test(part) && !country ? idx.regionCodes.get(part) || [] : []),
+    ...(idx.regionNames.get(key) || []),
+  ];
+  return { part, key, country, regions, cities: idx.cities.get(key) || [] };
+}
+
+/**
+ * City entries consistent with the country / region named by the other parts
+ * @param {Array} entries
+ * @param {Array} others - Classified other parts
+ * @returns {Array}
+ */
+function consistent(entries, others) {
+  const countries = new Set(others.map(o => o.country).filter(Boolean));
+  const regions = others.flatMap(o => o.regions);
+  return entries.filter(e =>
+    (countries.size === 0 || countries.has(e.country)) &&
+    (regions.length === 0 || regions.some(r => r.country === e.country && r.code === e.state)));
+}
+
+const geoEntry = (city, state, country, lat, lon) => ({ city, state, country, lat, lon });
+
+/**
+ * Parse one location string (no ";" lists — see parseLocations)
+ * @param {string} text
+ * @param {Object} [options] - { useAliases = true }
+ * @returns {Object} - { geo, remote, hybrid, placeholder, unresolved }
+ */
+function parseLocation(text, { useAliases = true } = {}) {
+  const idx = loadIndex();
+  const raw = String(text ?? '').trim();
+  const result = { geo: null, remote: REMOTE.test(raw), hybrid: HYBRID.test(raw), placeholder: false, unresolved: false };
+
+  const key = fold(raw);
+  if (useAliases && idx.aliases.has(key)) {
+    const target = idx.aliases.get(key);
+    if (target === null) return { ...result, placeholder: true };
+    const parsed = parseLocation(target, { useAliases: false });
+    return { ...parsed, remote: parsed.remote || result.remote, hybrid: parsed.hybrid || result.hybrid };
+  }
+  if (PLACEHOLDER.test(raw)) return { ...result, placeholder: true };
+
+  const parts = cleanParts(raw, useAliases);
+  if (parts.length === 0) return { ...result, placeholder: !result.remote && !result.hybrid };
+  const classified = parts.map((part, i) => classify(part, i, parts.length));
+
+  // City: the first part naming a city consistent with the rest
+  for (const c of classified) {
+    const match = consistent(c.cities, classified.filter(o => o !== c))[0];
+    if (match) {
+      result.geo = geoEntry(match.city, match.state, match.country, match.lat, match.lon);
+      return result;
+    }
+  }
+
+  // Site names and addresses: a known city inside the part ("Euclid Hospital", "Suite 200 Toledo")
+  const unknown = classified.filter(c => !c.country && c.regions.length === 0 && c.cities.length === 0);
+  for (const c of unknown.filter(u => FACILITY.test(u.part))) {
+    const words = c.key.split(' ');
+    for (let size = Math.min(MAX_WINDOW_WORDS, words.length - 1); size >= 1; size--) {
+      for (let start = 0; start + size <= words.length; start++) {
+        const entries = loadIndex().cities.get(words.slice(start, start + size).join(' ')) || [];
+        const match = consistent(entries, classified.filter(o => o !== c))[0];
+        if (match) {
+          result.geo = geoEntry(match.city, match.state, match.country, match.lat, match.lon);
+          return result;
+        }
+      }
+    }
+  }
+
+  // Region, then country level
+  const countries = new Set(classified.map(c => c.country).filter(Boolean));
+  const regions = classified.flatMap(c => c.regions)
+    .filter(r => countries.size === 0 || countries.has(r.country))
+    .sort((a, b) => (a.country === 'US' ? 0 : 1) - (b.country === 'US' ? 0 : 1));
+  if (regions.length > 0) result.geo = geoEntry(null, regions[0].code, regions[0].country, null, null);
+  else if (countries.size > 0) result.geo = geoEntry(null, null, [...countries][0], null, null);
+  result.unresolved = unknown.length > 0;
+  return result;
+}
+
+/**
+ * Parse a location string that may list several places ("Chicago, IL; Denver, CO")
+ * @param {string} text
+ * @returns {Array<Object>} - parseLocation results
+ */
+function parseLocations(text) {
+  return String(text ?? '').split(/\s*;\s*/).map(part => parseLocation(part));
+}
+
+// ─── Step 2: raw data ──────────────────────────────────────────────────────
+
+const labelOf = value => {
+  if (typeof value === 'string') return value.trim();
+  if (!value || typeof value !== 'object') return '';
+  if (value.location || value.name) return String(value.location || value.name).trim();
+  const address = value.address?.postalAddress || value.postalAddress || {};
+  return [address.addressLocality, address.addressRegion, address.addressCountry].filter(Boolean).join(', ');
+};
+
+/**
+ * Location labels and stated workplace from a job's raw source record
+ * @param {Object} raw - job._raw
+ * @returns {Object} - { labels, workplace }
+ */
+function readRawLocations(raw) {
+  if (!raw || typeof raw !== 'object') return { labels: [], workplace: null };
+  const labels = [
+    raw.jobPostingInfo?.location,
+    ...[].concat(raw.additionalLocations || raw.jobPostingInfo?.additionalLocations || []), // Workday
+    raw.location,                                                                          // Greenhouse / Ashby
+    ...[].concat(raw.offices || []),                                                       // Greenhouse
+    ...[].concat(raw.categories?.allLocations || []),                                      // Lever
+    ...[].concat(raw.secondaryLocations || []),                                            // Ashby
+    ...(Array.isArray(raw.locations) ? raw.locations : []),                                // SmartRecruiters / Eightfold
+    [raw.job_city, raw.job_state, raw.job_country].filter(Boolean).join(', '),             // JSearch
+  ].map(labelOf).filter(Boolean);
+
+  const stated = String(raw.workplaceType || raw.workplace_type || raw.locationType || '');
+  let workplace = null;
+  if (HYBRID.test(stated)) workplace = 'hybrid';
+  else if (REMOTE.test(stated) || raw.isRemote === true || raw.job_is_remote === true) workplace = 'remote';
+  else if (/on-?site|in[- ]office/i.test(stated)) workplace = 'onsite';
+  return { labels, workplace };
+}
+
+/**
+ * Expand a job's `locations` from its raw record and keep a stated workplace (Step 2)
+ * @param {Object} job - Fetched job (mutated)
+ * @returns {number} - Locations added
+ */
+function expandRawLocations(job) {
+  const { labels, workplace } = readRawLocations(job._raw);
+  if (workplace && !job.workplace) job.workplace = workplace;
+
+  const existing = Array.isArray(job.locations) && job.locations.length > 0 ? job.locations : [job.location].filter(Boolean);
+  const seen = new Set(existing.map(l => fold(labelOf(l))));
+  const added = [];
+  for (const label of labels) {
+    const key = fold(label);
+    if (seen.has(key) || PLACEHOLDER.test(label)) continue;
+    seen.add(key);
+    added.push(label);
+  }
+  if (added.length === 0) return 0;
+  // "3 Locations" only stood in for the list we now have
+  job.locations = [...existing.filter(l => typeof l !== 'string' || !PLACEHOLDER.test(l.trim())), ...added];
+  return added.length;
+}
+
+// ─── Step 9: public records ────────────────────────────────────────────────
+
+/**
+ * geo + workplace for one record
+ * @param {Object} job
+ * @returns {Object} - { geo, workplace, unresolved: [strings] }
+ */
+function normalizeJobLocation(job) {
+  const labels = [job.location, ...(Array.isArray(job.locations) ? job.locations : [])].map(labelOf).filter(Boolean);
+  const strings = [...new Map(labels.map(l => [fold(l), l])).values()];
+
+  const parsed = strings.map(s => ({ text: s, results: parseLocations(s) }));
+  const results = parsed.flatMap(p => p.results);
+
+  const byKey = new Map();
+  for (const { geo } of results) {
+    if (geo) byKey.set(`${geo.city}|${geo.state}|${geo.country}`, geo);
+  }
+  // A bare region / country adds nothing next to a city inside it
+  const all = [...byKey.values()];
+  const geo = all.filter(g => g.city || !all.some(o => o !== g && o.country === g.country &&
+    (o.city || (o.state && !g.state)) && (!g.state || o.state === g.state)));
+
+  const text = `${job.title || ''} ${strings.join(' ')}`;
+  let workplace = ['remote', 'hybrid', 'onsite'].includes(job.workplace) ? job.workplace : null;
+  if (!workplace) {
+    if (HYBRID.test(text) || results.some(r => r.hybrid)) workplace = 'hybrid';
+    else if (results.some(r => r.remote) || REMOTE.test(job.title || '') || job.is_remote === true) workplace = 'remote';
+    else if (geo.length > 0) workplace = 'onsite';
+    else workplace = 'unknown';
+  }
+
+  return {
+    geo,
+    workplace,
+    unresolved: parsed.filter(p => p.results.some(r => r.unresolved) ||
+      (p.results.every(r => !r.geo && !r.placeholder && !r.remote && !r.hybrid))).map(p => p.text),
+  };
+}
+
+/**
+ * Set geo / workplace / job_city / job_state on every public record
+ * @param {Array} jobs - Public records (mutated)
+ * @returns {Object} - Stats for metadata, with the most common unresolved strings
+ */
+function normalizeLocations(jobs) {
+  const stats = {
+    jobs: jobs.length,
+    city_level: 0,
+    region_or_country_level: 0,
+    no_geo: 0,
+    multi_location: 0,
+    workplace: { remote: 0, hybrid: 0, onsite: 0, unknown: 0 },
+    unresolved_jobs: 0,
+    unresolved_strings: 0,
+    unresolved: [],
+  };
+  const unresolvedCounts = new Map();
+
+  for (const job of jobs) {
+    const { geo, workplace, unresolved } = normalizeJobLocation(job);
+    job.geo = geo;
+    job.workplace = workplace;
+
+    const cityLevel = geo.find(g => g.city);
+    if (cityLevel) {
+      job.job_city = cityLevel.city;
+      job.job_state = cityLevel.state;
+    } else if (job.job_city && (PLACEHOLDER.test(String(job.job_city).trim()) || REMOTE.test(job.job_city))) {
+      job.job_city = null;
+    }
+
+    if (cityLevel) stats.city_level++;
+    else if (geo.length > 0) stats.region_or_country_level++;
+    else stats.no_geo++;
+    if (geo.length > 1) stats.multi_location++;
+    stats.workplace[workplace]++;
+    if (unresolved.length > 0) stats.unresolved_jobs++;
+    for (const text of unresolved) unresolvedCounts.set(text, (unresolvedCounts.get(text) || 0) + 1);
+  }
+
+  stats.unresolved_strings = unresolvedCounts.size;
+  stats.unresolved = [...unresolvedCounts]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, UNRESOLVED_SAMPLE)
+    .map(([location, count]) => ({ location, count }));
+  return stats;
+}
+
+/**
+ * Full region and country names of a geo entry ("TX", "US" → Texas, United States)
+ * @param {Object} geo - { state, country }
+ * @returns {Array<string>}
+ */
+function placeNames({ state, country }) {
+  const gazetteer = require(GAZETTEER_FILE);
+  return [state && gazetteer.regions[country]?.[state], gazetteer.countries[country]?.[0]].filter(Boolean);
+}
+
+module.exports = {
+  parseLocation,
+  parseLocations,
+  expandRawLocations,
+  normalizeJobLocation,
+  normalizeLocations,
+  placeNames,
+};
@@ -0,0 +1,257 @@
+/**
+ * Near-Duplicates — one role posted in many locations
+ *
+ * Exact dedupe (Step 6) and the fingerprint miss a role reposted per city:
+ * "RN - Med/Surg" at five Banner Health hospitals, a Workday "3 Locations"
+ * posting next to its single-city copies, a Greenhouse role listed once per
+ * office. These are grouped into variants of one multi-location job:
+ *
+ *   1. block by company (company_id) + normalized title — lowercase, without
+ *      parentheticals, requisition numbers ("R12345", "#4821") or the
+ *      posting's own city; years stay ("Summer 2026" vs "Summer 2027")
+ *   2. within a block, compare descriptions by minhash over 4-word shingles
+ *      (estimated Jaccard >= NEAR_DUPLICATE_SIMILARITY). A posting without a
+ *      description is never grouped: same-title openings at one company
+ *      (several "Software Engineer" reqs) are distinct jobs as far as we know.
+ *   3. each posting joins the first group whose primary it matches and to which
+ *      it adds a location (same title, same text, same place is another
+ *      opening, not another location of one), else starts one. Postings go in
+ *      canonical order: source priority, description, newest.
+ *
+ * Fields (every public record):
+ *   variant_ids   other postings of the role (primary only; [] otherwise)
+ *   variant_of    id of the primary (variants only; null otherwise)
+ *   locations     primary only: its own locations plus every variant's
+ *   variant_locations  primary only: the labels in locations that came from
+ *                 variants, so the next run can take them out again ([] otherwise)
+ *
+ * Variants stay in all_jobs.json, so each consumer chooses: one card per role
+ * (skip records whose primary is also shown — see collapseVariants) or one
+ * per location.
+ * Grouping is recomputed from scratch every run.
+ */
+
+const { NEAR_DUPLICATE_SIMILARITY, NEAR_DUPLICATE_MAX_GROUPS } = require('../config');
+const { compareCanonical } = require('./duplicate-clusterer');
+const { toPlainText } = require('../utils/text');
+
+const NUM_HASHES = 64;
+const SHINGLE_WORDS = 4;
+const PLACEHOLDER_LOCATION = /^(\d+ locations?|multiple locations?|various( locations)?|)$/i;
+
+// Fixed seeds: signatures must be comparable across runs and machines
+const SEEDS = (() => {
+  const seeds = new Uint32Array(NUM_HASHES);
+  let x = 0x9e3779b9;
+  for (let i = 0; i < NUM_HASHES; i++) {
+    x = (Math.imul(x, 1664525) + 1013904223) >>> 0;
+    seeds[i] = x;
+  }
+  return seeds;
+})();
+
+// FNV-1a, 32-bit
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// murmur3 finalizer: one independent-looking hash per seed
+function mix(h, seed) {
+  h = (h ^ seed) >>> 0;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+/**
+ * Minhash signature of a description's word shingles
+ * @param {string} description - Plain or HTML text
+ * @returns {Uint32Array|null} - null when the text is too short to shingle
+ */
+function minhashSignature(description) {
+  const words = toPlainText(description).toLowerCase().match(/[a-z0-9]+/g) || [];
+  if (words.length < SHINGLE_WORDS) return null;
+
+  const shingles = new Set();
+  for (let i = 0; i + SHINGLE_WORDS <= words.length; i++) {
+    shingles.add(hashString(words.slice(i, i + SHINGLE_WORDS).join(' ')));
+  }
+
+  const signature = new Uint32Array(NUM_HASHES).fill(0xffffffff);
+  for (const shingle of shingles) {
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const h = mix(shingle, SEEDS[i]);
+      if (h < signature[i]) signature[i] = h;
+    }
+  }
+  return signature;
+}
+
+/**
+ * Estimated Jaccard similarity of two signatures
+ * @param {Uint32Array} a
+ * @param {Uint32Array} b
+ * @returns {number} - 0..1
+ */
+function estimateSimilarity(a, b) {
+  let same = 0;
+  for (let i = 0; i < NUM_HASHES; i++) if (a[i] === b[i]) same++;
+  return same / NUM_HASHES;
+}
+
+/**
+ * Title as compared across locations
+ * @param {Object} job
+ * @returns {string}
+ */
+function normalizeTitle(job) {
+  let title = ` ${String(job.title || '').toLowerCase()} `
+    .replace(/\(.*?\)|\[.*?\]/g, ' ')
+    .replace(/\b(?:req|jr|job|r)[-_#]?\d{4,}\b|#\d{4,}\b|\b\d{6,}\b/g, ' ');
+  const city = String(job.job_city || String(job.location || '').split(',')[0]).toLowerCase().trim();
+  if (city && !PLACEHOLDER_LOCATION.test(city)) title = title.split(city).join(' ');
+  return title.replace(/[^a-z0-9+#]+/g, ' ').trim();
+}
+
+/**
+ * Location labels of a posting, without "3 Locations"-style placeholders
+ * @param {Object} job
+ * @returns {Array<string>}
+ */
+function locationLabels(job) {
+  const raw = Array.isArray(job.locations) && job.locations.length > 0 ? job.locations : [job.location];
+  return raw
+    .map(l => (typeof l === 'string' ? l : l?.location || l?.name || ''))
+    .map(l => l.trim())
+    .filter(l => !PLACEHOLDER_LOCATION.test(l));
+}
+
+/**
+ * Group near-duplicate postings and set variant_ids / variant_of / locations
+ * @param {Array} jobs - Public records (mutated)
+ * @param {Function} getDescription - job id → description text or null
+ * @returns {Object} - Stats for metadata
+ */
+function groupNearDuplicates(jobs, getDescription) {
+  const stats = {
+    groups: 0,
+    variants: 0,
+    no_description: 0,
+    comparisons: 0,
+    largest_group: 0,
+    by_source: {},
+  };
+
+  // Reset last run's grouping (prior-run records carry it). Only the variants' labels
+  // come out of locations: the primary's own may have been expanded from _raw in
+  // Step 2, which a prior-run record no longer has.
+  for (const job of jobs) {
+    if (job.variant_locations?.length > 0 && Array.isArray(job.locations)) {
+      const added = new Set(job.variant_locations);
+      job.locations = job.locations.filter(l => typeof l !== 'string' || !added.has(l.trim()));
+    }
+    job.variant_locations = [];
+    job.variant_ids = [];
+    job.variant_of = null;
+  }
+
+  const blocks = new Map();
+  for (const job of jobs) {
+    const company = job.company_id || job.company_slug || String(job.company_name || '').toLowerCase();
+    const title = normalizeTitle(job);
+    if (!company || !title) continue;
+    const key = `${company}|${title}`;
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push(job);
+  }
+
+  const signatures = new Map();
+  const signatureOf = job => {
+    if (!signatures.has(job.id)) signatures.set(job.id, minhashSignature(getDescription(job.id)));
+    return signatures.get(job.id);
+  };
+
+  for (const block of blocks.values()) {
+    if (block.length < 2) continue;
+    const groups = []; // { primary, members, labels }
+    for (const job of [...block].sort(compareCanonical)) {
+      const signature = signatureOf(job);
+      if (!signature) {
+        stats.no_description++;
+        continue;
+      }
+      const labels = locationLabels(job);
+      let joined = null;
+      for (const group of groups.slice(0, NEAR_DUPLICATE_MAX_GROUPS)) {
+        if (labels.every(label => group.labels.has(label))) continue;
+        stats.comparisons++;
+        if (estimateSimilarity(signature, signatureOf(group.primary)) >= NEAR_DUPLICATE_SIMILARITY) {
+          joined = group;
+          break;
+        }
+      }
+      if (joined) {
+        joined.members.push(job);
+        for (const label of labels) joined.labels.add(label);
+      } else {
+        groups.push({ primary: job, members: [], labels: new Set(labels) });
+      }
+    }
+
+    for (const { primary, members } of groups) {
+      if (members.length === 0) continue;
+      const labels = new Set(locationLabels(primary));
+      const extra = [];
+      for (const member of members) {
+        member.variant_of = primary.id;
+        for (const label of locationLabels(member)) {
+          if (!labels.has(label)) { labels.add(label); extra.push(label); }
+        }
+      }
+      const own = Array.isArray(primary.locations) && primary.locations.length > 0 ? primary.locations : [primary.location];
+      primary.locations = [...own.filter(l => typeof l !== 'string' || !PLACEHOLDER_LOCATION.test(l)), ...extra];
+      primary.variant_locations = extra;
+      primary.variant_ids = members.map(m => m.id).sort();
+
+      stats.groups++;
+      stats.variants += members.length;
+      stats.largest_group = Math.max(stats.largest_group, members.length + 1);
+      stats.by_source[primary.source] = (stats.by_source[primary.source] || 0) + members.length;
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * One record per role: drop variants (for consumers that want multi-location cards).
+ * A variant is only dropped when its primary is in jobs — in a filtered slice the
+ * primary may be missing, and then the group's first variant stands in for it.
+ * @param {Array} jobs - Public records with variant_of set
+ * @returns {Array}
+ */
+function collapseVariants(jobs) {
+  const present = new Set(jobs.filter(job => !job.variant_of).map(job => job.id));
+  return jobs.filter(job => {
+    if (!job.variant_of) return true;
+    if (present.has(job.variant_of)) return false;
+    present.add(job.variant_of); // primary filtered out: this variant is the group's card
+    return true;
+  });
+}
+
+module.exports = {
+  minhashSignature,
+  estimateSimilarity,
+  normalizeTitle,
+  groupNearDuplicates,
+  collapseVariants,
+};
@@ -0,0 +1,96 @@
+/**
+ * Output Validator — all_jobs.json gate
+ *
+ * Checks every public record against schema/job-record.schema.json, plus
+ * file-level rules the schema can't express (unique ids, unique fingerprints).
+ *
+ * index.js runs this before writeJobsJSONL: any violation blocks the write and
+ * leaves the previous all_jobs.json in place. validate-output.js runs the same
+ * checks against the file on disk after the fetch step.
+ */
+
+const path = require('path');
+const { validate, ruleKey } = require('../utils/json-schema');
+
+const JOB_SCHEMA_FILE = path.join(__dirname, '..', '..', 'schema', 'job-record.schema.json');
+const SAMPLE_IDS_PER_RULE = 5;
+
+/**
+ * Load the job record schema
+ * @returns {Object}
+ */
+function loadJobSchema() {
+  return require(JOB_SCHEMA_FILE);
+}
+
+/**
+ * Validate a full job set
+ * @param {Array} jobs - Public job records
+ * @param {Object} [schema] - Job record schema (defaults to schema/job-record.schema.json)
+ * @returns {Object} - { passed, records_checked, invalid_records, total_violations, violations }
+ *   violations: { [rule]: { count, sample_ids, sample_message } }
+ */
+function validateOutput(jobs, schema = loadJobSchema()) {
+  const violations = {};
+  const invalidIds = new Set();
+
+  const record = (rule, id, message) => {
+    if (!violations[rule]) violations[rule] = { count: 0, sample_ids: [], sample_message: message };
+    const v = violations[rule];
+    v.count++;
+    if (v.sample_ids.length < SAMPLE_IDS_PER_RULE) v.sample_ids.push(id ?? null);
+    invalidIds.add(id);
+  };
+
+  const seenIds = new Set();
+  const seenFingerprints = new Set();
+
+  jobs.forEach((job, index) => {
+    const id = job?.id ?? `#${index}`;
+
+    for (const error of validate(job, schema)) {
+      record(ruleKey(error.rule), id, error.message);
+    }
+
+    if (job?.id) {
+      if (seenIds.has(job.id)) record('unique:id', id, `duplicate id ${job.id}`);
+      seenIds.add(job.id);
+    }
+    if (job?.fingerprint) {
+      if (seenFingerprints.has(job.fingerprint)) record('unique:fingerprint', id, `duplicate fingerprint ${job.fingerprint}`);
+      seenFingerprints.add(job.fingerprint);
+    }
+  });
+
+  const total = Object.values(violations).reduce((sum, v) => sum + v.count, 0);
+  return {
+    passed: total === 0,
+    records_checked: jobs.length,
+    invalid_records: invalidIds.size,
+    total_violations: total,
+    violations,
+  };
+}
+
+/**
+ * Print a validation report
+ * @param {Object} report - Result of validateOutput
+ */
+function printOutputValidation(report) {
+  if (report.passed) {
+    console.log(`✅ Output validation: ${report.records_checked} records pass schema`);
+    return;
+  }
+  console.log(`❌ Output validation: ${report.invalid_records}/${report.records_checked} records invalid (${report.total_violations} violations)`);
+  const rules = Object.entries(report.violations).sort((a, b) => b[1].count - a[1].count);
+  for (const [rule, v] of rules) {
+    console.log(`   - ${rule}: ${v.count} (e.g. ${v.sample_ids[0]} — ${v.sample_message})`);
+  }
+}
+
+module.exports = {
+  JOB_SCHEMA_FILE,
+  loadJobSchema,
+  validateOutput,
+  printOutputValidation,
+};
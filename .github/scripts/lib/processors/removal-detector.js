@@ -0,0 +1,96 @@
+/**
+ * Removal Detector — expire jobs the employer pulled
+ *
+ * Sources in COMPLETE_LISTING_SOURCES return a company's full listing on every
+ * fetch. For those, "the board answered and this id is gone" means the posting
+ * was removed at the source, and the job can leave the pool before its 14-day
+ * TTL. "The board didn't answer" must not close anything.
+ *
+ * A board (source + company_slug) counts as listed this run when it produced
+ * at least one job in the unfiltered fetch (all seniorities). A previous-pool
+ * job on a listed board whose id (and fingerprint) was not fetched is closed,
+ * unless:
+ *   - its source is degraded this run (Step 8a), or
+ *   - closing would remove more than REMOVAL_MAX_BOARD_FRACTION of the board's
+ *     prior jobs in one run (boards with MIN_PRIOR_FOR_FRACTION_GUARD+ prior
+ *     jobs) — that looks like a truncated listing (failed page, API change),
+ *     not employers pulling postings.
+ */
+
+const { COMPLETE_LISTING_SOURCES, REMOVAL_MAX_BOARD_FRACTION } = require('../config');
+
+// Boards smaller than this are single-page listings — the fraction guard doesn't apply
+const MIN_PRIOR_FOR_FRACTION_GUARD = 5;
+
+const boardKey = job => `${job.source}:${job.company_slug || job.company_name || ''}`;
+
+/**
+ * Boards of complete-listing sources that answered this run
+ * @param {Array} fetchedJobs - Unfiltered jobs from Step 1
+ * @returns {Set<string>} - board keys (source:company_slug)
+ */
+function collectListedBoards(fetchedJobs) {
+  const boards = new Set();
+  for (const job of fetchedJobs) {
+    if (COMPLETE_LISTING_SOURCES.includes(job.source)) boards.add(boardKey(job));
+  }
+  return boards;
+}
+
+/**
+ * Find previous-pool jobs confirmed removed at the source
+ * @param {Array} previousJobs - Records from the previous all_jobs.json
+ * @param {Object} params
+ * @param {Array} params.fetchedJobs - Unfiltered jobs from Step 1
+ * @param {Set<string>} [params.degradedSources] - Sources flagged by the volume guard
+ * @returns {Object} - { closedIds: Set, stats }
+ */
+function detectRemovedJobs(previousJobs, { fetchedJobs, degradedSources = new Set() }) {
+  const listedBoards = collectListedBoards(fetchedJobs);
+  const fetchedIds = new Set(fetchedJobs.map(j => j.id));
+  const fetchedFingerprints = new Set(fetchedJobs.map(j => j.fingerprint).filter(Boolean));
+
+  // Candidates grouped by board, with each board's prior size
+  const candidates = new Map();
+  const priorSize = new Map();
+  for (const job of previousJobs) {
+    if (!COMPLETE_LISTING_SOURCES.includes(job.source) || degradedSources.has(job.source)) continue;
+    const board = boardKey(job);
+    if (!listedBoards.has(board)) continue;
+    priorSize.set(board, (priorSize.get(board) || 0) + 1);
+    if (fetchedIds.has(job.id) || (job.fingerprint && fetchedFingerprints.has(job.fingerprint))) continue;
+    if (!candidates.has(board)) candidates.set(board, []);
+    candidates.get(board).push(job);
+  }
+
+  const closedIds = new Set();
+  const bySource = {};
+  const skippedBoards = [];
+  for (const [board, jobs] of candidates) {
+    const prior = priorSize.get(board);
+    if (prior >= MIN_PRIOR_FOR_FRACTION_GUARD && jobs.length / prior > REMOVAL_MAX_BOARD_FRACTION) {
+      skippedBoards.push({ board, missing: jobs.length, prior });
+      continue;
+    }
+    for (const job of jobs) {
+      closedIds.add(job.id);
+      bySource[job.source] = (bySource[job.source] || 0) + 1;
+    }
+  }
+
+  return {
+    closedIds,
+    stats: {
+      listed_boards: listedBoards.size,
+      closed: closedIds.size,
+      by_source: bySource,
+      skipped_boards: skippedBoards.length,
+      skipped_sample: skippedBoards.sort((a, b) => b.missing - a.missing).slice(0, 10),
+    },
+  };
+}
+
+module.exports = {
+  collectListedBoards,
+  detectRemovedJobs,
+};
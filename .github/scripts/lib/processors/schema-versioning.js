@@ -0,0 +1,172 @@
+/**
+ * Output schema versioning
+ *
+ * Tracks the public field set of job records (all_jobs.json) and of
+ * jobs-metadata.json across runs, in .github/data/schema-changelog.json.
+ * Versions are MAJOR.MINOR:
+ *   - fields added            → minor bump (consumers keep working)
+ *   - fields removed, or a record field no longer required → major bump;
+ *     min_compatible_version moves to the new version
+ *
+ * Record fields = fields declared in schema/job-record.schema.json ∪ fields
+ * observed in this run's output ∪ previously observed undeclared fields.
+ * Undeclared fields are sticky so a source that is absent for one run (and
+ * with it e.g. `salary`) doesn't look like a removal. To remove a field for
+ * real, delete it from the declared schema and stop emitting it.
+ *
+ * The published schema.json (next to all_jobs.json) is the declared schema
+ * plus undeclared fields, the current version and the changelog.
+ */
+
+const fs = require('fs');
+
+const INITIAL_VERSION = '1.0';
+
+/**
+ * Bump a MAJOR.MINOR version
+ * @param {string} version - Current version
+ * @param {'major'|'minor'} level - Part to bump
+ * @returns {string}
+ */
+function bumpVersion(version, level) {
+  const [major, minor] = String(version).split('.').map(n => parseInt(n, 10) || 0);
+  return level === 'major' ? `${major + 1}.0` : `${major}.${minor + 1}`;
+}
+
+/**
+ * Sorted union of top-level keys across records
+ * @param {Array<Object>} records
+ * @returns {Array<string>}
+ */
+function collectFields(records) {
+  const fields = new Set();
+  for (const record of records) {
+    for (const key of Object.keys(record)) fields.add(key);
+  }
+  return [...fields].sort();
+}
+
+/**
+ * Load schema-changelog.json ({ versions: [] } if missing)
+ * @param {string} filePath - Path to changelog
+ * @returns {Object}
+ */
+function loadChangelog(filePath) {
+  if (!fs.existsSync(filePath)) return { versions: [] };
+  try { return JSON.parse(fs.readFileSync(filePath, 'utf8')); }
+  catch { return { versions: [] }; }
+}
+
+const diff = (a, b) => a.filter(x => !b.includes(x));
+
+function toResult(changelog, entry, bumped, undeclared) {
+  return {
+    version: entry.version,
+    min_compatible_version: changelog.min_compatible_version,
+    bumped,
+    entry,
+    changelog,
+    undeclared_fields: undeclared,
+  };
+}
+
+/**
+ * Resolve this run's schema version, appending a changelog entry if the field set changed
+ * @param {Object} params
+ * @param {Object} params.schema - Declared job record schema
+ * @param {Array} params.jobs - Public job records
+ * @param {Object} params.metadata - Metadata object (top-level keys are versioned)
+ * @param {Object} params.changelog - Parsed schema-changelog.json
+ * @returns {Object} - { version, min_compatible_version, bumped, entry, changelog, undeclared_fields }
+ */
+function resolveSchemaVersion({ schema, jobs, metadata, changelog }) {
+  const versions = changelog.versions || [];
+  const latest = versions[versions.length - 1] || null;
+
+  const declared = Object.keys(schema.properties || {});
+  const observed = collectFields(jobs);
+  const undeclared = [...new Set([...diff(observed, declared), ...(latest?.undeclared_fields || [])])]
+    .filter(f => !declared.includes(f))
+    .sort();
+  const recordFields = [...new Set([...declared, ...undeclared])].sort();
+  const requiredFields = [...(schema.required || [])].sort();
+  const metadataFields = Object.keys(metadata).sort();
+
+  if (!latest) {
+    const entry = {
+      version: INITIAL_VERSION,
+      date: new Date().toISOString().split('T')[0],
+      breaking: false,
+      changes: { record_added: [], record_removed: [], metadata_added: [], metadata_removed: [], no_longer_required: [] },
+      record_fields: recordFields,
+      required_fields: requiredFields,
+      metadata_fields: metadataFields,
+      undeclared_fields: undeclared,
+    };
+    return toResult({ versions: [entry], min_compatible_version: INITIAL_VERSION }, entry, true, undeclared);
+  }
+
+  const changes = {
+    record_added: diff(recordFields, latest.record_fields || []),
+    record_removed: diff(latest.record_fields || [], recordFields),
+    metadata_added: diff(metadataFields, latest.metadata_fields || []),
+    metadata_removed: diff(latest.metadata_fields || [], metadataFields),
+    no_longer_required: diff(latest.required_fields || [], requiredFields),
+  };
+  const breaking = changes.record_removed.length + changes.metadata_removed.length + changes.no_longer_required.length > 0;
+  const additive = changes.record_added.length + changes.metadata_added.length > 0;
+
+  if (!breaking && !additive) {
+    return toResult(changelog, latest, false, undeclared);
+  }
+
+  const entry = {
+    version: bumpVersion(latest.version, breaking ? 'major' : 'minor'),
+    date: new Date().toISOString().split('T')[0],
+    breaking,
+    changes,
+    record_fields: recordFields,
+    required_fields: requiredFields,
+    metadata_fields: metadataFields,
+    undeclared_fields: undeclared,
+  };
+  return toResult({
+    versions: [...versions, entry],
+    min_compatible_version: breaking ? entry.version : (changelog.min_compatible_version || INITIAL_VERSION),
+  }, entry, true, undeclared);
+}
+
+/**
+ * Build the published schema.json
+ * @param {Object} schema - Declared job record schema
+ * @param {Object} resolved - Result of resolveSchemaVersion
+ * @returns {Object}
+ */
+function buildPublishedSchema(schema, resolved) {
+  const properties = { ...schema.properties };
+  for (const field of resolved.undeclared_fields) {
+    properties[field] = { description: 'Observed in output; not yet declared in job-record.schema.json' };
+  }
+  return {
+    ...schema,
+    version: resolved.version,
+    min_compatible_version: resolved.min_compatible_version,
+    properties,
+    metadata_fields: resolved.entry.metadata_fields,
+    changelog: resolved.changelog.versions.map(v => ({
+      version: v.version,
+      date: v.date,
+      breaking: v.breaking,
+      changes: v.changes,
+      ...(v.notes ? { notes: v.notes } : {}),
+    })),
+  };
+}
+
+module.exports = {
+  bumpVersion,
+  collectFields,
+  loadChangelog,
+  resolveSchemaVersion,
+  buildPublishedSchema,
+};
@@ -0,0 +1,140 @@
+/**
+ * Senior Refiner — second opinion on the title-only senior filter
+ *
+ * The shared filterSeniorJobs / isSeniorJob look at the title and the
+ * experience field only, so most jobs pass as "unknown". This reads the
+ * description too:
+ *   - senior signals: primary stated requirement >= SENIOR_MIN_YEARS years
+ *     ("requires 5+ years ... 2 years with Python" is 5; extractRequiredYears),
+ *     "staff-level" / "principal-level" / "senior-level" phrasing
+ *   - entry signals: "0-2 years", "new grad", "entry-level", "early career", ...
+ *
+ * Every job gets an internal `_senior_decision` { senior, reason, confidence,
+ * title_only } (stripped from public output). A description signal only
+ * overturns the title-only decision at SENIOR_MIN_CONFIDENCE or above, and an
+ * entry signal never rescues a job whose title itself says senior.
+ *
+ * Reason codes:
+ *   title_only        no description, or it has no signal — title-only decision kept
+ *   desc_confirms     description agrees with the title-only decision
+ *   desc_years        moved to senior: primary stated requirement is SENIOR_MIN_YEARS+ years
+ *   desc_level        moved to senior: senior-level phrasing (plus years when present)
+ *   desc_entry        moved to entry: new-grad / 0-2 years signals
+ *   desc_conflict     description has both kinds of signal — title-only decision kept
+ *   desc_weak         signal below SENIOR_MIN_CONFIDENCE — title-only decision kept
+ *   senior_title      entry signal ignored: the title says senior
+ */
+
+const { SENIOR_MIN_YEARS, SENIOR_MIN_CONFIDENCE } = require('../config');
+const { extractRequiredYears } = require('./description-extractor');
+const { toPlainText } = require('../utils/text');
+
+const SENIOR_TITLE = /\b(senior|sr\.?|staff|principal|lead|manager|director|head of|vice president|vp)\b/i;
+const SENIOR_LEVEL_PHRASE = /\b(staff|principal|senior)[- ]level (?:engineer|role|position|candidate|experience|individual contributor)|\bat the (staff|principal|senior) level\b/i;
+const ENTRY_PHRASES = /\b(new grad(?:uate)?s?|recent (?:college |university )?grad(?:uate)?s?|entry[- ]level|early[- ]career|university grad(?:uate)?s?|graduating (?:in|by) 20\d\d|class of 20\d\d|no (?:prior |previous )?(?:work )?experience (?:is )?required)\b/i;
+const NOT_ENTRY = /\bnot (?:an? |for )?(?:entry[- ]level|new grad)/i;
+const ENTRY_YEARS = /\b(?:0\s*(?:-|–|to)\s*[1-2]|1\s*(?:-|–|to)\s*2|0\+?)\s*(?:years?|yrs?)\b/i;
+
+/**
+ * Description signals
+ * @param {string} description - Description text (plain or HTML)
+ * @returns {Object} - { senior: { reason, confidence }|null, entry: { confidence }|null, required_years }
+ */
+function readSignals(description) {
+  const text = toPlainText(description);
+  const requiredYears = extractRequiredYears(text);
+  const levelPhrase = SENIOR_LEVEL_PHRASE.test(text);
+
+  let senior = null;
+  if (requiredYears !== null && requiredYears >= SENIOR_MIN_YEARS) {
+    senior = { reason: 'desc_years', confidence: requiredYears >= SENIOR_MIN_YEARS + 2 ? 0.9 : 0.8 };
+    if (levelPhrase) senior.confidence = 0.95;
+  } else if (levelPhrase) {
+    // Phrase alone is ambiguous ("work with senior-level stakeholders"); 3+ years backs it up
+    senior = { reason: 'desc_level', confidence: requiredYears !== null && requiredYears >= 3 ? 0.8 : 0.6 };
+  }
+
+  const entryPhrase = ENTRY_PHRASES.test(text) && !NOT_ENTRY.test(text);
+  const entryYears = ENTRY_YEARS.test(text) || requiredYears === 0;
+  let entry = null;
+  if (entryPhrase && entryYears) entry = { confidence: 0.95 };
+  else if (entryYears) entry = { confidence: 0.85 };
+  else if (entryPhrase) entry = { confidence: 0.7 }; // "entry-level" alone also shows up in boilerplate
+
+  return { senior, entry, required_years: requiredYears };
+}
+
+/**
+ * Refined senior decision for one job
+ * @param {Object} job - Job record (title is checked for the rescue guard)
+ * @param {boolean} titleOnlySenior - Decision of the shared title-only filter
+ * @param {string|null} description - Description text, if any
+ * @returns {Object} - { senior, reason, confidence, title_only }
+ */
+function decideSeniority(job, titleOnlySenior, description) {
+  const titleOnly = titleOnlySenior ? 'senior' : 'entry';
+  const keep = (reason, confidence) => ({ senior: titleOnlySenior, reason, confidence, title_only: titleOnly });
+  if (!description) return keep('title_only', 0.6);
+
+  const { senior, entry } = readSignals(description);
+  if (!senior && !entry) return keep('title_only', 0.6);
+  if (senior && entry) return keep('desc_conflict', 0.5);
+
+  if (senior) {
+    if (titleOnlySenior) return keep('desc_confirms', Math.max(senior.confidence, 0.9));
+    if (senior.confidence < SENIOR_MIN_CONFIDENCE) return keep('desc_weak', senior.confidence);
+    return { senior: true, reason: senior.reason, confidence: senior.confidence, title_only: titleOnly };
+  }
+
+  if (!titleOnlySenior) return keep('desc_confirms', Math.max(entry.confidence, 0.9));
+  if (SENIOR_TITLE.test(job.title || '')) return keep('senior_title', 0.9);
+  if (entry.confidence < SENIOR_MIN_CONFIDENCE) return keep('desc_weak', entry.confidence);
+  return { senior: false, reason: 'desc_entry', confidence: entry.confidence, title_only: titleOnly };
+}
+
+/**
+ * Re-split the title-only filter's output using descriptions
+ * @param {Array} entryLevelJobs - Title-only entry-level jobs
+ * @param {Array} seniorJobs - Title-only senior jobs
+ * @param {Function} getDescription - job → description text or null
+ * @returns {Object} - { entryLevelJobs, seniorJobs, stats }
+ */
+function refineSeniorFilter(entryLevelJobs, seniorJobs, getDescription) {
+  const stats = {
+    checked: entryLevelJobs.length + seniorJobs.length,
+    with_description: 0,
+    moved_to_senior: 0,
+    moved_to_entry: 0,
+    by_reason: {},
+    moved_by_source: {},
+  };
+  const refinedEntry = [];
+  const refinedSenior = [];
+
+  const decide = (job, titleOnlySenior) => {
+    const description = getDescription(job);
+    if (description) stats.with_description++;
+    const decision = decideSeniority(job, titleOnlySenior, description);
+    job._senior_decision = decision;
+    stats.by_reason[decision.reason] = (stats.by_reason[decision.reason] || 0) + 1;
+
+    if (decision.senior !== titleOnlySenior) {
+      const src = job.source || 'unknown';
+      if (!stats.moved_by_source[src]) stats.moved_by_source[src] = { to_senior: 0, to_entry: 0 };
+      if (decision.senior) { stats.moved_to_senior++; stats.moved_by_source[src].to_senior++; }
+      else { stats.moved_to_entry++; stats.moved_by_source[src].to_entry++; }
+    }
+    (decision.senior ? refinedSenior : refinedEntry).push(job);
+  };
+
+  for (const job of entryLevelJobs) decide(job, false);
+  for (const job of seniorJobs) decide(job, true);
+
+  return { entryLevelJobs: refinedEntry, seniorJobs: refinedSenior, stats };
+}
+
+module.exports = {
+  readSignals,
+  decideSeniority,
+  refineSeniorFilter,
+};
@@ -0,0 +1,308 @@
+/**
+ * Tag Rules — domain, experience and special tags from versioned rule files
+ *
+ * The shared tag engine's keyword lists left most of the pool as domain
+ * "general" and experience "unknown", and changing them could not be checked
+ * against anything. Its domains / experience / special tags are now decided
+ * here, by the rules in tags/rules-vN.json (format described in the file);
+ * employment and locations stay as the engine set them.
+ *
+ *   domains     title rules by priority, with exclusions and suppression
+ *               ("Sales Engineer" is sales, not software); the description
+ *               only when no title rule matched; else the fallback (general);
+ *               aliases keep published values consumers filter on (nursing,
+ *               the shared engine's name for healthcare) next to their domain
+ *   experience  first matching rule by priority: title level markers
+ *               (Intern, II, Senior, IV), senior-level phrasing, then the
+ *               primary years requirement (extractRequiredYears)
+ *   special     company-level tags (faang, fortune500, unicorn) by company
+ *               name; Step 5a replaces them with registry tags where it can
+ *
+ * A rules file is never edited in place once published: changes go in a new
+ * version, compared with the previous one on the golden corpus
+ * (tags/golden-corpus.jsonl) by tag-eval.js before TAG_RULES_VERSION or the
+ * newest file takes over.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TAG_RULES_VERSION } = require('../config');
+const { extractRequiredYears } = require('./description-extractor');
+const { normalizeCompanyName } = require('./company-resolver');
+const { toPlainText } = require('../utils/text');
+
+const RULES_DIR = path.join(__dirname, '..', '..', 'tags');
+const RULES_FILE = /^rules-v(\d+)\.json$/;
+
+const EXPERIENCE_TAGS = ['entry_level', 'mid_level', 'senior_level', 'unknown'];
+
+// ─── Loading ───────────────────────────────────────────────────────────────
+
+/**
+ * Published rule versions, oldest first
+ * @param {string} [dir]
+ * @returns {Array<number>}
+ */
+function listRuleVersions(dir = RULES_DIR) {
+  return fs.readdirSync(dir)
+    .map(fname => fname.match(RULES_FILE))
+    .filter(Boolean)
+    .map(m => Number(m[1]))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Compile a list of patterns
+ * @param {string} where - "domains.software.title" for error messages
+ * @param {Array<string>} patterns
+ * @param {string} flags
+ * @returns {Array<RegExp>}
+ */
+function compilePatterns(where, patterns = [], flags = 'i') {
+  if (!Array.isArray(patterns)) throw new Error(`${where} must be an array of patterns`);
+  return patterns.map(pattern => {
+    try {
+      return new RegExp(pattern, flags);
+    } catch (error) {
+      throw new Error(`${where}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Check and compile a rules file
+ * @param {Object} raw - Parsed rules-vN.json
+ * @param {string} file
+ * @returns {Object} - { version, file, domains: { fallback, max_tags, aliases, rules }, experience: { fallback, rules }, special: { rules } }
+ */
+function compileRules(raw, file) {
+  const label = `Tag rules ${path.basename(file)}`;
+  if (!Number.isInteger(raw.version)) throw new Error(`${label}: version must be an integer`);
+
+  const domainTags = new Set([raw.domains.fallback, ...raw.domains.rules.map(r => r.tag)]);
+  const domainRules = raw.domains.rules.map(rule => {
+    const where = `${label}: domains.${rule.tag}`;
+    if (!Number.isFinite(rule.priority)) throw new Error(`${where}.priority must be a number`);
+    for (const tag of rule.suppresses || []) {
+      if (!domainTags.has(tag)) throw new Error(`${where}.suppresses names unknown domain "${tag}"`);
+    }
+    return {
+      tag: rule.tag,
+      priority: rule.priority,
+      title: compilePatterns(`${where}.title`, rule.title),
+      exclude_title: compilePatterns(`${where}.exclude_title`, rule.exclude_title),
+      description: compilePatterns(`${where}.description`, rule.description, 'gi'),
+      min_description_matches: rule.min_description_matches || 1,
+      suppresses: rule.suppresses || [],
+    };
+  }).sort((a, b) => b.priority - a.priority);
+
+  const aliases = Object.entries(raw.domains.aliases || {});
+  for (const [alias, tag] of aliases) {
+    if (!domainTags.has(tag)) throw new Error(`${label}: domains.aliases.${alias} names unknown domain "${tag}"`);
+  }
+
+  const experienceRules = raw.experience.rules.map((rule, i) => {
+    const where = `${label}: experience.rules[${i}]`;
+    if (!EXPERIENCE_TAGS.includes(rule.tag)) throw new Error(`${where}.tag must be one of ${EXPERIENCE_TAGS.join(', ')}`);
+    if (!Number.isFinite(rule.priority)) throw new Error(`${where}.priority must be a number`);
+    const years = rule.min_years !== undefined || rule.max_years !== undefined;
+    if (!rule.title && !rule.description && !years) throw new Error(`${where} needs title, description or min_years / max_years`);
+    return {
+      tag: rule.tag,
+      priority: rule.priority,
+      title: compilePatterns(`${where}.title`, rule.title),
+      exclude_title: compilePatterns(`${where}.exclude_title`, rule.exclude_title),
+      description: compilePatterns(`${where}.description`, rule.description),
+      years: years ? [rule.min_years ?? 0, rule.max_years ?? Infinity] : null,
+    };
+  }).sort((a, b) => b.priority - a.priority); // stable: file order breaks ties
+
+  const specialRules = raw.special.rules.map(rule => ({
+    tag: rule.tag,
+    companies: new Set(rule.companies.map(normalizeCompanyName)),
+  }));
+
+  return {
+    version: raw.version,
+    file,
+    domains: { fallback: raw.domains.fallback, max_tags: raw.domains.max_tags || Infinity, aliases, rules: domainRules },
+    experience: { fallback: raw.experience.fallback, rules: experienceRules },
+    special: { rules: specialRules, tags: new Set(specialRules.map(r => r.tag)) },
+  };
+}
+
+const loaded = new Map();
+
+/**
+ * Load a rules version, or a rules file by path
+ * @param {number|string} [version] - N for tags/rules-vN.json, 0 for the newest, or a file path
+ * @returns {Object} - Compiled rules (see compileRules)
+ */
+function loadTagRules(version = TAG_RULES_VERSION) {
+  let file;
+  if (typeof version === 'string' && !/^\d+$/.test(version)) {
+    file = path.resolve(version);
+  } else {
+    const versions = listRuleVersions();
+    const wanted = Number(version) || versions[versions.length - 1];
+    if (!versions.includes(wanted)) throw new Error(`No tag rules version ${wanted} in ${RULES_DIR} (have ${versions.join(', ') || 'none'})`);
+    file = path.join(RULES_DIR, `rules-v${wanted}.json`);
+  }
+  if (!loaded.has(file)) loaded.set(file, compileRules(JSON.parse(fs.readFileSync(file, 'utf8')), file));
+  return loaded.get(file);
+}
+
+// ─── Tagging ───────────────────────────────────────────────────────────────
+
+const countMatches = (patterns, text) => patterns.reduce((n, re) => n + (text.match(re) || []).length, 0);
+
+/**
+ * Domains plus the aliases of the ones present
+ * @param {Array<string>} domains
+ * @param {Array} aliases - [[alias, domain]]
+ * @returns {Array<string>}
+ */
+const withAliases = (domains, aliases) => [
+  ...domains,
+  ...aliases.filter(([alias, tag]) => domains.includes(tag) && !domains.includes(alias)).map(([alias]) => alias),
+];
+
+/**
+ * Domain tags of one job
+ * @param {string} title
+ * @param {string} text - Plain-text description ('' if none)
+ * @param {Object} rules - domains section of compiled rules
+ * @returns {Object} - { domains, source: title|description|fallback }
+ */
+function tagDomains(title, text, rules) {
+  const matched = rules.rules.filter(rule =>
+    rule.title.some(re => re.test(title)) && !rule.exclude_title.some(re => re.test(title)));
+
+  if (matched.length > 0) {
+    const domains = [];
+    const suppressed = new Set();
+    for (const rule of matched) {
+      if (suppressed.has(rule.tag) || domains.includes(rule.tag)) continue;
+      domains.push(rule.tag);
+      for (const tag of rule.suppresses) suppressed.add(tag);
+    }
+    const kept = domains.filter(tag => !suppressed.has(tag)).slice(0, rules.max_tags);
+    return { domains: withAliases(kept, rules.aliases), source: 'title' };
+  }
+
+  if (text) {
+    let best = null;
+    for (const rule of rules.rules) {
+      if (rule.description.length === 0) continue;
+      const hits = countMatches(rule.description, text);
+      if (hits >= rule.min_description_matches && (!best || hits > best.hits)) best = { tag: rule.tag, hits };
+    }
+    if (best) return { domains: withAliases([best.tag], rules.aliases), source: 'description' };
+  }
+  return { domains: [rules.fallback], source: 'fallback' };
+}
+
+/**
+ * Experience tag of one job
+ * @param {string} title
+ * @param {string} text - Plain-text description ('' if none)
+ * @param {Object} rules - experience section of compiled rules
+ * @returns {Object} - { experience, rule (index into rules, -1 for the fallback) }
+ */
+function tagExperience(title, text, rules) {
+  let requiredYears;
+  for (const [i, rule] of rules.rules.entries()) {
+    if (rule.exclude_title.some(re => re.test(title))) continue;
+    if (rule.title.some(re => re.test(title))) return { experience: rule.tag, rule: i };
+    if (!text) continue;
+    if (rule.description.some(re => re.test(text))) return { experience: rule.tag, rule: i };
+    if (rule.years) {
+      if (requiredYears === undefined) requiredYears = extractRequiredYears(text);
+      if (requiredYears !== null && requiredYears >= rule.years[0] && requiredYears <= rule.years[1]) return { experience: rule.tag, rule: i };
+    }
+  }
+  return { experience: rules.fallback, rule: -1 };
+}
+
+/**
+ * Company-level special tags of one job
+ * @param {string} companyName
+ * @param {Object} rules - special section of compiled rules
+ * @returns {Array<string>}
+ */
+function tagSpecial(companyName, rules) {
+  const key = normalizeCompanyName(companyName);
+  if (!key) return [];
+  return rules.rules
+    .filter(rule => rule.companies.has(key) || [...rule.companies].some(name => key.startsWith(`${name} `)))
+    .map(rule => rule.tag);
+}
+
+/**
+ * Tags the rules give one job
+ * @param {Object} job - { title, company_name, tags? }
+ * @param {string|null} description - Description text (plain or HTML)
+ * @param {Object} rules - Compiled rules
+ * @returns {Object} - { domains, experience, special, domain_source }
+ */
+function classifyJob(job, description, rules) {
+  const title = job.title || '';
+  const text = description ? toPlainText(description) : '';
+  const { domains, source } = tagDomains(title, text, rules.domains);
+  const { experience } = tagExperience(title, text, rules.experience);
+  // Special tags the rules don't know about (none today) are kept as the engine set them
+  const special = [
+    ...(job.tags?.special || []).filter(tag => !rules.special.tags.has(tag)),
+    ...tagSpecial(job.company_name, rules.special),
+  ];
+  return { domains, experience, special, domain_source: source };
+}
+
+const sameTags = (a, b) => a.length === b.length && a.every(tag => b.includes(tag));
+
+/**
+ * Replace the engine's domains / experience / special tags on every job
+ * @param {Array} jobs - Tagged jobs (mutated)
+ * @param {Function} getDescription - job → description text or null
+ * @param {Object} [rules] - Compiled rules (default: TAG_RULES_VERSION, or the newest)
+ * @returns {Object} - Stats for metadata
+ */
+function applyTagRules(jobs, getDescription, rules = loadTagRules()) {
+  const stats = {
+    version: rules.version,
+    jobs: jobs.length,
+    domains: {},
+    experience: {},
+    domain_source: { title: 0, description: 0, fallback: 0 },
+    changed: { domains: 0, experience: 0, special: 0 },
+  };
+
+  for (const job of jobs) {
+    if (!job.tags) job.tags = {};
+    const result = classifyJob(job, getDescription(job), rules);
+
+    if (!sameTags(result.domains, job.tags.domains || [])) stats.changed.domains++;
+    if (result.experience !== job.tags.experience) stats.changed.experience++;
+    if (!sameTags(result.special, job.tags.special || [])) stats.changed.special++;
+    job.tags.domains = result.domains;
+    job.tags.experience = result.experience;
+    job.tags.special = result.special;
+
+    stats.domain_source[result.domain_source]++;
+    for (const tag of result.domains) stats.domains[tag] = (stats.domains[tag] || 0) + 1;
+    stats.experience[result.experience] = (stats.experience[result.experience] || 0) + 1;
+  }
+  return stats;
+}
+
+module.exports = {
+  RULES_DIR,
+  listRuleVersions,
+  loadTagRules,
+  tagDomains,
+  tagExperience,
+  tagSpecial,
+  classifyJob,
+  applyTagRules,
+};
@@ -0,0 +1,97 @@
+/**
+ * Per-source volume guard (last-known-good fallback)
+ *
+ * Compares each source's job count this run against the previous run's
+ * jobs-metadata.json. A source whose count fell by more than the threshold is
+ * `degraded`: an outage or a broken fetcher, not a real market change.
+ *
+ * For degraded sources the pipeline reuses the previous all_jobs.json records
+ * (prior version wins over this run's copies) and does not prune the source's
+ * description sidecar.
+ *
+ * Baseline: the previous run's by_source count — unless that run was itself
+ * degraded for the source, in which case its recorded baseline carries over,
+ * so a multi-run outage keeps comparing against the last healthy count.
+ */
+
+const { VOLUME_DROP_THRESHOLD, VOLUME_MIN_BASELINE } = require('../config');
+
+/**
+ * Count jobs by source
+ * @param {Array} jobs - Jobs with a `source` field
+ * @returns {Object} - { [source]: count }
+ */
+function countBySource(jobs) {
+  const counts = {};
+  for (const job of jobs) {
+    const src = job.source || 'unknown';
+    counts[src] = (counts[src] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Baseline count per source from previous metadata
+ * @param {Object|null} previousMetadata - Previous jobs-metadata.json
+ * @returns {Object} - { [source]: count }
+ */
+function getBaselines(previousMetadata) {
+  const baselines = {};
+  for (const [src, value] of Object.entries(previousMetadata?.by_source || {})) {
+    baselines[src] = typeof value === 'number' ? value : (value?.total ?? 0);
+  }
+  for (const [src, health] of Object.entries(previousMetadata?.source_health || {})) {
+    if (health?.status === 'degraded' && typeof health.baseline === 'number') {
+      baselines[src] = health.baseline;
+    }
+  }
+  return baselines;
+}
+
+/**
+ * Check every source against its baseline
+ * @param {Object} currentCounts - { [source]: count } for this run
+ * @param {Object|null} previousMetadata - Previous jobs-metadata.json
+ * @param {Object} [options]
+ * @param {number} [options.threshold] - Fractional drop that marks a source degraded (0.5 = 50%)
+ * @param {number} [options.minBaseline] - Sources smaller than this are never flagged
+ * @returns {Object} - { [source]: { status, current, baseline, drop_pct } }
+ */
+function checkSourceVolumes(currentCounts, previousMetadata, {
+  threshold = VOLUME_DROP_THRESHOLD,
+  minBaseline = VOLUME_MIN_BASELINE,
+} = {}) {
+  const baselines = getBaselines(previousMetadata);
+  const sources = new Set([...Object.keys(currentCounts), ...Object.keys(baselines)]);
+  const health = {};
+
+  for (const src of sources) {
+    const current = currentCounts[src] || 0;
+    const baseline = baselines[src] ?? null;
+    const drop = baseline ? (baseline - current) / baseline : 0;
+    const degraded = baseline !== null && baseline >= minBaseline && drop > threshold;
+    health[src] = {
+      status: degraded ? 'degraded' : 'ok',
+      current,
+      baseline,
+      drop_pct: baseline ? Math.round(drop * 1000) / 10 : null,
+    };
+  }
+
+  return health;
+}
+
+/**
+ * Names of degraded sources
+ * @param {Object} health - Result of checkSourceVolumes
+ * @returns {Set<string>}
+ */
+function getDegradedSources(health) {
+  return new Set(Object.entries(health).filter(([, h]) => h.status === 'degraded').map(([src]) => src));
+}
+
+module.exports = {
+  countBySource,
+  checkSourceVolumes,
+  getDegradedSources,
+};
@@ -0,0 +1,154 @@
+/**
+ * Search Index Builder — Step 9's full-text index over the published jobs
+ *
+ * An inverted index over title, company, location, tags and description text,
+ * read with ./search-index.js. Fields are weighted by repeating their terms
+ * (FIELD_WEIGHTS: a title hit counts as three description hits), and BM25 runs
+ * over the weighted counts.
+ *
+ * Files (DATA_DIR/search/):
+ *   manifest.json        format, tokenizer version, BM25 parameters, doc count,
+ *                        average length, file list
+ *   docs.jsonl           one job per line, by id: [id, title, company_name, location, length];
+ *                        a posting's doc number is its line (chunked like the sidecars
+ *                        as docs-1.jsonl, ... — lines continue across chunks)
+ *   terms-NN.jsonl       SEARCH_INDEX_SHARDS files; each term is in the shard its FNV
+ *                        hash picks: [term, df, [docDelta, tf, docDelta, tf, ...]],
+ *                        sorted by term, doc numbers delta-encoded
+ *
+ * Rebuilt from scratch every run; docs sorted by id and terms sorted within
+ * their shard, so an unchanged pool produces unchanged files. Any new or
+ * dropped job renumbers the docs after it, so the directory is not committed
+ * (.gitignore) — the workflow uploads it as the search-index artifact.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SEARCH_INDEX_SHARDS } = require('../config');
+const { writeChunkedJSONL, removeStaleFiles } = require('../utils/chunked-jsonl');
+const { toPlainText } = require('../utils/text');
+const { placeNames } = require('../processors/location-normalizer');
+const { TOKENIZER_VERSION, tokenize } = require('./tokenizer');
+const { INDEX_FORMAT, MANIFEST_FILE, shardOf, shardFile } = require('./search-index');
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const FIELD_WEIGHTS = {
+  title: 3,
+  company: 2,
+  location: 1,
+  tags: 1,
+  description: 1,
+};
+
+const INDEX_FILE = /^(docs(-\d+)?|terms-\d+)\.jsonl$/;
+
+/**
+ * Weighted term counts of one job
+ * @param {Object} job
+ * @param {string|null} description
+ * @returns {Map<string, number>}
+ */
+function termCounts(job, description) {
+  const fields = {
+    title: job.title,
+    company: job.company_name,
+    // "texas" / "united states" find a job posted as "Austin, TX"
+    location: [job.location, ...(job.geo || []).flatMap(g => [g.city, g.state, ...placeNames(g)])].filter(Boolean).join(' '),
+    tags: [job.tags?.employment, ...(job.tags?.domains || [])].filter(Boolean).join(' ').replace(/_/g, ' '),
+    description: description ? toPlainText(description) : '',
+  };
+  const counts = new Map();
+  for (const [field, text] of Object.entries(fields)) {
+    for (const term of tokenize(text)) counts.set(term, (counts.get(term) || 0) + FIELD_WEIGHTS[field]);
+  }
+  return counts;
+}
+
+/**
+ * Build the index and write it to dir (files from a previous build that were
+ * not rewritten are removed)
+ * @param {string} dir - Output directory (created if missing)
+ * @param {Array} jobs - Public records
+ * @param {Function} getDescription - id => text|null
+ * @returns {Object} - Stats for metadata: { docs, with_description, terms, postings, bytes, files }
+ */
+function buildSearchIndex(dir, jobs, getDescription) {
+  fs.mkdirSync(dir, { recursive: true });
+  const sorted = [...jobs].sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+
+  const postings = new Map(); // term → [doc, tf, doc, tf, ...] (absolute doc numbers)
+  const docs = [];
+  let totalLength = 0;
+  let withDescription = 0;
+  sorted.forEach((job, doc) => {
+    const description = getDescription(job.id);
+    if (description) withDescription++;
+    const counts = termCounts(job, description);
+    let length = 0;
+    for (const [term, tf] of counts) {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push(doc, tf);
+      length += tf;
+    }
+    totalLength += length;
+    docs.push([job.id, job.title, job.company_name, job.location || null, length]);
+  });
+
+  const written = new Set();
+  let bytes = 0;
+  const docFiles = writeChunkedJSONL(dir, 'docs', docs);
+  for (const file of docFiles) {
+    written.add(file.fname);
+    bytes += file.bytes;
+  }
+
+  const shards = Array.from({ length: SEARCH_INDEX_SHARDS }, () => []);
+  for (const term of [...postings.keys()].sort()) shards[shardOf(term, SEARCH_INDEX_SHARDS)].push(term);
+  let postingCount = 0;
+  shards.forEach((terms, shard) => {
+    const lines = terms.map(term => {
+      const list = postings.get(term);
+      const encoded = [];
+      let previous = 0;
+      for (let i = 0; i < list.length; i += 2) {
+        encoded.push(list[i] - previous, list[i + 1]);
+        previous = list[i];
+      }
+      postingCount += list.length / 2;
+      return JSON.stringify([term, list.length / 2, encoded]) + '\n';
+    });
+    const fname = shardFile(shard, SEARCH_INDEX_SHARDS);
+    const body = lines.join('');
+    fs.writeFileSync(path.join(dir, fname), body, 'utf8');
+    written.add(fname);
+    bytes += Buffer.byteLength(body, 'utf8');
+  });
+  removeStaleFiles(dir, INDEX_FILE, written);
+
+  const manifest = {
+    format: INDEX_FORMAT,
+    tokenizer: TOKENIZER_VERSION,
+    k1: BM25_K1,
+    b: BM25_B,
+    field_weights: FIELD_WEIGHTS,
+    docs: docs.length,
+    avg_doc_length: docs.length > 0 ? Math.round((totalLength / docs.length) * 100) / 100 : 0,
+    terms: postings.size,
+    shards: SEARCH_INDEX_SHARDS,
+    doc_files: docFiles.map(({ fname, entries }) => ({ fname, entries })),
+  };
+  fs.writeFileSync(path.join(dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+
+  return {
+    docs: docs.length,
+    with_description: withDescription,
+    terms: postings.size,
+    postings: postingCount,
+    bytes,
+    files: written.size + 1,
+  };
+}
+
+module.exports = { FIELD_WEIGHTS, buildSearchIndex };
@@ -0,0 +1,142 @@
+/**
+ * Search Index — query library for the published full-text index
+ *
+ * Reads the files written by index-builder.js (DATA_DIR/search/, uploaded as
+ * the workflow's search-index artifact) and ranks jobs with BM25. Only the manifest and the doc
+ * table are read up front; a search loads just the term shards its terms
+ * hash to, so a consumer fetching over HTTP downloads a few files per query.
+ *
+ *   const index = await SearchIndex.open('.github/data/search');
+ *   const index = await SearchIndex.open(fname => fetch(`${baseUrl}/search/${fname}`).then(r => r.text()));
+ *   const { total, hits } = await index.search('fpga internships texas', { limit: 20 });
+ *   // hits: [{ id, score, title, company_name, location }]
+ *
+ * Self-contained apart from ./tokenizer.js (queries must be tokenized exactly
+ * as the index was): no pipeline config, no dependencies.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TOKENIZER_VERSION, tokenize } = require('./tokenizer');
+
+const INDEX_FORMAT = 2; // 2: location also indexes region and country names
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Shard a term is stored in (FNV-1a, 32-bit)
+ * @param {string} term
+ * @param {number} shards
+ * @returns {number}
+ */
+function shardOf(term, shards) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < term.length; i++) {
+    hash ^= term.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash % shards;
+}
+
+const shardFile = (shard, shards) => `terms-${String(shard).padStart(String(shards - 1).length, '0')}.jsonl`;
+
+const parseLines = text => text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+
+class SearchIndex {
+  /**
+   * @param {Function} read - fname => Promise<string>
+   * @param {Object} manifest
+   */
+  constructor(read, manifest) {
+    this.read = read;
+    this.manifest = manifest;
+    this.docs = [];           // doc number → [id, title, company_name, location, length]
+    this.shards = new Map();  // shard number → Promise<Map term → [df, postings]>
+  }
+
+  /**
+   * @param {string|Function} source - Index directory, or fname => Promise<string>
+   * @returns {Promise<SearchIndex>}
+   */
+  static async open(source) {
+    const read = typeof source === 'function'
+      ? source
+      : fname => fs.promises.readFile(path.join(source, fname), 'utf8');
+    const manifest = JSON.parse(await read(MANIFEST_FILE));
+    if (manifest.format !== INDEX_FORMAT || manifest.tokenizer !== TOKENIZER_VERSION) {
+      throw new Error(`Search index is format ${manifest.format} / tokenizer ${manifest.tokenizer}; this library reads format ${INDEX_FORMAT} / ${TOKENIZER_VERSION}`);
+    }
+    const index = new SearchIndex(read, manifest);
+    for (const { fname } of manifest.doc_files) index.docs.push(...parseLines(await read(fname)));
+    return index;
+  }
+
+  get size() {
+    return this.docs.length;
+  }
+
+  loadShard(shard) {
+    if (!this.shards.has(shard)) {
+      const loading = this.read(shardFile(shard, this.manifest.shards))
+        .then(text => new Map(parseLines(text).map(([term, df, postings]) => [term, [df, postings]])));
+      loading.catch(() => this.shards.delete(shard)); // a failed fetch is retried on the next search
+      this.shards.set(shard, loading);
+    }
+    return this.shards.get(shard);
+  }
+
+  /**
+   * Postings of one term
+   * @param {string} term - Tokenized
+   * @returns {Promise<Array|null>} - [df, [docDelta, tf, docDelta, tf, ...]]
+   */
+  async lookup(term) {
+    const shard = await this.loadShard(shardOf(term, this.manifest.shards));
+    return shard.get(term) || null;
+  }
+
+  /**
+   * Rank jobs for a free-text query
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Hits returned (default 20)
+   * @param {boolean} [options.all] - Only jobs containing every query term (default: any, ranked)
+   * @returns {Promise<Object>} - { terms, total, hits: [{ id, score, title, company_name, location }] }
+   */
+  async search(text, { limit = 20, all = false } = {}) {
+    const terms = [...new Set(tokenize(text))];
+    const { k1, b, avg_doc_length: avgLength } = this.manifest;
+    const n = this.docs.length;
+    const scores = new Map();  // doc number → score
+    const matched = new Map(); // doc number → terms matched
+
+    for (const term of terms) {
+      const entry = await this.lookup(term);
+      if (!entry) continue;
+      const [df, postings] = entry;
+      const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+      let doc = 0;
+      for (let i = 0; i < postings.length; i += 2) {
+        doc += postings[i];
+        const tf = postings[i + 1];
+        const norm = tf + k1 * (1 - b + b * this.docs[doc][4] / avgLength);
+        scores.set(doc, (scores.get(doc) || 0) + idf * (tf * (k1 + 1)) / norm);
+        matched.set(doc, (matched.get(doc) || 0) + 1);
+      }
+    }
+
+    let ranked = [...scores.entries()];
+    if (all) ranked = ranked.filter(([doc]) => matched.get(doc) === terms.length);
+    ranked.sort((x, y) => y[1] - x[1] || x[0] - y[0]);
+
+    return {
+      terms,
+      total: ranked.length,
+      hits: ranked.slice(0, limit).map(([doc, score]) => {
+        const [id, title, companyName, location] = this.docs[doc];
+        return { id, score: Math.round(score * 1000) / 1000, title, company_name: companyName, location };
+      }),
+    };
+  }
+}
+
+module.exports = { INDEX_FORMAT, MANIFEST_FILE, SearchIndex, shardOf, shardFile };
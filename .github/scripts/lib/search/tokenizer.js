@@ -0,0 +1,143 @@
+/**
+ * Tokenizer — text → search terms, shared by the index builder and the query
+ * library so both sides produce the same terms
+ *
+ * Lowercased, accents stripped, split on anything that isn't a letter or digit,
+ * English stopwords dropped, Porter-stemmed ("internships" / "internship" →
+ * "internship", "engineering" / "engineer" → "engin"). A few tech names that
+ * punctuation would destroy are rewritten first (c++ → cpp, c# → csharp,
+ * .net → dotnet).
+ *
+ * TOKENIZER_VERSION goes into the published manifest; bump it whenever the
+ * output for some input changes, so old indexes are rejected instead of
+ * silently matching nothing.
+ */
+
+const TOKENIZER_VERSION = 'porter-1';
+const MAX_TERM_LENGTH = 30;
+
+const STOPWORDS = new Set(`a about above after again all also am an and any are as at be because been before being
+below between both but by can could did do does doing down during each few for from further had has have having he
+her here hers him his how i if in into is it its itself just me more most my no nor not now of off on once only or
+other our ours out over own same she should so some such than that the their theirs them then there these they this
+those through to too under until up very was we were what when where which while who whom why will with would you
+your yours`.split(/\s+/));
+
+const SPECIAL_TERMS = [
+  [/c\+\+/g, ' cpp '],
+  [/c#/g, ' csharp '],
+  [/f#/g, ' fsharp '],
+  [/(^|\s)\.net\b/g, ' dotnet '],
+];
+
+// ─── Porter stemmer ────────────────────────────────────────────────────────
+// M. F. Porter, "An algorithm for suffix stripping", 1980 — the original rules.
+
+const STEP2 = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble', alli: 'al', entli: 'ent',
+  eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful',
+  ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log',
+};
+const STEP3 = { icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: '' };
+const STEP4 = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/;
+
+const C = '[^aeiou]';
+const V = '[aeiouy]';
+const CS = `${C}[^aeiouy]*`;
+const VS = `${V}[aeiou]*`;
+const MGR0 = new RegExp(`^(${CS})?${VS}${CS}`);                // m > 0
+const MEQ1 = new RegExp(`^(${CS})?${VS}${CS}(${VS})?$`);       // m = 1
+const MGR1 = new RegExp(`^(${CS})?${VS}${CS}${VS}${CS}`);      // m > 1
+const HAS_VOWEL = new RegExp(`^(${CS})?${V}`);
+const CVC = new RegExp(`^${CS}${V}[^aeiouwxy]$`);
+
+/**
+ * @param {string} word - Lowercase a–z
+ * @returns {string}
+ */
+function stem(word) {
+  if (word.length < 3) return word;
+  let w = word;
+  const firstY = w[0] === 'y';
+  if (firstY) w = 'Y' + w.slice(1);
+
+  // Step 1a
+  if (/sses$|ies$/.test(w)) w = w.slice(0, -2);
+  else if (/[^s]s$/.test(w)) w = w.slice(0, -1);
+
+  // Step 1b
+  let m;
+  if ((m = w.match(/^(.+?)eed$/))) {
+    if (MGR0.test(m[1])) w = w.slice(0, -1);
+  } else if ((m = w.match(/^(.+?)(ed|ing)$/)) && HAS_VOWEL.test(m[1])) {
+    w = m[1];
+    if (/(at|bl|iz)$/.test(w)) w += 'e';
+    else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+    else if (CVC.test(w)) w += 'e';
+  }
+
+  // Step 1c
+  if ((m = w.match(/^(.+?)y$/)) && HAS_VOWEL.test(m[1])) w = m[1] + 'i';
+
+  // Step 2
+  if ((m = w.match(/^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/))
+    && MGR0.test(m[1])) {
+    w = m[1] + STEP2[m[2]];
+  }
+
+  // Step 3
+  if ((m = w.match(/^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/)) && MGR0.test(m[1])) {
+    w = m[1] + STEP3[m[2]];
+  }
+
+  // Step 4
+  if ((m = w.match(STEP4))) {
+    if (MGR1.test(m[1])) w = m[1];
+  } else if ((m = w.match(/^(.+?)(s|t)(ion)$/)) && MGR1.test(m[1] + m[2])) {
+    w = m[1] + m[2];
+  }
+
+  // Step 5
+  if ((m = w.match(/^(.+?)e$/))) {
+    const base = m[1];
+    if (MGR1.test(base) || (MEQ1.test(base) && !CVC.test(base))) w = base;
+  }
+  if (/ll$/.test(w) && MGR1.test(w)) w = w.slice(0, -1);
+
+  return firstY ? 'y' + w.slice(1) : w;
+}
+
+// ─── Tokenizing ────────────────────────────────────────────────────────────
+
+const stemCache = new Map();
+
+const stemCached = word => {
+  let stemmed = stemCache.get(word);
+  if (stemmed === undefined) {
+    stemmed = /^[a-z]+$/.test(word) ? stem(word) : word;
+    stemCache.set(word, stemmed);
+  }
+  return stemmed;
+};
+
+/**
+ * Search terms in text order (repeats kept, for term frequencies)
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  if (!text) return [];
+  let s = String(text).toLowerCase();
+  for (const [pattern, replacement] of SPECIAL_TERMS) s = s.replace(pattern, replacement);
+  s = s.normalize('NFD').replace(/[̀-ͯ]/g, '');
+
+  const terms = [];
+  for (const word of s.split(/[^a-z0-9]+/)) {
+    if (!word || word.length > MAX_TERM_LENGTH || STOPWORDS.has(word)) continue;
+    if (word.length === 1 && !/\d/.test(word)) continue;
+    terms.push(stemCached(word));
+  }
+  return terms;
+}
+
+module.exports = { TOKENIZER_VERSION, stem, tokenize };
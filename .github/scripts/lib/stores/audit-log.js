@@ -0,0 +1,140 @@
+/**
+ * Audit Log — why each job was dropped
+ *
+ * One entry per (job id, stage, reason), kept across runs:
+ *   { id, fingerprint, title, company, source, url, stage, reason,
+ *     confidence?, detail?, first, last }
+ *
+ * Stages: validate (Step 3), senior_filter (Step 4/4a), dedupe (Step 6: clustered, same_id, ...),
+ * rolling_window (Step 9: expired, removed_at_source, superseded, clustered, ...).
+ *
+ * `first` / `last` are day-granular (YYYY-MM-DD), so a job dropped for the same
+ * reason every run only rewrites its line once a day. Entries not recorded for
+ * AUDIT_RETENTION_DAYS are pruned.
+ *
+ * Files (DATA_DIR/audit/): audit-log.jsonl, or audit-log-1.jsonl,
+ * audit-log-2.jsonl, ... — sorted by id, chunked like the description sidecars.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AUDIT_RETENTION_DAYS } = require('../config');
+const { readJSONL } = require('../utils/jsonl');
+const { writeChunkedJSONL, removeStaleFiles } = require('../utils/chunked-jsonl');
+const { normalizeUrl } = require('../utils/url');
+
+const AUDIT_FILE = /^audit-log(?:-\d+)?\.jsonl$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const today = now => new Date(now).toISOString().split('T')[0];
+const entryKey = (id, stage, reason) => `${id}\u0000${stage}\u0000${reason}`;
+
+class AuditLog {
+  /**
+   * @param {string} dir - Audit directory
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this.entries = new Map(); // entryKey → entry
+    this.recorded = {};       // stage → entries recorded this run
+  }
+
+  /**
+   * Load every audit-log chunk in dir (missing dir → empty log)
+   * @param {string} dir - Audit directory
+   * @returns {AuditLog}
+   */
+  static open(dir) {
+    const log = new AuditLog(dir);
+    if (!fs.existsSync(dir)) return log;
+    for (const fname of fs.readdirSync(dir).filter(f => AUDIT_FILE.test(f)).sort()) {
+      for (const entry of readJSONL(path.join(dir, fname))) {
+        log.entries.set(entryKey(entry.id, entry.stage, entry.reason), entry);
+      }
+    }
+    return log;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Record that a stage dropped a job
+   * @param {Object} job - The dropped job
+   * @param {string} stage - validate | senior_filter | dedupe | rolling_window
+   * @param {string} reason - Rule or reason code
+   * @param {string|number|Date} now - Run time
+   * @param {Object} [extra] - { confidence, detail }
+   */
+  record(job, stage, reason, now, { confidence, detail } = {}) {
+    if (!job || !job.id) return;
+    const key = entryKey(job.id, stage, reason);
+    const day = today(now);
+    const existing = this.entries.get(key);
+    const entry = {
+      id: job.id,
+      fingerprint: job.fingerprint || null,
+      title: job.title || null,
+      company: job.company_name || null,
+      source: job.source || null,
+      url: job.url || null,
+      stage,
+      reason,
+      ...(confidence !== undefined && { confidence }),
+      ...(detail !== undefined && { detail }),
+      first: existing?.first || day,
+      last: day,
+    };
+    this.entries.set(key, entry);
+    this.recorded[stage] = (this.recorded[stage] || 0) + 1;
+  }
+
+  /**
+   * Drop entries not recorded within AUDIT_RETENTION_DAYS
+   * @param {string|number|Date} now - Run time
+   * @returns {number} - Entries removed
+   */
+  expire(now) {
+    const cutoff = Date.parse(today(now)) - AUDIT_RETENTION_DAYS * DAY_MS;
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (Date.parse(entry.last) < cutoff) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Entries for a job id, URL or fingerprint (plus every id sharing a matched fingerprint)
+   * @param {string} query - Job id, job URL or fingerprint
+   * @returns {Array<Object>} - Oldest first
+   */
+  lookup(query) {
+    const url = normalizeUrl(query);
+    const direct = [...this.entries.values()].filter(e =>
+      e.id === query || e.fingerprint === query || (e.url && normalizeUrl(e.url) === url));
+    const fingerprints = new Set(direct.map(e => e.fingerprint).filter(Boolean));
+    const trail = [...this.entries.values()].filter(e => direct.includes(e) || fingerprints.has(e.fingerprint));
+    return trail.sort((a, b) => a.first.localeCompare(b.first) || a.last.localeCompare(b.last));
+  }
+
+  /**
+   * Write the log as sorted, chunked JSONL and remove stale chunks
+   * @returns {Array<Object>} - Files written: { fname, entries, bytes }
+   */
+  save() {
+    if (!fs.existsSync(this.dir)) fs.mkdirSync(this.dir, { recursive: true });
+    const sorted = [...this.entries.values()].sort((a, b) =>
+      (a.id < b.id ? -1 : a.id > b.id ? 1 : 0) || a.stage.localeCompare(b.stage) || a.reason.localeCompare(b.reason));
+    const written = writeChunkedJSONL(this.dir, 'audit-log', sorted);
+    removeStaleFiles(this.dir, AUDIT_FILE, new Set(written.map(f => f.fname)));
+    return written;
+  }
+}
+
+module.exports = {
+  AuditLog,
+};
@@ -0,0 +1,343 @@
+/**
+ * Description Store — one persistent, content-addressed store for all sources
+ *
+ * Layout (DATA_DIR/description-store/):
+ *   index.jsonl              one line per job id, sorted by id:
+ *                            { id, source, hash, seen, updated?, revisions? }
+ *   segment-0001.jsonl ...   append-only content segments, one line per
+ *                            distinct text: { h: hash, t: text }
+ *
+ * A description is stored once per content hash; re-fetching an unchanged
+ * description only touches its index entry. New or changed text is appended
+ * to the newest segment (rolled over at SEGMENT_MAX_BYTES), so a run's git
+ * diff is the changed descriptions plus the index lines that moved.
+ *
+ * Revisions: when a job's text changes (beyond whitespace), the old hash moves
+ * to `revisions` ({ hash, until }, newest last, at most
+ * DESCRIPTION_MAX_REVISIONS) and `updated` records when. Revision hashes stay
+ * referenced, so compaction keeps their text for diffing.
+ *
+ * TTL (all sources alike): an id not seen for DESCRIPTION_TTL_DAYS is dropped
+ * from the index. `seen` is day-granular and only refreshed once it is
+ * TOUCH_INTERVAL_DAYS old, so live jobs don't rewrite the index every run.
+ *
+ * Compaction: when more than DESCRIPTION_COMPACT_DEAD_RATIO of segment bytes
+ * belong to hashes no index entry references, all live text is rewritten into
+ * fresh segments. That is the only time existing segments change.
+ *
+ * The published descriptions-{source}.jsonl sidecars are generated from the
+ * store (sorted by id), so they too only change where a description did.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DESCRIPTION_TTL_DAYS, DESCRIPTION_COMPACT_DEAD_RATIO, DESCRIPTION_MAX_REVISIONS } = require('../config');
+const { readJSONL } = require('../utils/jsonl');
+
+const INDEX_FILE = 'index.jsonl';
+const SEGMENT_FILE = /^segment-(\d+)\.jsonl$/;
+const SEGMENT_MAX_BYTES = 40 * 1024 * 1024; // same limit as the published sidecars
+const LEGACY_SIDECAR_FILE = /^descriptions-(.+?)(?:-\d+)?\.jsonl$/;
+const LEGACY_WORKDAY_CACHE = 'descriptions.jsonl';
+const TOUCH_INTERVAL_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const today = now => new Date(now).toISOString().split('T')[0];
+const daysBetween = (from, to) => (Date.parse(to) - Date.parse(from)) / DAY_MS;
+const normalizeWhitespace = text => text.replace(/\s+/g, ' ').trim();
+
+/**
+ * Content hash of a description
+ * @param {string} text
+ * @returns {string} - 32 hex chars (sha256 prefix)
+ */
+function hashDescription(text) {
+  return crypto.createHash('sha256').update(text, 'utf8').digest('hex').slice(0, 32);
+}
+
+function segmentName(n) {
+  return `segment-${String(n).padStart(4, '0')}.jsonl`;
+}
+
+class DescriptionStore {
+  /**
+   * @param {string} dir - Store directory
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this.entries = new Map();  // id → { source, hash, seen }
+    this.texts = new Map();    // hash → text
+    this.segments = [];        // [{ fname, bytes }] in order
+    this.pending = [];         // [{ h, t }] not yet flushed
+    this.segmentBytesByHash = new Map(); // hash → bytes on disk (for dead-ratio)
+  }
+
+  /**
+   * Open a store, loading index and segments (missing dir → empty store)
+   * @param {string} dir - Store directory
+   * @returns {DescriptionStore}
+   */
+  static open(dir) {
+    const store = new DescriptionStore(dir);
+    if (!fs.existsSync(dir)) return store;
+
+    const segmentFiles = fs.readdirSync(dir)
+      .filter(f => SEGMENT_FILE.test(f))
+      .sort();
+    for (const fname of segmentFiles) {
+      const content = fs.readFileSync(path.join(dir, fname), 'utf8');
+      for (const line of content.split('\n')) {
+        if (!line) continue;
+        try {
+          const { h, t } = JSON.parse(line);
+          store.texts.set(h, t);
+          store.segmentBytesByHash.set(h, Buffer.byteLength(line, 'utf8') + 1);
+        } catch { /* skip malformed lines */ }
+      }
+      store.segments.push({ fname, bytes: Buffer.byteLength(content, 'utf8') });
+    }
+
+    const indexPath = path.join(dir, INDEX_FILE);
+    if (fs.existsSync(indexPath)) {
+      for (const line of fs.readFileSync(indexPath, 'utf8').split('\n')) {
+        if (!line) continue;
+        try {
+          const { id, ...entry } = JSON.parse(line);
+          if (store.texts.has(entry.hash)) store.entries.set(id, entry);
+        } catch { /* skip malformed lines */ }
+      }
+    }
+    return store;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  get isEmpty() {
+    return this.entries.size === 0 && this.segments.length === 0;
+  }
+
+  has(id) {
+    return this.entries.has(id);
+  }
+
+  /**
+   * Description text for a job id
+   * @param {string} id
+   * @returns {string|null}
+   */
+  get(id) {
+    const entry = this.entries.get(id);
+    return entry ? this.texts.get(entry.hash) ?? null : null;
+  }
+
+  /**
+   * Index entry for a job id
+   * @param {string} id
+   * @returns {Object|null} - { source, hash, seen, updated?, revisions? }
+   */
+  getEntry(id) {
+    return this.entries.get(id) || null;
+  }
+
+  /**
+   * Store a description for a job
+   * @param {string} id - Job id
+   * @param {string} source - Job source
+   * @param {string} text - Description text
+   * @param {string|number|Date} now - Run time
+   * @returns {'added'|'changed'|'reformatted'|'unchanged'|'skipped'}
+   *   reformatted: text differs only in whitespace — stored, but not a revision
+   */
+  put(id, source, text, now) {
+    if (!id || typeof text !== 'string' || !text.trim()) return 'skipped';
+    const hash = hashDescription(text);
+    if (!this.texts.has(hash)) {
+      this.texts.set(hash, text);
+      this.pending.push({ h: hash, t: text });
+    }
+
+    const entry = this.entries.get(id);
+    if (!entry) {
+      this.entries.set(id, { source, hash, seen: today(now) });
+      return 'added';
+    }
+    if (entry.hash === hash) {
+      this.touch(id, now);
+      return 'unchanged';
+    }
+    const previous = this.texts.get(entry.hash);
+    const reformatted = previous !== undefined && normalizeWhitespace(previous) === normalizeWhitespace(text);
+    if (!reformatted) {
+      entry.revisions = [...(entry.revisions || []), { hash: entry.hash, until: new Date(now).toISOString() }]
+        .slice(-DESCRIPTION_MAX_REVISIONS);
+      entry.updated = new Date(now).toISOString();
+    }
+    entry.hash = hash;
+    entry.seen = today(now);
+    return reformatted ? 'reformatted' : 'changed';
+  }
+
+  /**
+   * Text of a job's earlier revisions
+   * @param {string} id
+   * @returns {Array<Object>} - { until, text } oldest first
+   */
+  getRevisions(id) {
+    const entry = this.entries.get(id);
+    return (entry?.revisions || [])
+      .map(r => ({ until: r.until, text: this.texts.get(r.hash) ?? null }))
+      .filter(r => r.text !== null);
+  }
+
+  /**
+   * Mark a job as still live (keeps it past the TTL)
+   * @param {string} id - Job id
+   * @param {string|number|Date} now - Run time
+   */
+  touch(id, now) {
+    const entry = this.entries.get(id);
+    if (entry && daysBetween(entry.seen, today(now)) >= TOUCH_INTERVAL_DAYS) {
+      entry.seen = today(now);
+    }
+  }
+
+  /**
+   * Drop ids not seen within the TTL
+   * @param {string|number|Date} now - Run time
+   * @returns {number} - Entries removed
+   */
+  expire(now) {
+    let removed = 0;
+    for (const [id, entry] of this.entries) {
+      if (daysBetween(entry.seen, today(now)) > DESCRIPTION_TTL_DAYS) {
+        this.entries.delete(id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Sidecar entries for a source, sorted by id
+   * @param {string} source
+   * @returns {Array<Object>} - { id, description_text }
+   */
+  entriesForSource(source) {
+    const result = [];
+    for (const [id, entry] of this.entries) {
+      if (entry.source === source) result.push({ id, description_text: this.texts.get(entry.hash) });
+    }
+    return result.sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+  }
+
+  /**
+   * Seed an empty store from the pre-store files in dataDir:
+   * descriptions-{source}[-N].jsonl sidecars and the descriptions.jsonl Workday cache
+   * @param {string} dataDir - Directory holding the legacy files
+   * @param {string|number|Date} now - Run time (becomes every entry's `seen`)
+   * @returns {number} - Entries imported
+   */
+  importLegacyFiles(dataDir, now) {
+    if (!fs.existsSync(dataDir)) return 0;
+    const files = fs.readdirSync(dataDir)
+      .map(fname => {
+        if (fname === LEGACY_WORKDAY_CACHE) return { fname, source: 'workday' };
+        const m = fname.match(LEGACY_SIDECAR_FILE);
+        return m ? { fname, source: m[1] } : null;
+      })
+      .filter(Boolean);
+
+    let imported = 0;
+    for (const { fname, source } of files) {
+      for (const { id, description_text } of readJSONL(path.join(dataDir, fname))) {
+        if (this.has(id)) continue;
+        if (this.put(id, source, description_text, now) === 'added') imported++;
+      }
+    }
+    return imported;
+  }
+
+  /**
+   * Sources present in the store
+   * @returns {Array<string>}
+   */
+  sources() {
+    return [...new Set([...this.entries.values()].map(e => e.source))].sort();
+  }
+
+  /**
+   * Hashes referenced by the index (current text and revisions)
+   * @returns {Set<string>}
+   */
+  liveHashes() {
+    const live = new Set();
+    for (const entry of this.entries.values()) {
+      live.add(entry.hash);
+      for (const revision of entry.revisions || []) live.add(revision.hash);
+    }
+    return live;
+  }
+
+  /**
+   * Persist: append pending text, compact if needed, rewrite the index
+   * @returns {Object} - { appended, compacted, segments, entries }
+   */
+  save() {
+    if (!fs.existsSync(this.dir)) fs.mkdirSync(this.dir, { recursive: true });
+
+    const live = this.liveHashes();
+    const pending = this.pending.filter(p => live.has(p.h));
+    this.pending = [];
+
+    const onDisk = [...this.segmentBytesByHash.values()].reduce((a, b) => a + b, 0);
+    const deadOnDisk = [...this.segmentBytesByHash].filter(([h]) => !live.has(h)).reduce((sum, [, b]) => sum + b, 0);
+    const compacted = onDisk > 0 && deadOnDisk / onDisk > DESCRIPTION_COMPACT_DEAD_RATIO;
+
+    if (compacted) {
+      this.compact(live);
+    } else {
+      this.append(pending);
+    }
+
+    const lines = [...this.entries]
+      .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0))
+      .map(([id, entry]) => JSON.stringify({ id, ...entry }) + '\n');
+    fs.writeFileSync(path.join(this.dir, INDEX_FILE), lines.join(''), 'utf8');
+
+    return { appended: compacted ? 0 : pending.length, compacted, segments: this.segments.length, entries: this.entries.size };
+  }
+
+  append(records) {
+    let current = this.segments[this.segments.length - 1];
+    for (const record of records) {
+      const line = JSON.stringify(record) + '\n';
+      const bytes = Buffer.byteLength(line, 'utf8');
+      if (!current || current.bytes + bytes > SEGMENT_MAX_BYTES) {
+        current = { fname: segmentName(this.segments.length + 1), bytes: 0 };
+        this.segments.push(current);
+      }
+      fs.appendFileSync(path.join(this.dir, current.fname), line, 'utf8');
+      current.bytes += bytes;
+      this.segmentBytesByHash.set(record.h, bytes);
+    }
+  }
+
+  compact(live) {
+    for (const { fname } of this.segments) fs.unlinkSync(path.join(this.dir, fname));
+    this.segments = [];
+    this.segmentBytesByHash.clear();
+    for (const hash of [...this.texts.keys()]) {
+      if (!live.has(hash)) this.texts.delete(hash);
+    }
+    const records = [...this.texts].sort((a, b) => (a[0] < b[0] ? -1 : 1)).map(([h, t]) => ({ h, t }));
+    this.append(records);
+  }
+}
+
+module.exports = {
+  DescriptionStore,
+  hashDescription,
+};
@@ -0,0 +1,261 @@
+/**
+ * Job Catalog — the published files, in memory, for serve.js
+ *
+ * Loads what a consumer downloads from jobs-data-2026: all_jobs.json, the
+ * descriptions-*.jsonl sidecars and jobs-metadata.json. Read-only: a reload
+ * builds a new catalog and the server swaps it in.
+ *
+ * Queries (GET /jobs parameters, see parseJobQuery):
+ *   q          every word in title, company, location or description
+ *   tag        any tags.* value (software, entry_level, faang, remote, ...)
+ *   company    company_id, or part of company_name
+ *   source     fetcher source
+ *   location   part of the location string, or a whole geo city / state / country
+ *              code, or workplace (remote, hybrid, onsite)
+ *   from, to   YYYY-MM-DD, inclusive, on date_field (posted_at or first_seen)
+ * A parameter can repeat (all must match); comma-separated values within one
+ * match any. Results are newest first (exporter's order); `cursor` continues
+ * after the last job of the previous page, so pages stay stable across reloads.
+ * Facet counts cover every matching job, not just the page.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readJSONL, readJSON } = require('../utils/jsonl');
+const { sortForExport } = require('../processors/exporter');
+
+const JOBS_FILE = 'all_jobs.json';
+const METADATA_FILE = 'jobs-metadata.json';
+const SIDECAR_FILE = /^descriptions-.+\.jsonl$/;
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const FACET_TOP = 25;
+const DATE_FIELDS = ['posted_at', 'first_seen'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FILTER_PARAMS = ['tag', 'company', 'source', 'location'];
+
+const FACETS = {
+  source: job => [job.source],
+  company: job => [job.company_id || job.company_name],
+  employment: job => [job.tags?.employment],
+  experience: job => [job.tags?.experience],
+  domains: job => job.tags?.domains || [],
+  special: job => job.tags?.special || [],
+  workplace: job => [job.workplace],
+  country: job => [...new Set((job.geo || []).map(g => g.country))],
+};
+
+const lower = value => String(value ?? '').toLowerCase();
+const tagValues = job => Object.values(job.tags || {}).flat().filter(Boolean);
+// Location strings match on a substring; geo names and codes only whole ("us" must not match "Austin")
+const locationValues = job => ({
+  text: [job.location, ...(job.locations || []).filter(l => typeof l === 'string')].filter(Boolean).map(lower),
+  exact: [...(job.geo || []).flatMap(g => [g.city, g.state, g.country]), job.workplace].filter(Boolean).map(lower),
+});
+
+/**
+ * Cursor for the position after `job` in export order
+ * @param {Object} job
+ * @returns {string}
+ */
+function encodeCursor(job) {
+  const time = Date.parse(job.posted_at || job.first_seen || job.fetched_at) || 0;
+  return Buffer.from(JSON.stringify([time, job.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [time, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return Number.isFinite(time) && typeof id === 'string' ? { time, id } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read and check /jobs query parameters
+ * @param {URLSearchParams} params
+ * @returns {Object} - { query, errors: [message] }
+ */
+function parseJobQuery(params) {
+  const errors = [];
+  const query = { limit: DEFAULT_LIMIT, cursor: null, dateField: 'posted_at', from: null, to: null };
+
+  query.q = params.getAll('q').flatMap(value => value.toLowerCase().split(/\s+/)).filter(Boolean);
+  for (const name of FILTER_PARAMS) {
+    // each occurrence is one condition; commas inside it are alternatives
+    query[name] = params.getAll(name)
+      .map(value => value.split(',').map(v => v.trim().toLowerCase()).filter(Boolean))
+      .filter(alternatives => alternatives.length > 0);
+  }
+
+  if (params.has('limit')) {
+    const limit = parseInt(params.get('limit'), 10);
+    if (!Number.isFinite(limit) || limit < 1) errors.push('limit must be a positive integer');
+    else query.limit = Math.min(limit, MAX_LIMIT);
+  }
+  if (params.has('cursor')) {
+    query.cursor = decodeCursor(params.get('cursor'));
+    if (!query.cursor) errors.push('cursor is not valid (use next_cursor from the previous page)');
+  }
+  if (params.has('date_field')) {
+    query.dateField = params.get('date_field');
+    if (!DATE_FIELDS.includes(query.dateField)) errors.push(`date_field must be ${DATE_FIELDS.join(' or ')}`);
+  }
+  for (const name of ['from', 'to']) {
+    if (!params.has(name)) continue;
+    const value = params.get(name);
+    const ts = Date.parse(`${value}T00:00:00Z`);
+    // Date.parse rolls impossible days over (2026-02-30 → March 2); only a date that formats back to itself is real
+    const valid = /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(ts) && new Date(ts).toISOString().slice(0, 10) === value;
+    if (!valid) errors.push(`${name} must be a valid YYYY-MM-DD date`);
+    else query[name] = name === 'to' ? ts + DAY_MS : ts;
+  }
+  return { query, errors };
+}
+
+class JobCatalog {
+  /**
+   * @param {string} dir - Data directory
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this.jobs = [];                 // export order
+    this.byId = new Map();          // id → job
+    this.descriptions = new Map();  // id → description_text
+    this.searchText = new Map();    // id → lowercased title / company / location / description
+    this.metadata = null;
+    this.files = [];
+    this.loadedAt = null;
+  }
+
+  /**
+   * Load the published files from dir (missing files → empty catalog)
+   * @param {string} dir - Data directory (.github/data)
+   * @returns {JobCatalog}
+   */
+  static load(dir) {
+    const catalog = new JobCatalog(dir);
+    const sidecars = fs.existsSync(dir) ? fs.readdirSync(dir).filter(f => SIDECAR_FILE.test(f)).sort() : [];
+    for (const fname of sidecars) {
+      for (const entry of readJSONL(path.join(dir, fname))) {
+        if (entry.id && entry.description_text) catalog.descriptions.set(entry.id, entry.description_text);
+      }
+    }
+
+    catalog.jobs = sortForExport(readJSONL(path.join(dir, JOBS_FILE)));
+    for (const job of catalog.jobs) {
+      catalog.byId.set(job.id, job);
+      catalog.searchText.set(job.id, lower([job.title, job.company_name, job.location, catalog.descriptions.get(job.id)].join(' ')));
+    }
+    catalog.metadata = readJSON(path.join(dir, METADATA_FILE));
+    catalog.files = [JOBS_FILE, METADATA_FILE, ...sidecars].filter(f => fs.existsSync(path.join(dir, f)));
+    catalog.loadedAt = new Date().toISOString();
+    return catalog;
+  }
+
+  /**
+   * Does the catalog read this file? (for the server's file watcher)
+   * @param {string} fname
+   * @returns {boolean}
+   */
+  static watches(fname) {
+    return fname === JOBS_FILE || fname === METADATA_FILE || SIDECAR_FILE.test(fname);
+  }
+
+  get size() {
+    return this.jobs.length;
+  }
+
+  matches(job, query) {
+    const text = this.searchText.get(job.id);
+    if (!query.q.every(word => text.includes(word))) return false;
+    if (query.tag.length > 0) {
+      const tags = tagValues(job);
+      if (!query.tag.every(alts => alts.some(t => tags.includes(t)))) return false;
+    }
+    if (!query.company.every(alts => alts.some(c => c === lower(job.company_id) || lower(job.company_name).includes(c)))) return false;
+    if (!query.source.every(alts => alts.includes(lower(job.source)))) return false;
+    if (query.location.length > 0) {
+      const { text, exact } = locationValues(job);
+      if (!query.location.every(alts => alts.some(l => exact.includes(l) || text.some(t => t.includes(l))))) return false;
+    }
+    if (query.from !== null || query.to !== null) {
+      const ts = Date.parse(job[query.dateField]);
+      if (Number.isNaN(ts)) return false;
+      if (query.from !== null && ts < query.from) return false;
+      if (query.to !== null && ts >= query.to) return false;
+    }
+    return true;
+  }
+
+  /**
+   * One page of matching jobs, with facet counts over all matches
+   * @param {Object} query - From parseJobQuery
+   * @returns {Object} - { total, count, jobs, next_cursor, facets }
+   */
+  query(query) {
+    const matching = this.jobs.filter(job => this.matches(job, query));
+
+    let start = 0;
+    if (query.cursor) {
+      // first job strictly after the cursor in export order (newest first, then id)
+      const { time, id } = query.cursor;
+      start = matching.findIndex(job => {
+        const t = Date.parse(job.posted_at || job.first_seen || job.fetched_at) || 0;
+        return t < time || (t === time && String(job.id).localeCompare(id) > 0);
+      });
+      if (start === -1) start = matching.length;
+    }
+    const page = matching.slice(start, start + query.limit);
+    const hasMore = start + page.length < matching.length;
+
+    const facets = {};
+    for (const [name, valuesOf] of Object.entries(FACETS)) {
+      const counts = {};
+      for (const job of matching) {
+        for (const value of valuesOf(job)) {
+          if (value) counts[value] = (counts[value] || 0) + 1;
+        }
+      }
+      facets[name] = Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, FACET_TOP));
+    }
+
+    return {
+      total: matching.length,
+      count: page.length,
+      jobs: page,
+      next_cursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+      facets,
+    };
+  }
+
+  /**
+   * One job with its description joined in
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    const job = this.byId.get(id);
+    return job ? { ...job, description_text: this.descriptions.get(id) ?? null } : null;
+  }
+
+  /**
+   * @returns {Object} - What is loaded, plus jobs-metadata.json
+   */
+  stats() {
+    return {
+      loaded_at: this.loadedAt,
+      data_dir: this.dir,
+      files: this.files,
+      jobs: this.jobs.length,
+      descriptions: this.descriptions.size,
+      jobs_with_description: this.jobs.filter(job => this.descriptions.has(job.id)).length,
+      metadata: this.metadata,
+    };
+  }
+}
+
+module.exports = { JobCatalog, parseJobQuery };
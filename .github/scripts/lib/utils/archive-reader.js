@@ -0,0 +1,89 @@
+/**
+ * Archive Reader — streams records from archive/week-YYYY-Www.jsonl
+ *
+ * Files are read line by line (never a whole week in memory) and weeks that
+ * can't contain matches are skipped: a job archived in week W expired in W,
+ * so it was posted no later than W's end.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const WEEK_FILE = /^week-(\d{4})-W(\d{2})\.jsonl$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Monday 00:00 UTC of an ISO week
+ * @param {number} year - ISO week-numbering year
+ * @param {number} week - ISO week (1-53)
+ * @returns {Date}
+ */
+function isoWeekStart(year, week) {
+  const jan4 = new Date(Date.UTC(year, 0, 4));
+  const mondayOfWeek1 = jan4.getTime() - ((jan4.getUTCDay() + 6) % 7) * DAY_MS;
+  return new Date(mondayOfWeek1 + (week - 1) * 7 * DAY_MS);
+}
+
+/**
+ * ISO week label (YYYY-Www) for a date
+ * @param {Date|string} date
+ * @returns {string}
+ */
+function isoWeekLabel(date) {
+  const d = new Date(date);
+  const target = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+  target.setUTCDate(target.getUTCDate() + 3 - ((target.getUTCDay() + 6) % 7)); // Thursday of this week
+  const year = target.getUTCFullYear();
+  const week = 1 + Math.round((target - isoWeekStart(year, 1)) / (7 * DAY_MS) - 3 / 7);
+  return `${year}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Archive week files in chronological order
+ * @param {string} archiveDir - Archive directory
+ * @returns {Array<Object>} - { file, start, end }
+ */
+function listArchiveWeeks(archiveDir) {
+  if (!fs.existsSync(archiveDir)) return [];
+  return fs.readdirSync(archiveDir)
+    .map(f => {
+      const m = f.match(WEEK_FILE);
+      if (!m) return null;
+      const start = isoWeekStart(Number(m[1]), Number(m[2]));
+      return { file: path.join(archiveDir, f), start, end: new Date(start.getTime() + 7 * DAY_MS) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Stream archived jobs, skipping weeks outside the range
+ * @param {string} archiveDir - Archive directory
+ * @param {Object} [range]
+ * @param {Date} [range.from] - Inclusive lower bound on dateField
+ * @param {Date} [range.to] - Exclusive upper bound on dateField
+ * @param {string} [range.dateField='posted_at'] - posted_at or expired_at
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* streamArchive(archiveDir, { from, to, dateField = 'posted_at' } = {}) {
+  for (const week of listArchiveWeeks(archiveDir)) {
+    if (from && week.end <= from) continue; // everything here expired (and was posted) before `from`
+    if (to && dateField === 'expired_at' && week.start >= to) continue;
+
+    const lines = readline.createInterface({ input: fs.createReadStream(week.file, 'utf8'), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        yield JSON.parse(line);
+      } catch { /* skip malformed lines */ }
+    }
+  }
+}
+
+module.exports = {
+  isoWeekStart,
+  isoWeekLabel,
+  listArchiveWeeks,
+  streamArchive,
+};
@@ -0,0 +1,63 @@
+/**
+ * Chunked JSONL writer
+ *
+ * Writes {base}.jsonl, or {base}-1.jsonl, {base}-2.jsonl, ... when the content
+ * exceeds the chunk limit, keeping every file well under GitHub's 100 MB hard
+ * limit. Files from a previous run that weren't rewritten (chunk count went
+ * 2 → 1, or 1 → 2) are deleted from disk; gitCommit stages the deletions.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CHUNK_LIMIT_BYTES = 40 * 1024 * 1024; // 40 MB per file
+
+/**
+ * Write entries as one or more JSONL files
+ * @param {string} dir - Output directory
+ * @param {string} base - File name without extension (e.g. descriptions-workday)
+ * @param {Array<Object>} entries - Records, one per line
+ * @param {number} [limitBytes] - Max bytes per file
+ * @returns {Array<Object>} - Files written: { fname, entries, bytes }
+ */
+function writeChunkedJSONL(dir, base, entries, limitBytes = DEFAULT_CHUNK_LIMIT_BYTES) {
+  const lines = entries.map(e => JSON.stringify(e) + '\n');
+  const totalBytes = lines.reduce((sum, l) => sum + Buffer.byteLength(l, 'utf8'), 0);
+  const numChunks = Math.max(1, Math.ceil(totalBytes / limitBytes));
+  const perChunk = Math.ceil(lines.length / numChunks);
+  const written = [];
+
+  for (let i = 0; i < numChunks; i++) {
+    const chunk = lines.slice(i * perChunk, (i + 1) * perChunk);
+    const fname = numChunks === 1 ? `${base}.jsonl` : `${base}-${i + 1}.jsonl`;
+    const body = chunk.join('');
+    fs.writeFileSync(path.join(dir, fname), body, 'utf8');
+    written.push({ fname, entries: chunk.length, bytes: Buffer.byteLength(body, 'utf8') });
+  }
+
+  return written;
+}
+
+/**
+ * Delete files matching a pattern that were not written this run
+ * @param {string} dir - Directory to scan
+ * @param {RegExp} pattern - File name pattern owned by the writer
+ * @param {Set<string>} keep - File names written this run
+ * @returns {Array<string>} - Deleted file names
+ */
+function removeStaleFiles(dir, pattern, keep) {
+  const removed = [];
+  for (const fname of fs.readdirSync(dir)) {
+    if (pattern.test(fname) && !keep.has(fname)) {
+      fs.unlinkSync(path.join(dir, fname));
+      removed.push(fname);
+    }
+  }
+  return removed;
+}
+
+module.exports = {
+  DEFAULT_CHUNK_LIMIT_BYTES,
+  writeChunkedJSONL,
+  removeStaleFiles,
+};
@@ -0,0 +1,26 @@
+/**
+ * CSV helpers (RFC 4180)
+ */
+
+/**
+ * Escape one CSV field. Arrays are joined with '|'; null/undefined → empty.
+ * Fields containing a comma, quote, CR or LF are quoted, quotes doubled.
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join('|') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format one CSV row (CRLF-terminated, per RFC 4180)
+ * @param {Array} values
+ * @returns {string}
+ */
+function csvRow(values) {
+  return values.map(csvField).join(',') + '\r\n';
+}
+
+module.exports = { csvField, csvRow };
@@ -0,0 +1,149 @@
+/**
+ * Per-host rate limiter for axios
+ *
+ * Installs request/response interceptors on the shared axios instance (and on
+ * any instance created later via axios.create) so every fetcher in the shared
+ * submodule is throttled without changing its code.
+ *
+ * Each host maps to a bucket via HOST_RATE_LIMITS (lib/config.js). A bucket
+ * allows at most `maxConcurrent` requests in flight and spaces request starts
+ * at least `minIntervalMs` apart.
+ */
+
+const { HOST_RATE_LIMITS } = require('../config');
+
+class HostRateLimiter {
+  constructor(rules = HOST_RATE_LIMITS) {
+    this.rules = rules;
+    this.buckets = new Map();
+  }
+
+  /**
+   * Resolve the bucket for a hostname, creating it on first use
+   * @param {string} host - Request hostname
+   * @returns {Object} - Bucket state
+   */
+  bucketFor(host) {
+    const rule = this.rules.find(r => r.match.test(host));
+    const key = rule ? rule.bucket(host) : host;
+    if (!this.buckets.has(key)) {
+      this.buckets.set(key, {
+        key,
+        maxConcurrent: rule?.maxConcurrent || 1,
+        minIntervalMs: rule?.minIntervalMs || 0,
+        active: 0,
+        lastStart: 0,
+        queue: [],
+        requests: 0,
+        wait_ms: 0,
+      });
+    }
+    return this.buckets.get(key);
+  }
+
+  /**
+   * Wait for a slot on the host's bucket
+   * @param {string} host - Request hostname
+   * @returns {Promise<string>} - Bucket key (pass to release)
+   */
+  acquire(host) {
+    const bucket = this.bucketFor(host);
+    const queuedAt = Date.now();
+    return new Promise(resolve => {
+      bucket.queue.push(() => {
+        bucket.wait_ms += Date.now() - queuedAt;
+        resolve(bucket.key);
+      });
+      this.pump(bucket);
+    });
+  }
+
+  /**
+   * Free a slot taken by acquire()
+   * @param {string} key - Bucket key
+   */
+  release(key) {
+    const bucket = this.buckets.get(key);
+    if (!bucket) return;
+    bucket.active = Math.max(0, bucket.active - 1);
+    this.pump(bucket);
+  }
+
+  pump(bucket) {
+    if (bucket.timer || bucket.queue.length === 0 || bucket.active >= bucket.maxConcurrent) return;
+
+    const delay = bucket.lastStart + bucket.minIntervalMs - Date.now();
+    if (delay > 0) {
+      bucket.timer = setTimeout(() => {
+        bucket.timer = null;
+        this.pump(bucket);
+      }, delay);
+      return;
+    }
+
+    bucket.active++;
+    bucket.requests++;
+    bucket.lastStart = Date.now();
+    bucket.queue.shift()();
+    this.pump(bucket);
+  }
+
+  /**
+   * Per-bucket request counts and time spent queued, busiest first
+   * @param {number} [limit=15] - Max buckets to return
+   * @returns {Object} - { [bucket]: { requests, wait_ms } }
+   */
+  getStats(limit = 15) {
+    return Object.fromEntries(
+      [...this.buckets.values()]
+        .sort((a, b) => b.wait_ms - a.wait_ms || b.requests - a.requests)
+        .slice(0, limit)
+        .map(b => [b.key, { requests: b.requests, wait_ms: b.wait_ms }])
+    );
+  }
+}
+
+function hostOf(config) {
+  try {
+    return new URL(config.url, config.baseURL).hostname;
+  } catch {
+    return null;
+  }
+}
+
+function attach(instance, limiter) {
+  instance.interceptors.request.use(async config => {
+    const host = hostOf(config);
+    if (host) config._rateLimitKey = await limiter.acquire(host);
+    return config;
+  });
+  instance.interceptors.response.use(
+    response => {
+      limiter.release(response.config?._rateLimitKey);
+      return response;
+    },
+    error => {
+      limiter.release(error.config?._rateLimitKey);
+      return Promise.reject(error);
+    }
+  );
+}
+
+/**
+ * Throttle all axios traffic for this process
+ * @param {Object} axios - The axios module
+ * @param {HostRateLimiter} [limiter] - Limiter to use
+ * @returns {HostRateLimiter}
+ */
+function installHostRateLimiter(axios, limiter = new HostRateLimiter()) {
+  attach(axios, limiter);
+  const create = axios.create.bind(axios);
+  axios.create = (...args) => {
+    const instance = create(...args);
+    attach(instance, limiter);
+    return instance;
+  };
+  return limiter;
+}
+
+module.exports = { HostRateLimiter, installHostRateLimiter };
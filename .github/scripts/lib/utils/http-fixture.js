@@ -0,0 +1,287 @@
+/**
+ * HTTP fixtures — recorded axios responses, served back without the network
+ *
+ * Two layouts over the same interaction records
+ * ({ method, url, body, status, headers, data }):
+ *   fixture file   one probe (validate-company.js --record / --fixture):
+ *                  { recorded, board, fetched, requests: [interaction, ...] }
+ *   cassette dir   a whole pipeline run (index.js --record <dir> / --replay <dir>):
+ *                  manifest.json + one <host>.jsonl per host, appended as
+ *                  responses arrive so a run that crashes is still captured,
+ *                  + state/: the data dir as the run found it, which a replay
+ *                  starts from
+ *
+ * `url` includes the query string, with secret-looking parameters (api_key,
+ * token, ...) redacted; request headers are never stored. `body` is the parsed
+ * request body (Workday pages are POSTs that differ only by offset). A request
+ * recorded more than once is served in recorded order, then the last response
+ * repeats.
+ *
+ * Recorders and replayers are installed as the axios default adapter, so they
+ * cover the axios module and every instance created afterwards — install them
+ * before any fetcher module is loaded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_FILE = 'manifest.json';
+const STATE_DIR = 'state';
+const SECRET_PARAM = /^(api[_-]?key|key|token|access[_-]?token|client[_-]?secret|secret|password)$/i;
+
+const parseBody = body => {
+  if (body === undefined || body === null || body === '') return null;
+  if (typeof body !== 'string') return body;
+  try {
+    return JSON.parse(body);
+  } catch {
+    return body;
+  }
+};
+
+/**
+ * Full request URL with secret-looking query parameters redacted
+ * @param {Object} axios - axios module (for getUri)
+ * @param {Object} config - Request config as the adapter sees it
+ * @returns {string}
+ */
+function recordedUrl(axios, config) {
+  const url = axios.getUri(config);
+  try {
+    const parsed = new URL(url);
+    for (const name of [...parsed.searchParams.keys()]) {
+      if (SECRET_PARAM.test(name)) parsed.searchParams.set(name, 'REDACTED');
+    }
+    return parsed.toString();
+  } catch {
+    return url;
+  }
+}
+
+const keyOf = (method, url, body) => `${String(method || 'get').toUpperCase()} ${url} ${JSON.stringify(body ?? null)}`;
+
+/**
+ * Key a request is matched on
+ * @param {Object} axios
+ * @param {Object} config
+ * @returns {string}
+ */
+function requestKey(axios, config) {
+  return keyOf(config.method, recordedUrl(axios, config), parseBody(config.data));
+}
+
+/**
+ * Resolve or reject like axios does for a real response
+ * @param {Object} axios
+ * @param {Object} config
+ * @param {Object} recorded - { status, headers, data }
+ * @returns {Promise<Object>}
+ */
+function settle(axios, config, recorded) {
+  const response = {
+    data: recorded.data,
+    status: recorded.status,
+    statusText: String(recorded.status),
+    headers: recorded.headers || {},
+    config,
+    request: {},
+  };
+  if (!config.validateStatus || config.validateStatus(response.status)) return Promise.resolve(response);
+  return Promise.reject(new axios.AxiosError(`Request failed with status code ${response.status}`,
+    axios.AxiosError.ERR_BAD_RESPONSE, config, response.request, response));
+}
+
+/**
+ * Serve requests from recorded interactions; an unrecorded request fails
+ * @param {Object} axios
+ * @param {Array} interactions
+ * @returns {Object} - { served, missed: [request keys] }
+ */
+function installReplay(axios, interactions) {
+  const byKey = new Map();
+  for (const entry of interactions) {
+    const key = keyOf(entry.method, entry.url, entry.body);
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(entry);
+  }
+
+  const stats = { served: 0, missed: [] };
+  axios.defaults.adapter = config => {
+    const key = requestKey(axios, config);
+    const queue = byKey.get(key);
+    if (!queue) {
+      stats.missed.push(key);
+      return Promise.reject(new axios.AxiosError(`No recorded response for ${key}`, 'ERR_FIXTURE_MISS', config));
+    }
+    stats.served++;
+    return settle(axios, config, queue.length > 1 ? queue.shift() : queue[0]);
+  };
+  return stats;
+}
+
+/**
+ * Pass requests to the network and hand every response to onRecord
+ * @param {Object} axios
+ * @param {Function} onRecord - interaction => void
+ */
+function installRecorder(axios, onRecord) {
+  const networkAdapter = axios.getAdapter(axios.defaults.adapter);
+  const keep = (config, response) => onRecord({
+    method: String(config.method || 'get').toUpperCase(),
+    url: recordedUrl(axios, config),
+    body: parseBody(config.data),
+    status: response.status,
+    headers: { 'content-type': response.headers?.['content-type'] || null },
+    data: parseBody(response.data),
+  });
+
+  axios.defaults.adapter = async config => {
+    try {
+      const response = await networkAdapter(config);
+      keep(config, response);
+      return response;
+    } catch (error) {
+      if (error.response) keep(config, error.response);
+      throw error;
+    }
+  };
+}
+
+// ─── Fixture file ──────────────────────────────────────────────────────────
+
+/**
+ * @param {Object} axios
+ * @param {string} file
+ * @returns {Object} - { served, missed }
+ */
+function installFixtureReplay(axios, file) {
+  const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return installReplay(axios, fixture.requests || []);
+}
+
+/**
+ * @param {Object} axios
+ * @returns {Object} - { requests, save(file, meta) } - meta (board, fetched) is stored next to the requests
+ */
+function installFixtureRecorder(axios) {
+  const recorder = {
+    requests: [],
+    save(file, meta = {}) {
+      const fixture = { recorded: new Date().toISOString(), ...meta, requests: recorder.requests };
+      fs.writeFileSync(file, JSON.stringify(fixture, null, 2) + '\n', 'utf8');
+    },
+  };
+  installRecorder(axios, interaction => recorder.requests.push(interaction));
+  return recorder;
+}
+
+// ─── Cassette directory ────────────────────────────────────────────────────
+
+const hostFile = (dir, url) => {
+  let host = 'unknown-host';
+  try {
+    host = new URL(url).host.replace(/[^a-z0-9.-]/gi, '_');
+  } catch {
+    // unparseable URL: kept under unknown-host
+  }
+  return path.join(dir, `${host}.jsonl`);
+};
+
+/**
+ * Record every response of this run into a cassette directory (existing
+ * cassettes there are replaced), with a snapshot of the run's input state
+ * @param {Object} axios
+ * @param {string} dir
+ * @param {Object} [run] - Stored in the manifest ({ run_id, argv, data_tree })
+ * @param {string|null} [stateFrom] - Data dir to snapshot into state/ before the run writes to it
+ * @returns {Object} - { dir, recorded, hosts, started_at, finish() }
+ */
+function installCassetteRecorder(axios, dir, run = {}, stateFrom = null) {
+  fs.mkdirSync(dir, { recursive: true });
+  for (const f of fs.readdirSync(dir)) {
+    if (f.endsWith('.jsonl') || f === MANIFEST_FILE) fs.unlinkSync(path.join(dir, f));
+  }
+  const stateDir = path.join(dir, STATE_DIR);
+  fs.rmSync(stateDir, { recursive: true, force: true });
+  if (stateFrom && fs.existsSync(stateFrom)) {
+    // A cassette dir inside the data dir is not copied into itself
+    fs.cpSync(stateFrom, stateDir, { recursive: true, filter: src => path.resolve(src) !== path.resolve(dir) });
+  }
+
+  const cassette = {
+    dir,
+    recorded: 0,
+    hosts: {},
+    started_at: new Date().toISOString(),
+    finish() {
+      const manifest = { ...run, started_at: cassette.started_at, finished_at: new Date().toISOString(), requests: cassette.recorded, hosts: cassette.hosts };
+      fs.writeFileSync(path.join(dir, MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n', 'utf8');
+    },
+  };
+  cassette.finish();
+
+  installRecorder(axios, interaction => {
+    const file = hostFile(dir, interaction.url);
+    const host = path.basename(file, '.jsonl');
+    fs.appendFileSync(file, JSON.stringify(interaction) + '\n', 'utf8');
+    cassette.recorded++;
+    cassette.hosts[host] = (cassette.hosts[host] || 0) + 1;
+  });
+  return cassette;
+}
+
+/**
+ * Serve this run's requests from a cassette directory
+ * @param {Object} axios
+ * @param {string} dir
+ * @returns {Object} - { dir, manifest, state (snapshot dir, null for cassettes recorded without one), served, missed }
+ */
+function installCassetteReplay(axios, dir) {
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) throw new Error(`No cassette in ${dir} (missing ${MANIFEST_FILE})`);
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+
+  const interactions = [];
+  for (const f of fs.readdirSync(dir).filter(f => f.endsWith('.jsonl')).sort()) {
+    for (const line of fs.readFileSync(path.join(dir, f), 'utf8').split('\n')) {
+      if (line.trim()) interactions.push(JSON.parse(line));
+    }
+  }
+  const stats = installReplay(axios, interactions);
+  const state = fs.existsSync(path.join(dir, STATE_DIR)) ? path.join(dir, STATE_DIR) : null;
+  return Object.assign(stats, { dir, manifest, state, interactions: interactions.length });
+}
+
+/**
+ * Run the process clock from `iso` onwards (replays see the recorded run's "now":
+ * relative Workday dates, freshness buckets, TTLs)
+ * @param {string} iso - Recorded start time
+ * @returns {number} - Offset applied, ms
+ */
+function shiftClock(iso) {
+  const RealDate = Date;
+  const offset = RealDate.parse(iso) - RealDate.now();
+  class ShiftedDate extends RealDate {
+    constructor(...args) {
+      if (args.length === 0) super(RealDate.now() + offset);
+      else super(...args);
+    }
+
+    static now() {
+      return RealDate.now() + offset;
+    }
+  }
+  global.Date = ShiftedDate;
+  return offset;
+}
+
+module.exports = {
+  requestKey,
+  installReplay,
+  installRecorder,
+  installFixtureReplay,
+  installFixtureRecorder,
+  installCassetteRecorder,
+  installCassetteReplay,
+  shiftClock,
+};
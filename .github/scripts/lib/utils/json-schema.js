@@ -0,0 +1,104 @@
+/**
+ * Minimal JSON Schema validator
+ *
+ * Supports the subset used by schema/*.schema.json:
+ *   type (incl. "null", "integer", type arrays), enum, required, properties,
+ *   items, minItems, minLength, pattern, format (date-time, uri)
+ *
+ * Unknown keywords are ignored, as the spec allows. Each violation carries a
+ * rule id (`<keyword>:<path>`) so reports can be aggregated per rule.
+ */
+
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+
+const FORMATS = {
+  'date-time': value => ISO_DATE_TIME.test(value) && !Number.isNaN(Date.parse(value)),
+  uri: value => {
+    try {
+      const url = new URL(value);
+      return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch {
+      return false;
+    }
+  },
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema (subset)
+ * @param {string} [path] - Dotted path of value (for messages)
+ * @returns {Array<Object>} - Violations: { rule, path, message }
+ */
+function validate(value, schema, path = '') {
+  const errors = [];
+  const at = path || '(root)';
+  const fail = (keyword, message) => errors.push({ rule: `${keyword}:${at}`, path: at, message });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      fail('type', `expected ${types.join('|')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(e => e === value)) {
+    fail('enum', `${JSON.stringify(value)} not in [${schema.enum.join(', ')}]`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail('minLength', `shorter than ${schema.minLength}`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail('pattern', `does not match ${schema.pattern}`);
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      fail('format', `not a valid ${schema.format}: ${value.slice(0, 80)}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', `fewer than ${schema.minItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push({ rule: `required:${path ? `${path}.` : ''}${key}`, path: at, message: `missing ${key}` });
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (key in value) errors.push(...validate(value[key], sub, path ? `${path}.${key}` : key));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Normalize a violation rule id for aggregation (array indexes → [])
+ * @param {string} rule - Rule id from validate()
+ * @returns {string}
+ */
+function ruleKey(rule) {
+  return rule.replace(/\[\d+\]/g, '[]');
+}
+
+module.exports = { validate, ruleKey };
@@ -0,0 +1,36 @@
+/**
+ * JSONL helpers for pipeline data files
+ */
+
+const fs = require('fs');
+
+/**
+ * Read a JSONL file into an array of objects.
+ * Missing file → []. Malformed lines are skipped.
+ * @param {string} filePath - Path to JSONL file
+ * @returns {Array<Object>}
+ */
+function readJSONL(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  const records = [];
+  for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch { /* skip malformed lines */ }
+  }
+  return records;
+}
+
+/**
+ * Read a JSON file, returning null if missing or unparseable
+ * @param {string} filePath - Path to JSON file
+ * @returns {Object|null}
+ */
+function readJSON(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  try { return JSON.parse(fs.readFileSync(filePath, 'utf8')); }
+  catch { return null; }
+}
+
+module.exports = { readJSONL, readJSON };
@@ -0,0 +1,27 @@
+/**
+ * Text helpers for description processing
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', '#39': "'", ndash: '–', mdash: '—', rsquo: '’', lsquo: '‘' };
+
+/**
+ * Description text (plain or HTML) as plain text, one block per line
+ * @param {string} text
+ * @returns {string}
+ */
+function toPlainText(text) {
+  if (!text) return '';
+  return String(text)
+    .replace(/<\s*(br|\/p|\/li|\/div|\/h\d|li)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&(#?\w+);/g, (m, name) => {
+      if (ENTITIES[name]) return ENTITIES[name];
+      if (/^#\d+$/.test(name)) return String.fromCharCode(Number(name.slice(1)));
+      return m;
+    })
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/ *\n[\n ]*/g, '\n')
+    .trim();
+}
+
+module.exports = { toPlainText };
@@ -0,0 +1,42 @@
+/**
+ * URL helpers for matching job postings across runs and sources
+ */
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = /^(utm_\w+|gh_src|src|source|ref|referrer|lever-source|lever-origin|trk|trackingid|iis|iisn)$/i;
+
+/**
+ * Loose form for lookups: no query, fragment or trailing slash; lowercase host
+ * @param {string} url
+ * @returns {string}
+ */
+function normalizeUrl(url) {
+  try {
+    const u = new URL(url);
+    return `${u.protocol}//${u.host.toLowerCase()}${u.pathname.replace(/\/+$/, '')}`;
+  } catch {
+    return String(url || '').trim();
+  }
+}
+
+/**
+ * Strict form for identity: like normalizeUrl, but keeps non-tracking query
+ * parameters (sorted) — aggregator URLs often differ only in the query
+ * @param {string} url
+ * @returns {string|null} - null for missing or unparseable URLs
+ */
+function canonicalUrl(url) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    return null;
+  }
+  const params = [...u.searchParams]
+    .filter(([key]) => !TRACKING_PARAMS.test(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length ? `?${new URLSearchParams(params)}` : '';
+  return `${u.host.toLowerCase().replace(/^www\./, '')}${u.pathname.replace(/\/+$/, '')}${query}`;
+}
+
+module.exports = { normalizeUrl, canonicalUrl };
@@ -0,0 +1,30 @@
+/**
+ * Bounded worker pool
+ *
+ * Runs an async worker over a list of items with at most `limit` in flight.
+ * Results keep input order regardless of completion order.
+ */
+
+/**
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers (>= 1)
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} - Results in input order
+ */
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function drain() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const workers = Math.max(1, Math.min(limit || 1, items.length));
+  await Promise.all(Array.from({ length: workers }, drain));
+  return results;
+}
+
+module.exports = { runWithConcurrency };
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+/**
+ * Serve CLI — read-only HTTP API over the published files
+ *
+ * Loads all_jobs.json, the descriptions-*.jsonl sidecars and jobs-metadata.json
+ * (lib/stores/job-catalog.js) and serves them, so internal tools and the site
+ * preview can query one API instead of each re-filtering all_jobs.json. The
+ * data directory is watched: after a pipeline run (or a copy from
+ * jobs-data-2026) the catalog reloads; a reload that fails keeps the old one.
+ *
+ * Endpoints (GET, JSON):
+ *   /jobs        ?q= &tag= &company= &source= &location= &from= &to= &date_field=
+ *                &limit= &cursor=  →  { total, count, jobs, next_cursor, facets }
+ *   /jobs/:id    the job with description_text
+ *   /search      ?q= &limit= &all=1  →  BM25-ranked jobs from the Step 9 search
+ *                index (search/, lib/search/search-index.js), when the data has one
+ *   /stats       what is loaded, plus jobs-metadata.json
+ *
+ * Usage:
+ *   node serve.js [--port 4000] [--host 127.0.0.1] [--data <dir>]
+ *
+ * Examples:
+ *   node serve.js
+ *   curl 'http://localhost:4000/jobs?tag=software&location=remote&limit=20'
+ *   curl 'http://localhost:4000/jobs?q=react+typescript&tag=entry_level,internship&from=2026-10-01'
+ *   curl 'http://localhost:4000/search?q=fpga+internships+texas'
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { DATA_DIR } = require('./lib/paths');
+const { JobCatalog, parseJobQuery } = require('./lib/stores/job-catalog');
+const { SearchIndex, MANIFEST_FILE } = require('./lib/search/search-index');
+
+const RELOAD_DEBOUNCE_MS = 1000;
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_LIMIT = 200;
+
+// ─── HTTP ──────────────────────────────────────────────────────────────────
+
+function send(res, status, body) {
+  const json = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(json),
+    'Access-Control-Allow-Origin': '*',
+    'Cache-Control': 'no-store',
+  });
+  res.end(json);
+}
+
+/**
+ * /search: ranked hits, each joined with its full record from the catalog
+ * @param {Object} data - { catalog, search }
+ * @param {URLSearchParams} params
+ * @returns {Promise<Array>} - [status, body]
+ */
+async function searchJobs({ catalog, search }, params) {
+  if (!search) return [404, { error: `no search index in ${path.basename(catalog.dir)}/search (built by Step 9 of index.js)` }];
+  if (!params.get('q')) return [400, { error: 'q is required' }];
+  const limit = params.has('limit') ? parseInt(params.get('limit'), 10) : SEARCH_DEFAULT_LIMIT;
+  if (!Number.isFinite(limit) || limit < 1) return [400, { error: 'limit must be a positive integer' }];
+
+  const result = await search.search(params.get('q'), { limit: Math.min(limit, SEARCH_MAX_LIMIT), all: params.get('all') === '1' });
+  return [200, {
+    terms: result.terms,
+    total: result.total,
+    hits: result.hits.map(hit => ({ score: hit.score, job: catalog.byId.get(hit.id) || hit })),
+  }];
+}
+
+/**
+ * Route one request against the current data
+ * @param {Object} data - { catalog, search }
+ * @param {URL} url
+ * @returns {Promise<Array>} - [status, body]
+ */
+async function route(data, url) {
+  const { catalog } = data;
+  if (url.pathname === '/jobs' || url.pathname === '/jobs/') {
+    const { query, errors } = parseJobQuery(url.searchParams);
+    if (errors.length > 0) return [400, { error: errors.join('; ') }];
+    return [200, catalog.query(query)];
+  }
+  const jobMatch = url.pathname.match(/^\/jobs\/(.+)$/);
+  if (jobMatch) {
+    const id = decodeURIComponent(jobMatch[1]);
+    const job = catalog.get(id);
+    return job ? [200, job] : [404, { error: `no job ${id} in ${path.basename(catalog.dir)}/all_jobs.json` }];
+  }
+  if (url.pathname === '/search') return searchJobs(data, url.searchParams);
+  if (url.pathname === '/stats') return [200, { ...catalog.stats(), search_index: data.search?.manifest || null }];
+  if (url.pathname === '/') return [200, { endpoints: ['/jobs', '/jobs/:id', '/search', '/stats'] }];
+  return [404, { error: `unknown path ${url.pathname}` }];
+}
+
+/**
+ * Request handler: a request that throws gets an error response (400 for a
+ * malformed URL, 500 otherwise) instead of taking the server down
+ * @param {Function} getData - () => { catalog, search }
+ * @returns {Function} - http request handler
+ */
+function createHandler(getData) {
+  return async (req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return send(res, 405, { error: 'read-only API: GET only' });
+    try {
+      return send(res, ...await route(getData(), new URL(`http://localhost${req.url}`)));
+    } catch (error) {
+      if (error instanceof URIError || error.code === 'ERR_INVALID_URL') return send(res, 400, { error: `malformed URL: ${error.message}` });
+      return send(res, 500, { error: `${req.url} failed: ${error.message}` });
+    }
+  };
+}
+
+// ─── Reload ────────────────────────────────────────────────────────────────
+
+/**
+ * Reload the catalog when a file it reads changes (debounced: a pipeline run
+ * rewrites several files in a row)
+ * @param {string} dir
+ * @param {Function} onChange - () => void
+ */
+function watchData(dir, onChange) {
+  let timer = null;
+  fs.watch(dir, (event, fname) => {
+    if (fname && !JobCatalog.watches(fname)) return;
+    clearTimeout(timer);
+    timer = setTimeout(onChange, RELOAD_DEBOUNCE_MS);
+  });
+}
+
+// ─── Main ──────────────────────────────────────────────────────────────────
+
+async function main() {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const i = args.indexOf(name);
+    return i === -1 ? fallback : args[i + 1];
+  };
+  const port = parseInt(option('--port', process.env.PORT || '4000'), 10);
+  const host = option('--host', '127.0.0.1');
+  const dir = path.resolve(option('--data', DATA_DIR));
+
+  if (!Number.isFinite(port)) {
+    console.error('Usage: node serve.js [--port 4000] [--host 127.0.0.1] [--data <dir>]');
+    process.exit(1);
+  }
+  if (!fs.existsSync(dir)) {
+    console.error(`❌ No data directory at ${dir}`);
+    process.exit(1);
+  }
+
+  const searchDir = path.join(dir, 'search');
+  const load = async () => {
+    const started = Date.now();
+    const catalog = JobCatalog.load(dir);
+    const search = fs.existsSync(path.join(searchDir, MANIFEST_FILE)) ? await SearchIndex.open(searchDir) : null;
+    console.log(`📚 Loaded ${catalog.size} jobs, ${catalog.descriptions.size} descriptions${search ? `, search index of ${search.size}` : ''} from ${dir} (${Date.now() - started}ms)`);
+    return { catalog, search };
+  };
+
+  let data = await load();
+  watchData(dir, async () => {
+    try {
+      data = await load();
+    } catch (error) {
+      console.error(`⚠️ Reload failed, still serving ${data.catalog.loadedAt}: ${error.message}`);
+    }
+  });
+
+  http.createServer(createHandler(() => data)).listen(port, host, () => {
+    console.log(`🌐 Serving http://${host}:${port}/jobs  /jobs/:id  /search  /stats`);
+  });
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
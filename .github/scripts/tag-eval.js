@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+
+/**
+ * Tag Eval CLI — how good are the tag rules, and what does a new version change?
+ *
+ * Scores a rules version (tags/rules-vN.json, lib/processors/tag-rules.js)
+ * against the golden corpus: real jobs from the archive with hand-checked
+ * domains and experience (tags/golden-corpus.jsonl). Prints per-tag
+ * precision / recall / F1 for domains, accuracy and per-label precision /
+ * recall for experience, and how much of the corpus falls back to "general".
+ * The held-out part of the corpus is also scored on its own: jobs sampled from
+ * the whole archive by a hash of their id (not by what any rules version
+ * output), labeled after v1 was written and never used to tune rules — the
+ * tuned part scores how well the rules fit the jobs they were written against,
+ * the held-out part how they do on the rest.
+ *
+ * --compare scores two versions side by side and lists the corpus jobs whose
+ * tags changed; with --pool it also shows how the tag distribution of a full
+ * pool would move. "baseline" is the shared tag engine's own output, as stored
+ * in the corpus (engine_tags) or on the pool's records.
+ *
+ * Corpus lines: { id, title, company_name, description, engine_tags: { domains,
+ * experience, special }, labels: { domains, experience }, split? } — split is
+ * "held_out" for the held-out jobs. Labels follow the taxonomy in the README
+ * ("Tag rules"), not whatever a rules version outputs; a healthcare job is also
+ * labeled nursing, the published alias (see domains.aliases in the rules).
+ *
+ * Usage:
+ *   node tag-eval.js [--rules <N | file>] [--corpus <file>] [--json]
+ *   node tag-eval.js --compare <old> [<new>] [--pool <file>] [--corpus <file>] [--json]
+ *     <old> / <new>: N, a rules file, or baseline; <new> defaults to the newest version
+ *
+ * Examples:
+ *   npm run tag-eval
+ *   npm run tag-eval -- --compare baseline
+ *   npm run tag-eval -- --compare 1 .github/scripts/tags/rules-v2.json --pool .github/data/all_jobs.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { RULES_DIR, listRuleVersions, loadTagRules, classifyJob } = require('./lib/processors/tag-rules');
+const { readJSONL } = require('./lib/utils/jsonl');
+
+const CORPUS_FILE = path.join(RULES_DIR, 'golden-corpus.jsonl');
+const BASELINE = 'baseline';
+const HELD_OUT = 'held_out';
+
+// ─── Tagging ───────────────────────────────────────────────────────────────
+
+/**
+ * A tagger: baseline (stored engine tags) or a rules version
+ * @param {string} spec - "baseline", N, or a rules file
+ * @returns {Object} - { name, tag: job → { domains, experience } }
+ */
+function openTagger(spec) {
+  if (spec === BASELINE) {
+    return {
+      name: BASELINE,
+      tag: job => {
+        const tags = job.engine_tags || job.tags || {};
+        return {
+          domains: tags.domains || [],
+          experience: tags.experience || 'unknown',
+        };
+      },
+    };
+  }
+  const rules = loadTagRules(spec);
+  const name = path.dirname(rules.file) === RULES_DIR ? `v${rules.version}` : path.basename(rules.file);
+  return {
+    name,
+    tag: job => {
+      const { domains, experience } = classifyJob(job, job.description, rules);
+      return { domains, experience };
+    },
+  };
+}
+
+// ─── Scoring ───────────────────────────────────────────────────────────────
+
+const ratio = (a, b) => (b > 0 ? Math.round((a / b) * 1000) / 1000 : null);
+const f1 = (p, r) => (p !== null && r !== null && p + r > 0 ? Math.round((2 * p * r / (p + r)) * 1000) / 1000 : null);
+
+/**
+ * Precision / recall per tag from (predicted, expected) tag lists
+ * @param {Array} pairs - [[predicted[], expected[]]]
+ * @returns {Object} - { tag: { tp, fp, fn, precision, recall, f1 } }
+ */
+function scoreTags(pairs) {
+  const counts = {};
+  const count = tag => (counts[tag] = counts[tag] || { tp: 0, fp: 0, fn: 0 });
+  for (const [predicted, expected] of pairs) {
+    for (const tag of predicted) count(tag)[expected.includes(tag) ? 'tp' : 'fp']++;
+    for (const tag of expected) if (!predicted.includes(tag)) count(tag).fn++;
+  }
+  const scores = {};
+  for (const tag of Object.keys(counts).sort()) {
+    const { tp, fp, fn } = counts[tag];
+    const precision = ratio(tp, tp + fp);
+    const recall = ratio(tp, tp + fn);
+    scores[tag] = { tp, fp, fn, precision, recall, f1: f1(precision, recall) };
+  }
+  return scores;
+}
+
+/**
+ * Score a tagger on the corpus
+ * @param {Object} tagger
+ * @param {Array} corpus
+ * @returns {Object} - { name, jobs, predictions, domains: { exact, general_rate, micro, by_tag }, experience: { accuracy, by_tag } }
+ */
+function evaluate(tagger, corpus) {
+  const predictions = corpus.map(job => tagger.tag(job));
+  const domainPairs = corpus.map((job, i) => [predictions[i].domains, job.labels.domains]);
+  const byTag = scoreTags(domainPairs);
+  const total = Object.values(byTag).reduce((sum, s) => ({ tp: sum.tp + s.tp, fp: sum.fp + s.fp, fn: sum.fn + s.fn }), { tp: 0, fp: 0, fn: 0 });
+  const microP = ratio(total.tp, total.tp + total.fp);
+  const microR = ratio(total.tp, total.tp + total.fn);
+
+  const experienceCorrect = corpus.filter((job, i) => predictions[i].experience === job.labels.experience).length;
+
+  return {
+    name: tagger.name,
+    jobs: corpus.length,
+    predictions,
+    domains: {
+      exact: ratio(domainPairs.filter(([p, e]) => p.length === e.length && p.every(t => e.includes(t))).length, corpus.length),
+      general_rate: ratio(predictions.filter(p => p.domains.includes('general')).length, corpus.length),
+      micro: { precision: microP, recall: microR, f1: f1(microP, microR) },
+      by_tag: byTag,
+    },
+    experience: {
+      accuracy: ratio(experienceCorrect, corpus.length),
+      by_tag: scoreTags(corpus.map((job, i) => [[predictions[i].experience], [job.labels.experience]])),
+    },
+  };
+}
+
+/**
+ * Tag distribution of a pool under a tagger
+ * @param {Object} tagger
+ * @param {Array} jobs
+ * @returns {Object} - { domains: { tag: n }, experience: { tag: n } }
+ */
+function distribution(tagger, jobs) {
+  const dist = { domains: {}, experience: {} };
+  for (const job of jobs) {
+    const { domains, experience } = tagger.tag(job);
+    for (const tag of domains) dist.domains[tag] = (dist.domains[tag] || 0) + 1;
+    dist.experience[experience] = (dist.experience[experience] || 0) + 1;
+  }
+  return dist;
+}
+
+const sameTags = (a, b) => a.experience === b.experience
+  && a.domains.length === b.domains.length && a.domains.every(tag => b.domains.includes(tag));
+
+/**
+ * Corpus jobs whose tags differ between two evaluations
+ * @returns {Array} - [{ id, title, labels, old, new }]
+ */
+function changedJobs(corpus, before, after) {
+  return corpus
+    .map((job, i) => ({ id: job.id, title: job.title, labels: job.labels, old: before.predictions[i], new: after.predictions[i] }))
+    .filter(change => !sameTags(change.old, change.new));
+}
+
+/**
+ * Read a pool: all_jobs.json / archive JSONL, or a JSON array
+ * @param {string} file
+ * @returns {Array}
+ */
+function readPool(file) {
+  const text = fs.readFileSync(file, 'utf8').trim();
+  const jobs = text.startsWith('[') ? JSON.parse(text) : readJSONL(file);
+  const seen = new Set();
+  return jobs.filter(job => job.title && !seen.has(job.id) && seen.add(job.id));
+}
+
+// ─── Output ────────────────────────────────────────────────────────────────
+
+const pct = value => (value === null ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`);
+const delta = (a, b) => {
+  if (a === null || b === null) return '';
+  const d = (b - a) * 100;
+  return Math.abs(d) < 0.05 ? '' : `${d > 0 ? '+' : ''}${d.toFixed(1)}`;
+};
+
+function printSummary(result) {
+  console.log(`   domains: exact ${pct(result.domains.exact)}, micro P ${pct(result.domains.micro.precision)} R ${pct(result.domains.micro.recall)} F1 ${pct(result.domains.micro.f1)}, general ${pct(result.domains.general_rate)}`);
+  console.log(`   experience: accuracy ${pct(result.experience.accuracy)}`);
+}
+
+function printScores(result, heldOut) {
+  console.log(`\n🏷️  ${result.name} on ${result.jobs} corpus jobs`);
+  printSummary(result);
+  if (heldOut) {
+    console.log(`   held out (${heldOut.jobs} jobs sampled from the archive):`);
+    printSummary(heldOut);
+  }
+  for (const section of ['domains', 'experience']) {
+    console.log(`\n   ${'tag'.padEnd(14)} ${'prec'.padStart(6)} ${'recall'.padStart(6)} ${'f1'.padStart(6)}   tp  fp  fn`);
+    for (const [tag, s] of Object.entries(result[section].by_tag)) {
+      console.log(`   ${tag.padEnd(14)} ${pct(s.precision)} ${pct(s.recall)} ${pct(s.f1)} ${String(s.tp).padStart(4)}${String(s.fp).padStart(4)}${String(s.fn).padStart(4)}`);
+    }
+  }
+}
+
+function printComparison({ before, after, heldOut, changes, pool }) {
+  console.log(`\n🔀 ${before.name} → ${after.name} on ${after.jobs} corpus jobs`);
+  const line = (label, a, b) => console.log(`   ${label.padEnd(24)} ${pct(a)} → ${pct(b)}  ${delta(a, b)}`);
+  const metrics = (prefix, a, b) => {
+    line(`${prefix}domains exact`, a.domains.exact, b.domains.exact);
+    line(`${prefix}domains micro F1`, a.domains.micro.f1, b.domains.micro.f1);
+    line(`${prefix}domains general`, a.domains.general_rate, b.domains.general_rate);
+    line(`${prefix}experience accuracy`, a.experience.accuracy, b.experience.accuracy);
+  };
+  metrics('', before, after);
+  if (heldOut) {
+    console.log(`\n   held out (${heldOut.after.jobs} jobs sampled from the archive)`);
+    metrics('', heldOut.before, heldOut.after);
+  }
+
+  for (const section of ['domains', 'experience']) {
+    console.log(`\n   ${section} F1 by tag`);
+    const tags = [...new Set([...Object.keys(before[section].by_tag), ...Object.keys(after[section].by_tag)])].sort();
+    for (const tag of tags) line(`  ${tag}`, before[section].by_tag[tag]?.f1 ?? null, after[section].by_tag[tag]?.f1 ?? null);
+  }
+
+  console.log(`\n   ${changes.length} corpus jobs changed (✓ = new tags match the labels)`);
+  const show = t => `${t.domains.join(',')} / ${t.experience}`;
+  for (const change of changes) {
+    console.log(`   ${sameTags(change.new, change.labels) ? '✓' : '✗'} ${change.title.slice(0, 50).padEnd(50)} ${show(change.old)} → ${show(change.new)}  [${change.id}]`);
+  }
+
+  if (pool) {
+    console.log(`\n📊 Pool ${pool.file}: ${pool.jobs} jobs`);
+    for (const section of ['domains', 'experience']) {
+      console.log(`\n   ${section}`);
+      const tags = [...new Set([...Object.keys(pool.before[section]), ...Object.keys(pool.after[section])])]
+        .sort((a, b) => (pool.after[section][b] || 0) - (pool.after[section][a] || 0));
+      for (const tag of tags) {
+        const a = pool.before[section][tag] || 0;
+        const b = pool.after[section][tag] || 0;
+        console.log(`   ${tag.padEnd(24)} ${String(a).padStart(7)} → ${String(b).padStart(7)}  ${b - a > 0 ? '+' : ''}${b - a || ''}`);
+      }
+    }
+  }
+}
+
+// ─── Main ──────────────────────────────────────────────────────────────────
+
+function main() {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const i = args.indexOf(name);
+    return i === -1 ? fallback : args[i + 1];
+  };
+  const json = args.includes('--json');
+  const corpusFile = path.resolve(option('--corpus', CORPUS_FILE));
+  const versions = listRuleVersions();
+  const newest = String(versions[versions.length - 1]);
+
+  if (args.includes('--help') || !fs.existsSync(corpusFile)) {
+    console.error('Usage: node tag-eval.js [--rules <N | file>] [--corpus <file>] [--json]');
+    console.error('       node tag-eval.js --compare <old> [<new>] [--pool <file>] [--corpus <file>] [--json]');
+    process.exit(1);
+  }
+  const corpus = readJSONL(corpusFile);
+  const heldOutCorpus = corpus.filter(job => job.split === HELD_OUT);
+  const strip = ({ predictions, ...summary }) => summary;
+
+  const compareAt = args.indexOf('--compare');
+  if (compareAt === -1) {
+    const tagger = openTagger(option('--rules', newest));
+    const result = evaluate(tagger, corpus);
+    const heldOut = heldOutCorpus.length > 0 ? evaluate(tagger, heldOutCorpus) : null;
+    if (json) {
+      console.log(JSON.stringify({ ...strip(result), held_out: heldOut && strip(heldOut) }, null, 2));
+    } else {
+      printScores(result, heldOut);
+    }
+    return;
+  }
+
+  const specs = args.slice(compareAt + 1, compareAt + 3);
+  if (specs[1]?.startsWith('--')) specs.pop();
+  if (!specs[0] || specs[0].startsWith('--')) {
+    console.error('❌ --compare needs a version to compare against (N, a rules file, or baseline)');
+    process.exit(1);
+  }
+  const [oldTagger, newTagger] = [specs[0], specs[1] || newest].map(openTagger);
+  const before = evaluate(oldTagger, corpus);
+  const after = evaluate(newTagger, corpus);
+  const changes = changedJobs(corpus, before, after);
+  const heldOut = heldOutCorpus.length > 0
+    ? { before: evaluate(oldTagger, heldOutCorpus), after: evaluate(newTagger, heldOutCorpus) }
+    : null;
+
+  let pool = null;
+  const poolFile = option('--pool', null);
+  if (poolFile) {
+    const jobs = readPool(poolFile);
+    pool = { file: poolFile, jobs: jobs.length, before: distribution(oldTagger, jobs), after: distribution(newTagger, jobs) };
+  }
+
+  if (json) {
+    const heldOutSummary = heldOut && { before: strip(heldOut.before), after: strip(heldOut.after) };
+    console.log(JSON.stringify({ before: strip(before), after: strip(after), held_out: heldOutSummary, changes, pool }, null, 2));
+  } else {
+    printComparison({ before, after, heldOut, changes, pool });
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,42 @@
+/**
+ * Unit checks for lib/processors/description-extractor.js — strings the
+ * extractor once got wrong, plus the plain cases they must not break.
+ *
+ *   npm run test:unit
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractSalary, extractDegree, extractMinYears, extractRequiredYears } = require('../lib/processors/description-extractor');
+
+test('salary: pay ranges and figures', () => {
+  assert.deepEqual(extractSalary('Pay range: $25 - $32 per hour'),
+    { salary_min: 25, salary_max: 32, currency: 'USD', period: 'hour' });
+  assert.deepEqual(extractSalary('Base salary $120,000 - $150,000'),
+    { salary_min: 120000, salary_max: 150000, currency: 'USD', period: 'year' });
+  assert.deepEqual(extractSalary('We raised $20M. The pay is $30 per hour.'),
+    { salary_min: 30, salary_max: 30, currency: 'USD', period: 'hour' });
+});
+
+test('salary: funding amounts and 401(k) plans are not pay', () => {
+  assert.equal(extractSalary('We raised $20-$50 million from investors.'), null);
+  assert.equal(extractSalary('Backed by $2 billion in funding, compensation $300M ARR.'), null);
+  assert.equal(extractSalary('Great compensation $401k plan with match.'), null);
+  assert.equal(extractSalary('Total compensation includes a $401(k) match.'), null);
+});
+
+test('degree: "associate of ..." is not an associate degree', () => {
+  assert.equal(extractDegree('You will be an associate of the platform team.'), null);
+  assert.equal(extractDegree("Associate's degree required."), 'associate');
+  assert.equal(extractDegree('Associate degree in nursing or BSN.'), 'associate');
+  assert.equal(extractDegree('Associate of Applied Science in Radiography.'), 'associate');
+});
+
+test('years: lowest figure vs primary requirement', () => {
+  const text = 'Requires 5+ years of experience building backend systems. 2 years of experience with Python.';
+  assert.equal(extractMinYears(text), 2);
+  assert.equal(extractRequiredYears(text), 5);
+  assert.equal(extractRequiredYears('2 years of experience required. 7 years of experience preferred.'), 2);
+  assert.equal(extractRequiredYears('0-2 years of experience'), 0);
+  assert.equal(extractRequiredYears('No experience figures here.'), null);
+});
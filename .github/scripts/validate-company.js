@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+
+/**
+ * Validate Company CLI — "does this board work before I add it?"
+ *
+ * Probes one ATS board through the same adapter the ats-config source uses
+ * (lib/fetchers/ats-adapters.js) and runs the result through Steps 2–4a:
+ * how many jobs the board lists (and whether paging stopped at ATS_MAX_PAGES
+ * before the end), how many pass validation, and how many are entry level
+ * (would be published). Also shows the registry company the board
+ * resolves to and the board's run state (zero-job streak, dead flag).
+ *
+ * The probe can run against:
+ *   live         the ATS's public API (default)
+ *   --fixture    a recorded HTTP fixture (lib/utils/http-fixture.js), no network
+ *   --base-url   a local mock server answering the ATS's paths
+ * --record <file> saves a live probe as a fixture for later runs.
+ *
+ * --check-fixtures replays every fixture in fixtures/ (one per adapter worth
+ * pinning, e.g. Workday's paging) and fails when a replay asks for a request
+ * the fixture doesn't have or fetches a different number of jobs than the
+ * recording did — an adapter change that breaks a recorded board shows up in
+ * CI instead of as a silently shorter board.
+ *
+ * Usage:
+ *   node validate-company.js <ats> <board> [--name <company>] [--domain <domain>]
+ *                            [--fixture <file> | --record <file> | --base-url <url>] [--json]
+ *   node validate-company.js --config [--json]    # check ats-boards.json, list dead boards
+ *   node validate-company.js --check-fixtures [--json]
+ *
+ * Examples:
+ *   node validate-company.js greenhouse figma
+ *   node validate-company.js workday nvidia.wd5/NVIDIAExternalCareerSite --name NVIDIA
+ *   node validate-company.js workday zoom.wd5/zoom --name Zoom --fixture fixtures/workday-zoom.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { SHARED } = require('./lib/paths');
+const { ATS_MAX_PAGES, DEAD_BOARD_RUNS } = require('./lib/config');
+const { fetchBoard } = require('./lib/fetchers/ats-adapters');
+const { boardKey, checkBoardEntry, loadBoardsConfig, loadBoardState, CONFIG_FILE } = require('./lib/fetchers/ats-boards');
+const { installFixtureReplay, installFixtureRecorder } = require('./lib/utils/http-fixture');
+const { resolveCompany } = require('./lib/processors/company-resolver');
+const { refineSeniorFilter } = require('./lib/processors/senior-refiner');
+
+const SAMPLE_TITLES = 5;
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// ─── Probe ─────────────────────────────────────────────────────────────────
+
+/**
+ * Send every request to a mock server instead of the ATS host
+ * @param {string} baseUrl - e.g. http://localhost:8080
+ */
+function redirectTo(baseUrl) {
+  const base = baseUrl.replace(/\/$/, '');
+  axios.interceptors.request.use(config => {
+    const url = new URL(config.url);
+    return { ...config, url: `${base}${url.pathname}${url.search}` };
+  });
+}
+
+/**
+ * Steps 2–4a on the probed jobs
+ * @param {Array} jobs
+ * @returns {Object} - { valid, invalid, invalidReasons, entryLevel, senior }
+ */
+function applyFilters(jobs) {
+  const helpers = require(`${SHARED}/utils/helpers`);
+  const { validateAndNormalizeJobs } = require(`${SHARED}/processors/validator`);
+  const { filterSeniorJobs } = require(`${SHARED}/processors/senior-filter`);
+
+  for (const job of jobs) {
+    if (!job.fingerprint) job.fingerprint = helpers.generateFingerprint(job);
+    if (!job.employment_types) job.employment_types = job.employment_type ? [String(job.employment_type).toUpperCase()] : [];
+  }
+  const { validJobs, invalidJobs } = validateAndNormalizeJobs(jobs);
+  const invalidReasons = {};
+  for (const item of invalidJobs) {
+    const reason = item.reason || item.reasons?.[0] || item.errors?.[0] || 'invalid';
+    invalidReasons[reason] = (invalidReasons[reason] || 0) + 1;
+  }
+  const titleOnly = filterSeniorJobs(validJobs);
+  const { entryLevelJobs, seniorJobs } = refineSeniorFilter(titleOnly.entryLevelJobs, titleOnly.seniorJobs, job => job.description);
+  return { valid: validJobs.length, invalid: invalidJobs.length, invalidReasons, entryLevel: entryLevelJobs, senior: seniorJobs.length };
+}
+
+async function probe(entry, { fixture, record, baseUrl }) {
+  let mode = 'live';
+  let replay = null;
+  let recorder = null;
+  if (fixture) { replay = installFixtureReplay(axios, fixture); mode = `fixture ${fixture}`; }
+  else if (baseUrl) { redirectTo(baseUrl); mode = `mock server ${baseUrl}`; }
+  else if (record) recorder = installFixtureRecorder(axios);
+
+  const { jobs, truncated } = await fetchBoard(entry);
+  if (recorder) recorder.save(record, { board: { ats: entry.ats, board: entry.board, name: entry.name }, fetched: jobs.length });
+
+  const filters = applyFilters(jobs);
+  const company = resolveCompany(jobs[0] || { company_name: entry.name, source: entry.ats, company_slug: entry.board });
+  const configured = loadBoardsConfig().boards.some(b => boardKey(b) === boardKey(entry));
+  const state = loadBoardState().boards[boardKey(entry)] || null;
+
+  return {
+    board: boardKey(entry),
+    name: entry.name,
+    mode,
+    fetched: jobs.length,
+    truncated,
+    with_description: jobs.filter(j => j.description).length,
+    valid: filters.valid,
+    invalid: filters.invalid,
+    invalid_reasons: filters.invalidReasons,
+    entry_level: filters.entryLevel.length,
+    senior: filters.senior,
+    sample: filters.entryLevel.slice(0, SAMPLE_TITLES).map(j => `${j.title} — ${j.location || '?'}`),
+    company: { company_id: company.company_id, method: company.method },
+    configured,
+    state,
+    fixture_misses: replay ? replay.missed : [],
+    recorded: recorder ? recorder.requests.length : null,
+  };
+}
+
+// ─── Output ────────────────────────────────────────────────────────────────
+
+function printReport(r) {
+  console.log(`[validate-company] ${r.board} — ${r.name} (${r.mode})`);
+  console.log('');
+  const registry = r.company.method === 'unknown'
+    ? `not in companies/company-registry.json (would be ${r.company.company_id})`
+    : `${r.company.company_id} (matched by ${r.company.method})`;
+  console.log(`🏢 Company: ${registry}`);
+  console.log(`🗂️  Config: ${r.configured ? 'listed in' : 'not yet in'} companies/ats-boards.json`);
+  if (r.state) {
+    const dead = r.state.dead ? ` — ⚰️ DEAD (zero jobs ${r.state.zero_runs} runs in a row, threshold ${DEAD_BOARD_RUNS})` : '';
+    console.log(`⏱️  Last run ${r.state.last_run}: ${r.state.last_jobs ?? '?'} jobs, zero-job streak ${r.state.zero_runs}, last had jobs ${r.state.last_nonzero_at || 'never'}${dead}`);
+  }
+  console.log('');
+  console.log(`📡 Fetched:     ${r.fetched} jobs (${r.with_description} with descriptions)`);
+  if (r.truncated) console.log(`⚠️ Stopped at ATS_MAX_PAGES (${ATS_MAX_PAGES} pages) — the board lists more jobs than were fetched`);
+  console.log(`📝 Valid:       ${r.valid}${r.invalid > 0 ? ` (${r.invalid} invalid: ${JSON.stringify(r.invalid_reasons)})` : ''}`);
+  console.log(`🎓 Entry level: ${r.entry_level} would be published (${r.senior} senior filtered)`);
+  for (const title of r.sample) console.log(`     - ${title}`);
+  if (r.recorded !== null) console.log(`💾 Recorded ${r.recorded} requests`);
+  if (r.fixture_misses.length > 0) console.log(`⚠️ ${r.fixture_misses.length} requests not in the fixture: ${r.fixture_misses[0]}`);
+  if (r.fetched === 0) console.log('⛔ Board returned zero jobs — wrong board name, or nothing posted');
+}
+
+function checkConfig(json) {
+  const { boards, errors } = loadBoardsConfig();
+  const state = loadBoardState();
+  const dead = Object.entries(state.boards).filter(([, s]) => s.dead).map(([board, s]) => ({ board, ...s }));
+  if (json) {
+    process.stdout.write(JSON.stringify({ file: CONFIG_FILE, boards: boards.length, errors, dead_boards: dead }, null, 2) + '\n');
+  } else {
+    console.log(`[validate-company] ${CONFIG_FILE}: ${boards.length} enabled boards`);
+    for (const error of errors) console.log(`❌ ${error}`);
+    for (const d of dead) console.log(`⚰️ ${d.board}: zero jobs ${d.zero_runs} runs in a row (last had jobs ${d.last_nonzero_at || 'never'})`);
+    if (errors.length === 0 && dead.length === 0) console.log('✅ No problems');
+  }
+  return errors.length === 0;
+}
+
+/**
+ * Replay every fixture in fixtures/ against the current adapters
+ * @param {boolean} json
+ * @returns {Promise<boolean>} - true when every fixture replays as recorded
+ */
+async function checkFixtures(json) {
+  const files = fs.readdirSync(FIXTURES_DIR).filter(fname => fname.endsWith('.json')).sort();
+  const results = [];
+  for (const fname of files) {
+    const file = path.join(FIXTURES_DIR, fname);
+    const { board, fetched } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const problems = [];
+    let report = null;
+    if (!board) {
+      problems.push('no board recorded (re-record with --record)');
+    } else {
+      try {
+        report = await probe(board, { fixture: file });
+      } catch (error) {
+        problems.push(error.message);
+      }
+    }
+    if (report) {
+      if (report.fixture_misses.length > 0) problems.push(`${report.fixture_misses.length} requests not in the fixture: ${report.fixture_misses[0]}`);
+      if (report.fetched === 0) problems.push('zero jobs');
+      if (report.truncated) problems.push(`stopped at ATS_MAX_PAGES (${ATS_MAX_PAGES}) — record a board that fits under the cap`);
+      if (Number.isInteger(fetched) && report.fetched !== fetched) problems.push(`fetched ${report.fetched} jobs, recording had ${fetched}`);
+    }
+    results.push({ fixture: fname, board: board ? `${board.ats}:${board.board}` : null, fetched: report?.fetched ?? null, problems });
+  }
+
+  if (json) {
+    process.stdout.write(JSON.stringify({ dir: FIXTURES_DIR, fixtures: results }, null, 2) + '\n');
+  } else {
+    console.log(`[validate-company] ${FIXTURES_DIR}: ${results.length} fixtures`);
+    for (const r of results) {
+      if (r.problems.length === 0) console.log(`✅ ${r.fixture} (${r.board}): ${r.fetched} jobs`);
+      for (const problem of r.problems) console.log(`❌ ${r.fixture}: ${problem}`);
+    }
+  }
+  return results.every(r => r.problems.length === 0);
+}
+
+// ─── Main ──────────────────────────────────────────────────────────────────
+
+async function main() {
+  const args = process.argv.slice(2);
+  const option = name => {
+    const i = args.indexOf(name);
+    return i === -1 ? null : args[i + 1];
+  };
+  const json = args.includes('--json');
+
+  if (args.includes('--config')) {
+    process.exit(checkConfig(json) ? 0 : 1);
+  }
+  if (args.includes('--check-fixtures')) {
+    process.exit(await checkFixtures(json) ? 0 : 1);
+  }
+
+  const optionValues = new Set(['--name', '--domain', '--fixture', '--record', '--base-url'].map(option).filter(Boolean));
+  const [ats, board] = args.filter(a => !a.startsWith('--') && !optionValues.has(a));
+  if (!ats || !board) {
+    console.error('Usage: node validate-company.js <ats> <board> [--name <company>] [--domain <domain>] [--fixture <file> | --record <file> | --base-url <url>] [--json]');
+    console.error('       node validate-company.js --config [--json]');
+    console.error('       node validate-company.js --check-fixtures [--json]');
+    process.exit(1);
+  }
+
+  const configured = loadBoardsConfig().boards.find(b => b.ats === ats && b.board === board);
+  const entry = { ...configured, ats, board, name: option('--name') || configured?.name || board };
+  if (option('--domain')) entry.domain = option('--domain');
+  const problems = checkBoardEntry(entry);
+  if (problems.length > 0) {
+    for (const problem of problems) console.error(`❌ ${problem}`);
+    process.exit(1);
+  }
+
+  const report = await probe(entry, { fixture: option('--fixture'), record: option('--record'), baseUrl: option('--base-url') });
+  if (json) {
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+  } else {
+    printReport(report);
+  }
+  if (report.fetched === 0) process.exit(2);
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.response ? `HTTP ${error.response.status} from ${error.config?.url}` : error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * Post-deploy output check
+ *
+ * Runs after index.js in fetch-jobs.yml. Validates EVERY record of
+ * all_jobs.json against schema/job-record.schema.json (plus unique ids and
+ * fingerprints) and checks jobs-metadata.json carries its required sections.
+ * A line that doesn't parse (truncated or corrupted write) is a violation
+ * too, reported by line number.
+ *
+ * Reads DATA_DIR from lib/paths.js, so JOBS_DATA_DIR=<dir> checks the output
+ * of an index.js --out / --replay run.
+ *
+ * Usage:
+ *   node validate-output.js                      # Default checks
+ *   node validate-output.js --min-records 20000  # Also require a minimum pool size
+ *
+ * Exit code 1 on any failure.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./lib/paths');
+const { readJSON } = require('./lib/utils/jsonl');
+const { validateOutput, printOutputValidation } = require('./lib/processors/output-validator');
+
+const JOBS_FILE = path.join(DATA_DIR, 'all_jobs.json');
+const METADATA_FILE = path.join(DATA_DIR, 'jobs-metadata.json');
+
+const REQUIRED_METADATA_FIELDS = ['total_jobs', 'by_source', 'tag_stats', 'freshness', 'top_companies'];
+const SAMPLE_PARSE_ERRORS = 5;
+
+/**
+ * Read a JSONL file keeping track of lines that don't parse (readJSONL skips them)
+ * @param {string} filePath
+ * @returns {Object} - { records, parseErrors: [{ line, message }] }
+ */
+function readRecords(filePath) {
+  const records = [];
+  const parseErrors = [];
+  if (!fs.existsSync(filePath)) return { records, parseErrors };
+  fs.readFileSync(filePath, 'utf8').split('\n').forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      parseErrors.push({ line: i + 1, message: error.message });
+    }
+  });
+  return { records, parseErrors };
+}
+
+/**
+ * Count unparseable lines as violations of the report (rule "parse")
+ * @param {Object} report - Result of validateOutput (mutated)
+ * @param {Array} parseErrors - [{ line, message }]
+ */
+function addParseErrors(report, parseErrors) {
+  if (parseErrors.length === 0) return;
+  report.violations.parse = {
+    count: parseErrors.length,
+    sample_ids: parseErrors.slice(0, SAMPLE_PARSE_ERRORS).map(e => `line ${e.line}`),
+    sample_message: parseErrors[0].message,
+  };
+  report.records_checked += parseErrors.length;
+  report.invalid_records += parseErrors.length;
+  report.total_violations += parseErrors.length;
+  report.passed = false;
+}
+
+function parseArgs(argv) {
+  const opts = { minRecords: 0 };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--min-records') opts.minRecords = parseInt(argv[++i], 10) || 0;
+  }
+  return opts;
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  let pass = true;
+
+  console.log('[validate-output] Checking all_jobs.json...');
+  const { records: jobs, parseErrors } = readRecords(JOBS_FILE);
+  if (jobs.length === 0 && parseErrors.length === 0) {
+    console.log('❌ all_jobs.json missing or empty');
+    process.exit(1);
+  }
+
+  if (jobs.length < opts.minRecords) {
+    console.log(`❌ all_jobs.json: ${jobs.length} records (expected >= ${opts.minRecords})`);
+    pass = false;
+  } else {
+    console.log(`✅ all_jobs.json: ${jobs.length} records`);
+  }
+
+  const report = validateOutput(jobs);
+  addParseErrors(report, parseErrors);
+  printOutputValidation(report);
+  if (!report.passed) pass = false;
+
+  console.log('[validate-output] Checking jobs-metadata.json...');
+  const metadata = readJSON(METADATA_FILE);
+  if (!metadata) {
+    console.log('❌ jobs-metadata.json missing or unparseable');
+    pass = false;
+  } else {
+    const missing = REQUIRED_METADATA_FIELDS.filter(f => !(f in metadata));
+    if (missing.length > 0) {
+      console.log(`❌ jobs-metadata.json missing fields: ${missing.join(', ')}`);
+      pass = false;
+    } else {
+      console.log('✅ jobs-metadata.json has required fields');
+    }
+  }
+
+  if (pass) {
+    console.log('✅ All output checks passed');
+  } else {
+    console.log('❌ One or more output checks failed — see above');
+    process.exit(1);
+  }
+}
+
+main();